@@ -14,11 +14,31 @@ import { nanoid } from "nanoid";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
-dayjs.tz.setDefault("Asia/Colombo");
 
 import logger from './services/logger.js';
-import { getSheet } from './services/googleSheet.js';
-import { initBaileys, getSocket, getConnectionStatus, isConnectingStatus, getUptime, startBaileys, updateSettings } from './services/baileys.js';
+import { getCollection } from './services/storage.js';
+import { parseRule, formatRule, describeRule, nextOccurrence } from './services/recurrence.js';
+import { throttleSettingsFromEnv } from './services/throttle.js';
+import { registerUpload, findMedia, toMediaResponse, referencedMediaUrls, releaseMedia, mediaPath } from './services/media.js';
+import { parseVCards, parseBirthday, formatPhones, formatVCard } from './services/vcard.js';
+import { parseCsvRecords, toCsv } from './services/csv.js';
+import { toXlsx } from './services/xlsx.js';
+import { normalizePhone, normalizePhoneList, phoneKey, getDefaultCountry, isValidCountry } from './services/phone.js';
+import { isValidTimezone, getTimezone, nowIn, parseInTimezone } from './services/timezone.js';
+import { EVENT_TYPES, EVENT_TYPE_NAMES, validateEvent, toEventRecord, toEventResponse, eventPatchFromBody, eventLabel, nextEventDay } from './services/events.js';
+import { CARD_TEMPLATES, validateCard, renderCard } from './services/cards.js';
+import { findTransaction, transactionPatch, toTransactionResponse } from './services/finances.js';
+import { normalizeCategory, parseLimit, setBudget, budgetOverview, monthSpending, toBudgetResponse } from './services/budgets.js';
+import { getBaseCurrency, normalizeCurrency, listRates, setRate, toRateResponse, changeBaseCurrency } from './services/currency.js';
+import { recurringFromBody, addRecurring, toRecurringResponse, describeSchedule, dueDays } from './services/recurringFinances.js';
+import { PERIOD_HELP, EXPORT_COLUMNS, parsePeriod, previousPeriod, percentChange, summarizeFinances, periodTransactions, monthlyTrend, exportRecords } from './services/financeReports.js';
+import { normalizeQuietHours, formatQuietHours, getQuietHours, isQuietHoursHold } from './services/quietHours.js';
+import { contactVariables, renderTemplate, missingVariables, findContactByPhone, toTemplateResponse } from './services/templates.js';
+import { SESSION_COOKIE, checkAppPassword, createSessionToken, isAuthenticated, requireAuth, socketAuth } from './services/auth.js';
+import { initBaileys, getSocket, getConnectionStatus, isConnectingStatus, getUptime, startBaileys, updateSettings, requeueFailed, getThrottleSettings, getDailySendCount, getQueueSize, emitQueueUpdate, isQueuePaused, setQueuePaused, checkWhatsAppNumbers, generateEventMessages, postRecurringFinances } from './services/baileys.js';
+import { verifyContacts } from './services/whatsappCheck.js';
+import { normalizeTag, parseTags, formatTags, expandRecipients, setContactsTag, renameTag, ensureGroups, toGroupResponse } from './services/groups.js';
+import { contactPhoneKeys, findDuplicates, mergeContacts, matchesSearch, toContactResponse, CSV_FIELDS, guessCsvMapping, validateCsvMapping, contactFromCsvRecord } from './services/contacts.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -28,18 +48,21 @@ const server = http.createServer(app);
 const io = new Server(server);
 
 const PORT = process.env.PORT || 3000;
-const APP_PASSWORD = process.env.APP_PASSWORD || "admin123";
+
+const UPLOADS_DIR = path.join(__dirname, "..", "public", "uploads");
 
 app.use(express.json());
+// Uploads hold personal photos, cards and imported contact files, so they need a session;
+// only the dashboard and login assets are public.
+app.use("/uploads", requireAuth, express.static(UPLOADS_DIR));
 app.use(express.static(path.join(__dirname, "..", "public")));
 
 const storage = multer.diskStorage({
 	destination: (req, file, cb) => {
-		const dir = path.join(__dirname, "..", "public", "uploads");
-		if (!fs.existsSync(dir)) {
-			fs.mkdirSync(dir, { recursive: true });
+		if (!fs.existsSync(UPLOADS_DIR)) {
+			fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 		}
-		cb(null, dir);
+		cb(null, UPLOADS_DIR);
 	},
 	filename: (req, file, cb) => {
 		const ext = path.extname(file.originalname) || ".tmp";
@@ -48,21 +71,42 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage });
 
-// Middleware to check password
-const checkPassword = (req, res, next) => {
-	const password = req.headers['x-app-password'] || req.body.password;
-	if (password !== APP_PASSWORD) {
-		return res.status(401).json({ error: "Unauthorized" });
+// Auth routes (public)
+app.post("/api/auth/login", (req, res) => {
+	const { password } = req.body || {};
+	if (!checkAppPassword(password)) {
+		logger.warn(`Failed dashboard login from ${req.ip}`);
+		return res.status(401).json({ error: "Invalid password" });
 	}
-	next();
-};
+	const { token, expiresAt } = createSessionToken();
+	res.cookie(SESSION_COOKIE, token, {
+		httpOnly: true,
+		sameSite: "lax",
+		secure: req.secure,
+		expires: new Date(expiresAt)
+	});
+	res.json({ success: true });
+});
+
+app.post("/api/auth/logout", (req, res) => {
+	res.clearCookie(SESSION_COOKIE);
+	res.json({ success: true });
+});
+
+app.get("/api/auth/session", (req, res) => {
+	res.json({ authenticated: isAuthenticated(req) });
+});
+
+// Everything else under /api requires a session
+app.use("/api", requireAuth);
 
 // API routes
 app.get("/api/status", (req, res) => {
 	res.json({
 		status: getConnectionStatus(),
 		isConnecting: isConnectingStatus(),
-		uptime: getUptime()
+		uptime: getUptime(),
+		sentToday: getDailySendCount()
 	});
 });
 
@@ -84,12 +128,17 @@ app.get("/api/settings", (req, res) => {
 		autoViewStatus: process.env.AUTO_VIEW_STATUS !== "false",
 		autoReactStatus: process.env.AUTO_REACT_STATUS === "true",
 		reactionEmoji: process.env.REACTION_EMOJI || "❤️,💕,😍,👍",
-		lastSeenUpdatedAt: getUptime() 
+		lastSeenUpdatedAt: getUptime(),
+		throttle: getThrottleSettings(),
+		defaultCountry: getDefaultCountry(),
+		timezone: getTimezone(),
+		baseCurrency: getBaseCurrency(),
+		quietHours: getQuietHours().length > 0 ? formatQuietHours(getQuietHours()) : null
 	});
 });
 
-app.post("/api/settings", (req, res) => {
-	const { autoViewStatus, autoReactStatus, reactionEmoji } = req.body;
+app.post("/api/settings", async (req, res) => {
+	const { autoViewStatus, autoReactStatus, reactionEmoji, throttle, defaultCountry, timezone, baseCurrency, quietHours } = req.body;
 	
 	if (typeof autoViewStatus !== 'undefined') {
 		process.env.AUTO_VIEW_STATUS = String(autoViewStatus);
@@ -100,11 +149,67 @@ app.post("/api/settings", (req, res) => {
 	if (typeof reactionEmoji !== 'undefined') {
 		process.env.REACTION_EMOJI = reactionEmoji;
 	}
+	if (typeof defaultCountry !== 'undefined') {
+		if (!isValidCountry(defaultCountry)) {
+			return res.status(400).json({ error: "defaultCountry must be a two-letter country code, e.g. LK" });
+		}
+		process.env.DEFAULT_COUNTRY = String(defaultCountry).toUpperCase();
+	}
+	if (typeof timezone !== 'undefined') {
+		if (!isValidTimezone(timezone)) {
+			return res.status(400).json({ error: "timezone must be an IANA timezone, e.g. Asia/Colombo" });
+		}
+		process.env.TIMEZONE = timezone;
+	}
+	if (typeof baseCurrency !== 'undefined') {
+		if (!normalizeCurrency(baseCurrency)) {
+			return res.status(400).json({ error: "baseCurrency must be an ISO 4217 code, e.g. LKR" });
+		}
+		if (normalizeCurrency(baseCurrency) !== getBaseCurrency()) {
+			// Entries without a currency keep the old base currency.
+			const previous = getBaseCurrency();
+			try {
+				const stamped = await changeBaseCurrency(normalizeCurrency(baseCurrency));
+				if (stamped > 0) logger.info(`Set the currency of ${stamped} finance record(s) to ${previous}`);
+			} catch (e) {
+				logger.error({ err: e }, "Failed to set missing finance currencies");
+				return res.status(500).json({ error: "Failed to update the base currency" });
+			}
+		}
+	}
+	if (typeof quietHours !== 'undefined') {
+		try {
+			process.env.QUIET_HOURS = normalizeQuietHours(quietHours) || "";
+		} catch (err) {
+			return res.status(400).json({ error: err.message });
+		}
+	}
+
+	if (throttle) {
+		const numericFields = {
+			ratePerMinute: 'SEND_RATE_PER_MINUTE',
+			minGapSeconds: 'SEND_MIN_GAP_SECONDS',
+			maxGapSeconds: 'SEND_MAX_GAP_SECONDS',
+			dailyCap: 'SEND_DAILY_CAP'
+		};
+		for (const [field, envName] of Object.entries(numericFields)) {
+			if (typeof throttle[field] === 'undefined') continue;
+			const value = Number(throttle[field]);
+			if (isNaN(value) || value < 0) {
+				return res.status(400).json({ error: `throttle.${field} must be a non-negative number` });
+			}
+			process.env[envName] = String(value);
+		}
+		if (typeof throttle.typingIndicator !== 'undefined') {
+			process.env.SEND_TYPING_INDICATOR = String(throttle.typingIndicator);
+		}
+	}
 
 	const newSettings = {
 		autoViewStatus: process.env.AUTO_VIEW_STATUS !== "false",
 		autoReactStatus: process.env.AUTO_REACT_STATUS === "true",
-		reactionEmoji: process.env.REACTION_EMOJI
+		reactionEmoji: process.env.REACTION_EMOJI,
+		throttle: throttleSettingsFromEnv()
 	};
 
 	updateSettings(newSettings);
@@ -115,34 +220,120 @@ app.post("/api/settings", (req, res) => {
 
 app.post("/api/schedule", upload.single("media"), async (req, res) => {
 	try {
-		const { recipients, caption, sendAt } = req.body;
+		const { recipients, sendAt, recurrence, repeatUntil, repeatCount, mediaId, keepMedia, templateId, skipUnregistered, timezone, urgent } = req.body;
+		let { caption } = req.body;
 		if (!recipients) {
 			return res.status(400).json({ error: "Recipients are required" });
 		}
+		if (timezone && !isValidTimezone(timezone)) {
+			return res.status(400).json({ error: `Unknown timezone "${timezone}"` });
+		}
+		// Times without an offset are read in this zone, and recurring rules run in it.
+		const zone = timezone || getTimezone();
+		if (sendAt && !parseInTimezone(sendAt, zone).isValid()) {
+			return res.status(400).json({ error: "sendAt must be a valid date" });
+		}
 		
-		const recipientList = recipients.split(",").map(r => r.trim()).filter(r => r);
-		if (recipientList.length === 0) {
+		// Groups (tag:family, group IDs) are expanded to their members now, so later
+		// membership changes don't affect this batch.
+		const tokens = recipients.split(",").map(r => r.trim()).filter(r => r);
+		const [contacts, groups] = await Promise.all([getCollection('Contacts').list(), getCollection('Groups').list()]);
+		const { numbers, members, expanded, unknown } = expandRecipients(tokens, { contacts, groups });
+		if (unknown.length > 0) {
+			return res.status(400).json({ error: `Unknown or empty group: ${unknown.join(", ")}`, unknown });
+		}
+		const { valid, invalid } = normalizePhoneList([...numbers, ...members]);
+		if (invalid.length > 0) {
+			return res.status(400).json({ error: invalid.map(i => i.error).join("; "), invalid });
+		}
+		if (valid.length === 0) {
 			return res.status(400).json({ error: "Invalid recipients list" });
 		}
+
+		// Numbers WhatsApp says aren't registered block the request unless the caller opts to skip them.
+		const { unregistered, unchecked } = await checkRegistration(valid);
+		if (unregistered.length > 0 && String(skipUnregistered) !== "true") {
+			return res.status(400).json({ error: `Not on WhatsApp: ${unregistered.join(", ")}`, unregistered });
+		}
+		const recipientList = valid.filter(r => !unregistered.includes(r));
+		if (recipientList.length === 0) {
+			return res.status(400).json({ error: "None of the recipients are on WhatsApp", unregistered });
+		}
+		const warnings = expanded
+			.filter(g => g.skipped > 0)
+			.map(g => `${g.skipped} contact(s) in ${g.token} have no valid phone number`);
+		if (unregistered.length > 0) {
+			warnings.push(`Skipped ${unregistered.length} number(s) not on WhatsApp: ${unregistered.join(", ")}`);
+		}
+		if (unchecked.length > 0) {
+			warnings.push(`${unchecked.length} number(s) couldn't be checked on WhatsApp because the bot is offline`);
+		}
 		
-		const sheet = await getSheet('Schedule');
+		let rule = null;
+		if (recurrence && recurrence !== "none") {
+			try {
+				rule = formatRule(parseRule(recurrence));
+			} catch (err) {
+				return res.status(400).json({ error: err.message });
+			}
+		}
+		if (repeatUntil && !parseInTimezone(repeatUntil, zone).isValid()) {
+			return res.status(400).json({ error: "repeatUntil must be a valid date" });
+		}
+		const count = repeatCount ? parseInt(repeatCount, 10) : null;
+		if (repeatCount && (isNaN(count) || count < 1)) {
+			return res.status(400).json({ error: "repeatCount must be a positive number" });
+		}
+
+		let media = null;
+		if (req.file) {
+			media = await registerUpload(req.file, { keep: keepMedia === "true" });
+		} else if (mediaId) {
+			media = await findMedia(mediaId);
+			if (!media) {
+				return res.status(400).json({ error: "Media not found in library" });
+			}
+		}
+
+		// The template body is copied so later template edits don't change queued messages;
+		// placeholders in it are filled per recipient when each message is sent.
+		let template = null;
+		if (templateId) {
+			template = await getCollection('Templates').find(templateId);
+			if (!template) {
+				return res.status(400).json({ error: "Template not found" });
+			}
+			if (!caption) caption = template.Body;
+		}
+
 		const batchId = nanoid();
-		const sendAtDate = sendAt ? dayjs(sendAt).toISOString() : dayjs().add(2, 'second').toISOString();
+		let sendAtDate = sendAt ? parseInTimezone(sendAt, zone).toISOString() : dayjs().add(2, 'second').toISOString();
+		// The first run is the first slot matching the rule at or after the requested time.
+		if (rule) {
+			sendAtDate = nextOccurrence(rule, sendAtDate, dayjs(sendAtDate).subtract(1, 'second'), zone).toISOString();
+		}
 		
 		const newRows = recipientList.map(recipient => ({
 			ID: nanoid(),
 			BatchID: batchId,
 			Recipient: recipient,
 			Caption: caption || null,
-			MediaUrl: req.file ? `/uploads/${req.file.filename}` : null,
-			MediaType: req.file ? req.file.mimetype : null,
+			TemplateID: template ? template.ID : null,
+			MediaID: media ? media.ID : null,
+			MediaUrl: media ? media.Url : null,
+			MediaType: media ? media.MediaType : null,
 			SendAt: sendAtDate,
-			Status: "pending"
+			Status: "pending",
+			Recurrence: rule,
+			RepeatUntil: rule && repeatUntil ? parseInTimezone(repeatUntil, zone).toISOString() : null,
+			RepeatCount: rule ? count : null,
+			Occurrence: rule ? 1 : null,
+			Timezone: zone,
+			// Urgent messages are delivered even during the recipient's quiet hours.
+			Urgent: String(urgent) === "true" ? "true" : null
 		}));
 
-        if (newRows.length > 0) {
-		    await sheet.addRows(newRows);
-        }
+		await getCollection('Schedule').insert(newRows);
 
 		io.emit("queue:scheduled", newRows);
 		
@@ -150,6 +341,9 @@ app.post("/api/schedule", upload.single("media"), async (req, res) => {
 			success: true,
 			batchId,
 			created: recipientList.length,
+			skipped: unregistered,
+			groups: expanded.map(({ token, tag, count }) => ({ token, tag, count })),
+			warnings,
 			message: `Scheduled ${recipientList.length} message(s) successfully`
 		});
 	} catch (e) {
@@ -158,306 +352,1648 @@ app.post("/api/schedule", upload.single("media"), async (req, res) => {
 	}
 });
 
+/**
+ * Splits numbers by WhatsApp registration. Numbers that can't be looked up
+ * right now (bot offline, lookup error) are reported as unchecked rather than
+ * blocked.
+ * @param {string[]} phones E.164 numbers.
+ */
+async function checkRegistration(phones) {
+	let results = new Map();
+	try {
+		results = await checkWhatsAppNumbers(phones);
+	} catch (e) {
+		logger.warn({ err: e }, "WhatsApp registration check failed");
+	}
+	return {
+		unregistered: phones.filter(phone => results.get(phone)?.exists === false),
+		unchecked: phones.filter(phone => !results.has(phone))
+	};
+}
+
+// When a queued row will next be attempted, accounting for retries and holds.
+function getNextRunAt(row) {
+	if (row.Status !== "pending" && row.Status !== "retrying") return null;
+	const due = row.Status === "retrying" ? row.NextAttemptAt : row.SendAt;
+	if (row.HoldUntil && dayjs(row.HoldUntil).isAfter(dayjs(due))) return row.HoldUntil;
+	return due;
+}
+
 app.get("/api/schedule", async (req, res) => {
 	try {
-		const sheet = await getSheet('Schedule');
-		const rows = await sheet.getRows();
+		const rows = await getCollection('Schedule').list();
 		const schedule = rows.map(row => ({
-			id: row.get('ID'),
-			batchId: row.get('BatchID'),
-			recipient: row.get('Recipient'),
-			caption: row.get('Caption'),
-			mediaUrl: row.get('MediaUrl'),
-			mediaType: row.get('MediaType'),
-			sendAt: row.get('SendAt'),
-			status: row.get('Status'),
-			error: row.get('Error'),
-			sentAt: row.get('SentAt'),
+			id: row.ID,
+			batchId: row.BatchID,
+			recipient: row.Recipient,
+			caption: row.Caption,
+			mediaId: row.MediaID,
+			templateId: row.TemplateID,
+			mediaUrl: row.MediaUrl,
+			mediaType: row.MediaType,
+			sendAt: row.SendAt,
+			status: row.Status,
+			error: row.Error,
+			sentAt: row.SentAt,
+			recurrence: row.Recurrence,
+			recurrenceText: row.Recurrence ? describeRule(row.Recurrence) : null,
+			repeatUntil: row.RepeatUntil,
+			repeatCount: row.RepeatCount ? Number(row.RepeatCount) : null,
+			occurrence: row.Occurrence ? Number(row.Occurrence) : null,
+			nextRunAt: getNextRunAt(row),
+			attempts: Number(row.Attempts) || 0,
+			nextAttemptAt: row.NextAttemptAt,
+			errorType: row.ErrorType,
+			holdUntil: row.HoldUntil,
+			holdReason: row.HoldReason,
+			timezone: row.Timezone || getTimezone(),
+			urgent: row.Urgent === "true",
 		}));
 		res.json(schedule);
 	} catch (e) {
-		logger.error({ err: e }, "Failed to get schedule from Google Sheet");
+		logger.error({ err: e }, "Failed to get schedule");
 		res.status(500).json({ error: "Failed to retrieve schedule" });
 	}
 });
 
 app.post("/api/schedule/clear", async (req, res) => {
 	try {
-		const sheet = await getSheet('Schedule');
-		const rows = await sheet.getRows();
-		const toDelete = rows.filter(r => r.get('Status') === 'sent' || r.get('Status') === 'failed');
-		for (let i = toDelete.length - 1; i >= 0; i--) {
-			await toDelete[i].delete();
+		const scheduleStore = getCollection('Schedule');
+		const finished = await scheduleStore.list(r => r.Status === 'sent' || r.Status === 'failed' || r.Status === 'cancelled');
+		const finishedIds = new Set(finished.map(r => r.ID));
+		const cleared = await scheduleStore.delete(r => finishedIds.has(r.ID));
+		for (const url of new Set(finished.map(r => r.MediaUrl).filter(Boolean))) {
+			await releaseMedia(url);
 		}
-		res.json({ success: true, message: `Cleared ${toDelete.length} finished jobs.` });
+		res.json({ success: true, message: `Cleared ${cleared} finished jobs.` });
 	} catch (e) {
 		logger.error({ err: e }, "Failed to clear schedule");
 		res.status(500).json({ error: "Failed to clear schedule" });
 	}
 });
 
-app.get("/api/contacts", async (req, res) => {
+app.post("/api/schedule/retry-failed", async (req, res) => {
 	try {
-		const sheet = await getSheet('Contacts');
-		const rows = await sheet.getRows();
-		const contacts = rows.map(row => ({
-			id: row.get('ID'),
-			name: row.get('Name'),
-			phone: row.get('Phone'),
-		}));
-		res.json(contacts);
+		const requeued = await requeueFailed(() => true, io);
+		res.json({ success: true, requeued, message: `Requeued ${requeued} failed message(s).` });
 	} catch (e) {
-		logger.error({ err: e }, "Failed to get contacts from Google Sheet");
-		res.status(500).json({ error: "Failed to retrieve contacts" });
+		logger.error({ err: e }, "Failed to retry failed messages");
+		res.status(500).json({ error: "Failed to retry failed messages" });
 	}
 });
 
-app.post("/api/contacts/import-vcf", upload.single("vcf"), async (req, res) => {
-	if (!req.file) {
-		return res.status(400).json({ error: "VCF file is required." });
+app.post("/api/schedule/batch/:batchId/retry", async (req, res) => {
+	try {
+		const requeued = await requeueFailed({ BatchID: req.params.batchId }, io);
+		if (requeued === 0) {
+			return res.status(404).json({ error: "No failed messages in this batch" });
+		}
+		res.json({ success: true, requeued, message: `Requeued ${requeued} failed message(s) in batch.` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to retry batch");
+		res.status(500).json({ error: "Failed to retry batch" });
+	}
+});
+
+app.post("/api/schedule/:id/retry", async (req, res) => {
+	try {
+		const row = await getCollection('Schedule').find(req.params.id);
+		if (!row) {
+			return res.status(404).json({ error: "Message not found" });
+		}
+		if (row.Status !== "failed") {
+			return res.status(400).json({ error: `Only failed messages can be retried (status is ${row.Status})` });
+		}
+		await requeueFailed(req.params.id, io);
+		res.json({ success: true, message: "Message requeued" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to retry message");
+		res.status(500).json({ error: "Failed to retry message" });
+	}
+});
+
+// Rows that haven't reached a final state (sent, failed or cancelled) can still be changed.
+const OPEN_STATUSES = ["pending", "retrying", "paused"];
+const isOpenRow = (row) => OPEN_STATUSES.includes(row.Status);
+
+/**
+ * Applies a patch to each row and tells dashboards about every change.
+ * @param {object[]} rows
+ * @param {(row: object) => object} patchFor Builds the patch for one row.
+ * @returns {Promise<number>} Number of rows updated.
+ */
+async function updateScheduleRows(rows, patchFor) {
+	const scheduleStore = getCollection('Schedule');
+	for (const row of rows) {
+		const updated = await scheduleStore.update(row.ID, patchFor(row));
+		io.emit("queue:item", {
+			id: updated.ID,
+			status: updated.Status,
+			error: updated.Error,
+			attempts: Number(updated.Attempts) || 0,
+			nextAttemptAt: updated.NextAttemptAt,
+			holdUntil: updated.HoldUntil,
+			holdReason: updated.HoldReason
+		});
+	}
+	if (rows.length > 0) {
+		await emitQueueUpdate(io);
+	}
+	return rows.length;
+}
+
+// A new send time replaces any retry timer or hold; a paused row stays paused.
+function reschedulePatch(row, sendAt) {
+	const patch = { SendAt: sendAt, HoldUntil: null, HoldReason: null };
+	if (row.Status === "retrying") {
+		patch.Status = "pending";
+		patch.NextAttemptAt = null;
+	}
+	return patch;
+}
+
+async function cancelScheduleRows(rows) {
+	const cancelled = await updateScheduleRows(rows, () => ({ Status: "cancelled", HoldUntil: null, HoldReason: null }));
+	for (const url of new Set(rows.map(r => r.MediaUrl).filter(Boolean))) {
+		await releaseMedia(url);
 	}
+	return cancelled;
+}
+
+async function findOpenBatchRows(batchId) {
+	return getCollection('Schedule').list(r => r.BatchID === batchId && isOpenRow(r));
+}
+
+app.patch("/api/schedule/:id", async (req, res) => {
 	try {
-		const vcfData = await fsp.readFile(req.file.path, "utf-8");
-		const lines = vcfData.split(/\r\n|\r|\n/);
-		
-		const contacts = [];
-		let currentContact = {};
-		
-		for (const line of lines) {
-			if (line.startsWith("BEGIN:VCARD")) {
-				currentContact = {};
-			} else if (line.startsWith("END:VCARD")) {
-				if (currentContact.name && currentContact.phone) {
-					contacts.push(currentContact);
-				}
-			} else if (line.startsWith("FN:")) {
-				currentContact.name = line.substring(3).trim();
-			} else if (line.startsWith("TEL;")) {
-				currentContact.phone = line.split(":").pop().replace(/[^\d+]/g, "").trim();
+		const row = await getCollection('Schedule').find(req.params.id);
+		if (!row) {
+			return res.status(404).json({ error: "Message not found" });
+		}
+		if (!isOpenRow(row)) {
+			return res.status(400).json({ error: `Only unsent messages can be edited (status is ${row.Status})` });
+		}
+
+		const { caption, recipient, sendAt, urgent } = req.body;
+		let patch = {};
+		if (caption !== undefined) {
+			patch.Caption = caption || null;
+		}
+		if (recipient !== undefined) {
+			try {
+				patch.Recipient = normalizePhone(recipient);
+			} catch (err) {
+				return res.status(400).json({ error: err.message });
+			}
+			const { unregistered } = await checkRegistration([patch.Recipient]);
+			if (unregistered.length > 0) {
+				return res.status(400).json({ error: `Not on WhatsApp: ${patch.Recipient}`, unregistered });
 			}
 		}
-		
-		if (contacts.length > 0) {
-			const sheet = await getSheet('Contacts');
-			const rows = await sheet.getRows();
-			const existingPhones = new Set(rows.map(row => row.get('Phone')));
-			
-			const newContacts = contacts.filter(c => !existingPhones.has(c.phone));
-			
-			if (newContacts.length > 0) {
-				const newRows = newContacts.map(c => ({
-					ID: nanoid(),
-					Name: c.name,
-					Phone: c.phone,
-					CreatedAt: new Date().toISOString()
-				}));
-				await sheet.addRows(newRows);
-				res.json({ success: true, message: `Imported ${newRows.length} new contacts.` });
-			} else {
-				res.json({ success: true, message: "No new contacts to import." });
+		if (sendAt !== undefined) {
+			const when = parseInTimezone(sendAt, row.Timezone || getTimezone());
+			if (!when.isValid()) {
+				return res.status(400).json({ error: "sendAt must be a valid date" });
 			}
-		} else {
-			res.status(400).json({ error: "No contacts found in VCF file." });
+			patch = { ...patch, ...reschedulePatch(row, when.toISOString()) };
+		}
+		if (urgent !== undefined) {
+			patch.Urgent = String(urgent) === "true" ? "true" : null;
+			// Marking a message urgent releases it from a quiet-hours hold straight away.
+			if (patch.Urgent && isQuietHoursHold(row)) {
+				patch.HoldUntil = null;
+				patch.HoldReason = null;
+			}
+		}
+		if (Object.keys(patch).length === 0) {
+			return res.status(400).json({ error: "Nothing to update. Provide caption, recipient, sendAt or urgent" });
+		}
+		if ("Caption" in patch && !patch.Caption && !row.MediaUrl) {
+			return res.status(400).json({ error: "A message without media needs a caption" });
 		}
+
+		await updateScheduleRows([row], () => patch);
+		res.json({ success: true, message: "Message updated" });
 	} catch (e) {
-		logger.error({ err: e }, "Failed to import VCF");
-		res.status(500).json({ error: "Failed to process VCF file." });
-	} finally {
-		await fsp.unlink(req.file.path);
+		logger.error({ err: e }, "Failed to update scheduled message");
+		res.status(500).json({ error: "Failed to update scheduled message" });
 	}
 });
 
-app.get("/api/contacts/export-csv", async (req, res) => {
-    try {
-        const sheet = await getSheet('Contacts');
-        const rows = await sheet.getRows();
-        if (rows.length === 0) {
-            return res.status(404).send("No contacts to export.");
-        }
-        
-        const headers = rows[0].sheet.headerValues;
-        const csvRows = [headers.join(',')];
-
-        for (const row of rows) {
-            const values = headers.map(header => {
-                const value = row.get(header) || '';
-                // Escape commas and quotes
-                const escaped = value.replace(/"/g, '""');
-                if (escaped.includes(',')) {
-                    return `"${escaped}"`;
-                }
-                return escaped;
-            });
-            csvRows.push(values.join(','));
-        }
+app.delete("/api/schedule/:id", async (req, res) => {
+	try {
+		const row = await getCollection('Schedule').find(req.params.id);
+		if (!row) {
+			return res.status(404).json({ error: "Message not found" });
+		}
+		if (!isOpenRow(row)) {
+			return res.status(400).json({ error: `Only unsent messages can be cancelled (status is ${row.Status})` });
+		}
+		await cancelScheduleRows([row]);
+		res.json({ success: true, message: "Message cancelled" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to cancel message");
+		res.status(500).json({ error: "Failed to cancel message" });
+	}
+});
 
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', 'attachment; filename="contacts.csv"');
-        res.status(200).end(csvRows.join('\n'));
+app.post("/api/schedule/batch/:batchId/cancel", async (req, res) => {
+	try {
+		const cancelled = await cancelScheduleRows(await findOpenBatchRows(req.params.batchId));
+		if (cancelled === 0) {
+			return res.status(404).json({ error: "No unsent messages in this batch" });
+		}
+		res.json({ success: true, cancelled, message: `Cancelled ${cancelled} message(s) in batch.` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to cancel batch");
+		res.status(500).json({ error: "Failed to cancel batch" });
+	}
+});
 
-    } catch (e) {
-        logger.error({ err: e }, "Failed to export contacts to CSV");
-        res.status(500).send("Failed to export contacts.");
-    }
+app.post("/api/schedule/batch/:batchId/pause", async (req, res) => {
+	try {
+		const rows = (await findOpenBatchRows(req.params.batchId)).filter(r => r.Status !== "paused");
+		const paused = await updateScheduleRows(rows, () => ({ Status: "paused" }));
+		if (paused === 0) {
+			return res.status(404).json({ error: "No queued messages in this batch" });
+		}
+		res.json({ success: true, paused, message: `Paused ${paused} message(s) in batch.` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to pause batch");
+		res.status(500).json({ error: "Failed to pause batch" });
+	}
 });
 
-app.get("/api/birthdays", async (req, res) => {
+app.post("/api/schedule/batch/:batchId/resume", async (req, res) => {
 	try {
-		const sheet = await getSheet('Birthdays');
-		const rows = await sheet.getRows();
-		const birthdays = rows.map(row => ({
-			id: row.get('ID'),
-			name: row.get('Name'),
-			phone: row.get('Phone'),
-			birthday: row.get('Birthday'),
-		}));
-		res.json(birthdays);
+		const rows = (await findOpenBatchRows(req.params.batchId)).filter(r => r.Status === "paused");
+		// Rows paused while waiting for a retry go back to waiting for it.
+		const resumed = await updateScheduleRows(rows, row => ({ Status: row.NextAttemptAt ? "retrying" : "pending" }));
+		if (resumed === 0) {
+			return res.status(404).json({ error: "No paused messages in this batch" });
+		}
+		res.json({ success: true, resumed, message: `Resumed ${resumed} message(s) in batch.` });
 	} catch (e) {
-		logger.error({ err: e }, "Failed to get birthdays from Google Sheet");
-		res.status(500).json({ error: "Failed to retrieve birthdays" });
+		logger.error({ err: e }, "Failed to resume batch");
+		res.status(500).json({ error: "Failed to resume batch" });
 	}
 });
 
-app.post("/api/birthdays", async (req, res) => {
+app.post("/api/schedule/batch/:batchId/reschedule", async (req, res) => {
 	try {
-		const { name, phone, birthday, gender, relationship, customMessage } = req.body;
-		
-		if (!name || !phone || !birthday || !gender || !relationship) {
-			return res.status(400).json({ error: "Missing required fields: name, phone, birthday, gender, relationship" });
+		const { sendAt } = req.body;
+		if (!sendAt || !parseInTimezone(sendAt).isValid()) {
+			return res.status(400).json({ error: "sendAt must be a valid date" });
 		}
-		
-		if (!/^\d{4}-\d{2}-\d{2}$/.test(birthday)) {
-			return res.status(400).json({ error: "Birthday must be in YYYY-MM-DD format" });
+		// Each row keeps the zone it was scheduled in, so wall-clock times mean the same thing as at creation.
+		const rescheduled = await updateScheduleRows(
+			await findOpenBatchRows(req.params.batchId),
+			row => reschedulePatch(row, parseInTimezone(sendAt, row.Timezone || getTimezone()).toISOString())
+		);
+		if (rescheduled === 0) {
+			return res.status(404).json({ error: "No unsent messages in this batch" });
 		}
-		
-		if (!['male', 'female'].includes(gender.toLowerCase())) {
-			return res.status(400).json({ error: "Gender must be 'male' or 'female'" });
+		res.json({ success: true, rescheduled, message: `Rescheduled ${rescheduled} message(s) in batch.` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to reschedule batch");
+		res.status(500).json({ error: "Failed to reschedule batch" });
+	}
+});
+
+app.get("/api/queue/state", async (req, res) => {
+	try {
+		res.json({ paused: isQueuePaused(), size: await getQueueSize() });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get queue state");
+		res.status(500).json({ error: "Failed to get queue state" });
+	}
+});
+
+app.post("/api/queue/pause", async (req, res) => {
+	try {
+		await setQueuePaused(true, io);
+		res.json({ success: true, paused: true, message: "Queue paused. Nothing will be sent until it is resumed." });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to pause queue");
+		res.status(500).json({ error: "Failed to pause queue" });
+	}
+});
+
+app.post("/api/queue/resume", async (req, res) => {
+	try {
+		await setQueuePaused(false, io);
+		res.json({ success: true, paused: false, message: "Queue resumed" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to resume queue");
+		res.status(500).json({ error: "Failed to resume queue" });
+	}
+});
+
+app.get("/api/media", async (req, res) => {
+	try {
+		const [media, scheduleRows] = await Promise.all([
+			getCollection('Media').list(),
+			getCollection('Schedule').list()
+		]);
+		const inUse = referencedMediaUrls(scheduleRows);
+		res.json(media.map(record => ({ ...toMediaResponse(record), inUse: inUse.has(record.Url) })));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get media library");
+		res.status(500).json({ error: "Failed to retrieve media library" });
+	}
+});
+
+app.post("/api/media", upload.single("media"), async (req, res) => {
+	if (!req.file) {
+		return res.status(400).json({ error: "Media file is required." });
+	}
+	try {
+		const record = await registerUpload(req.file, { keep: true });
+		res.json({ success: true, media: toMediaResponse(record) });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to add media to library");
+		res.status(500).json({ error: "Failed to add media" });
+	}
+});
+
+app.delete("/api/media/:id", async (req, res) => {
+	try {
+		const record = await findMedia(req.params.id);
+		if (!record) {
+			return res.status(404).json({ error: "Media not found" });
 		}
-		
-		const validRelationships = ['friend', 'family', 'relative', 'other'];
-		if (!validRelationships.includes(relationship.toLowerCase())) {
-			return res.status(400).json({ error: "Invalid relationship" });
+		const inUse = referencedMediaUrls(await getCollection('Schedule').list());
+		if (inUse.has(record.Url)) {
+			return res.status(409).json({ error: "Media is still used by queued messages" });
 		}
-		
-		const sheet = await getSheet('Birthdays');
-		const rows = await sheet.getRows();
-		const existingPhones = new Set(rows.map(row => row.get('Phone')));
+		const cardOf = (await getCollection('Events').list()).map(toEventResponse).find(event => event.cardMediaIds.includes(record.ID));
+		if (cardOf) {
+			return res.status(409).json({ error: `Media is the card photo of ${cardOf.name}'s ${eventLabel(cardOf)}` });
+		}
+		await fsp.rm(mediaPath(record.Url), { force: true });
+		await getCollection('Media').delete(record.ID);
+		res.json({ success: true, message: "Media deleted" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to delete media");
+		res.status(500).json({ error: "Failed to delete media" });
+	}
+});
 
-		if (existingPhones.has(phone)) {
-			return res.status(400).json({ error: "Birthday already exists for this phone number" });
+app.get("/api/templates", async (req, res) => {
+	try {
+		const templates = await getCollection('Templates').list();
+		res.json(templates.map(toTemplateResponse).sort((a, b) => String(a.name).localeCompare(String(b.name))));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get templates");
+		res.status(500).json({ error: "Failed to retrieve templates" });
+	}
+});
+
+app.post("/api/templates", async (req, res) => {
+	try {
+		const { name, body } = req.body;
+		if (!name || !String(name).trim() || !body || !String(body).trim()) {
+			return res.status(400).json({ error: "Name and body are required" });
 		}
-		
-		const newBirthday = {
+		const now = new Date().toISOString();
+		const record = {
 			ID: nanoid(),
-			Name: name,
-			Phone: phone,
-			Birthday: birthday,
-			Gender: gender.toLowerCase(),
-			Relationship: relationship.toLowerCase(),
-			CustomMessage: customMessage || null,
-			CreatedAt: new Date().toISOString()
+			Name: String(name).trim(),
+			Body: String(body),
+			CreatedAt: now,
+			UpdatedAt: now
 		};
-		
-		await sheet.addRow(newBirthday);
-	
-		logger.info("Added birthday to Google Sheet:", newBirthday);
-		res.json({ success: true, birthday: newBirthday });
+		await getCollection('Templates').insert(record);
+		res.json({ success: true, template: toTemplateResponse(record), message: "Template saved" });
 	} catch (e) {
-		logger.error({ err: e }, "failed to add birthday to Google Sheet");
-		res.status(500).json({ error: "Failed to add birthday" });
+		logger.error({ err: e }, "Failed to create template");
+		res.status(500).json({ error: "Failed to create template" });
 	}
 });
 
-app.delete("/api/birthdays/:id", async (req, res) => {
-    try {
-        const { id } = req.params;
-        const sheet = await getSheet('Birthdays');
-        const rows = await sheet.getRows();
-        const rowToDelete = rows.find(r => r.get('ID') === id);
-        if (rowToDelete) {
-            await rowToDelete.delete();
-            res.json({ success: true, message: "Birthday deleted" });
-        } else {
-            res.status(404).json({ error: "Birthday not found" });
-        }
-    } catch (e) {
-        logger.error({ err: e }, "Failed to delete birthday");
-        res.status(500).json({ error: "Failed to delete birthday" });
-    }
+app.patch("/api/templates/:id", async (req, res) => {
+	try {
+		const { name, body } = req.body;
+		const patch = {};
+		if (name !== undefined) {
+			if (!String(name).trim()) return res.status(400).json({ error: "Name cannot be empty" });
+			patch.Name = String(name).trim();
+		}
+		if (body !== undefined) {
+			if (!String(body).trim()) return res.status(400).json({ error: "Body cannot be empty" });
+			patch.Body = String(body);
+		}
+		if (Object.keys(patch).length === 0) {
+			return res.status(400).json({ error: "Nothing to update. Provide name or body" });
+		}
+		patch.UpdatedAt = new Date().toISOString();
+		const record = await getCollection('Templates').update(req.params.id, patch);
+		if (!record) {
+			return res.status(404).json({ error: "Template not found" });
+		}
+		res.json({ success: true, template: toTemplateResponse(record), message: "Template updated" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to update template");
+		res.status(500).json({ error: "Failed to update template" });
+	}
 });
 
-app.post("/api/birthdays/preview-message", async (req, res) => {
-    try {
-        const { name, gender, relationship } = req.body;
-        if (!name || !gender || !relationship) {
-            return res.status(400).json({ error: "Name, gender, and relationship are required." });
-        }
-        // This is a placeholder for a function that would call the AI
-        // In a real scenario, you would import and call generateBirthdayMessage from baileys.js
-        const message = `Happy birthday, ${name}! Wishing you all the best.`;
-        res.json({ success: true, message });
-    } catch (e) {
-        logger.error({ err: e }, "Failed to preview birthday message");
-        res.status(500).json({ error: "Failed to generate preview" });
-    }
+app.delete("/api/templates/:id", async (req, res) => {
+	try {
+		const deleted = await getCollection('Templates').delete(req.params.id);
+		if (!deleted) {
+			return res.status(404).json({ error: "Template not found" });
+		}
+		res.json({ success: true, message: "Template deleted" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to delete template");
+		res.status(500).json({ error: "Failed to delete template" });
+	}
 });
 
-app.get("/api/finance/analysis", async (req, res) => {
-    try {
-        const sheet = await getSheet('Finances');
-        const rows = await sheet.getRows();
-        const now = dayjs.tz(undefined, "Asia/Colombo");
-        const startOfMonth = now.startOf('month');
-
-        let totalIncome = 0;
-        let totalExpenses = 0;
-        const categoryTotals = {};
-
-        for (const row of rows) {
-            const rowDate = dayjs(row.get('Date'));
-            if (rowDate.isAfter(startOfMonth)) {
-                const type = row.get('Type');
-                const amount = parseFloat(row.get('Amount'));
-                const category = row.get('Category') || 'Uncategorized';
-
-                if (!isNaN(amount)) {
-                    if (type === 'Income') {
-                        totalIncome += amount;
-                    } else if (type === 'Expense') {
-                        totalExpenses += amount;
-                        categoryTotals[category] = (categoryTotals[category] || 0) + amount;
-                    }
-                }
-            }
-        }
+// Renders a saved template (templateId) or ad-hoc text (body) for one contact (contactId or phone).
+app.post("/api/templates/preview", async (req, res) => {
+	try {
+		const { templateId, body, contactId, phone } = req.body;
+		let text = body;
+		if (templateId) {
+			const template = await getCollection('Templates').find(templateId);
+			if (!template) {
+				return res.status(404).json({ error: "Template not found" });
+			}
+			text = template.Body;
+		}
+		if (!text) {
+			return res.status(400).json({ error: "Provide templateId or body" });
+		}
 
-        const categoryBreakdown = Object.entries(categoryTotals)
-            .map(([name, total]) => ({ name, total }))
-            .sort((a, b) => b.total - a.total);
+		const contactStore = getCollection('Contacts');
+		let contact = null;
+		if (contactId) {
+			contact = await contactStore.find(contactId);
+			if (!contact) {
+				return res.status(404).json({ error: "Contact not found" });
+			}
+		} else if (phone) {
+			contact = findContactByPhone(await contactStore.list(), phone);
+		}
 
-        res.json({
-            totalIncome: totalIncome.toFixed(2),
-            totalExpenses: totalExpenses.toFixed(2),
-            netBalance: (totalIncome - totalExpenses).toFixed(2),
-            categoryBreakdown,
-            month: now.format("MMMM YYYY"),
-        });
+		const variables = contactVariables(contact, { phone });
+		res.json({
+			rendered: renderTemplate(text, variables),
+			missing: missingVariables(text, variables),
+			contact: contact ? { id: contact.ID, name: contact.Name, phone: contact.Phone } : null
+		});
+	} catch (e) {
+		logger.error({ err: e }, "Failed to preview template");
+		res.status(500).json({ error: "Failed to preview template" });
+	}
+});
 
-    } catch (e) {
-        logger.error({ err: e }, "Failed to generate finance analysis");
-        res.status(500).json({ error: "Failed to generate finance analysis" });
-    }
+// Optional search (`q`), tag filter and paging (`offset`, `limit`); the
+// total number of matches is sent in the X-Total-Count header.
+app.get("/api/contacts", async (req, res) => {
+	try {
+		const { q, tag } = req.query;
+		const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+		const limit = parseInt(req.query.limit, 10) || null;
+		const wantedTag = tag ? normalizeTag(tag) : null;
+		const rows = (await getCollection('Contacts').list())
+			.filter(row => matchesSearch(row, q) && (!wantedTag || parseTags(row.Tags).includes(wantedTag)))
+			.sort((a, b) => String(a.Name ?? "").localeCompare(String(b.Name ?? "")));
+		res.setHeader('X-Total-Count', rows.length);
+		res.json(rows.slice(offset, limit ? offset + limit : undefined).map(toContactResponse));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get contacts");
+		res.status(500).json({ error: "Failed to retrieve contacts" });
+	}
 });
 
+/**
+ * Reads contact fields from a request body into a record patch. Only fields
+ * present in the body are included.
+ * @returns {{ patch: object, error?: string }}
+ */
+function contactPatchFromBody({ name, phone, email, org, note, birthday, tags, timezone, quietHours }) {
+	const patch = {};
+	const text = (value) => (value === null || !String(value).trim() ? null : String(value).trim());
+	if (name !== undefined) {
+		if (!text(name)) return { patch, error: "Name cannot be empty" };
+		patch.Name = text(name);
+	}
+	if (phone !== undefined) {
+		try {
+			patch.Phone = normalizePhone(phone);
+		} catch (err) {
+			return { patch, error: err.message };
+		}
+	}
+	if (email !== undefined) patch.Email = text(email);
+	if (org !== undefined) patch.Org = text(org);
+	if (note !== undefined) patch.Note = text(note);
+	if (birthday !== undefined) {
+		patch.Birthday = text(birthday) ? parseBirthday(birthday) : null;
+		if (text(birthday) && !patch.Birthday) return { patch, error: "Birthday must be YYYY-MM-DD or --MM-DD" };
+	}
+	if (tags !== undefined) patch.Tags = formatTags(parseTags(tags ?? []));
+	if (timezone !== undefined) {
+		if (text(timezone) && !isValidTimezone(text(timezone))) return { patch, error: `Unknown timezone "${timezone}"` };
+		patch.Timezone = text(timezone);
+	}
+	if (quietHours !== undefined) {
+		try {
+			patch.QuietHours = normalizeQuietHours(quietHours);
+		} catch (err) {
+			return { patch, error: err.message };
+		}
+	}
+	return { patch };
+}
+
+// The contact already using one of these numbers, if any.
+async function findContactWithPhone(phone, exceptId) {
+	const key = phoneKey(phone);
+	const contacts = await getCollection('Contacts').list();
+	return contacts.find(c => c.ID !== exceptId && contactPhoneKeys(c).includes(key)) || null;
+}
 
-// Socket.IO connection
-io.on("connection", (socket) => {
+app.post("/api/contacts", async (req, res) => {
+	try {
+		if (!req.body.name || !req.body.phone) {
+			return res.status(400).json({ error: "Name and phone are required" });
+		}
+		const { patch, error } = contactPatchFromBody(req.body);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+		const existing = await findContactWithPhone(patch.Phone);
+		if (existing) {
+			return res.status(400).json({ error: `${patch.Phone} is already saved as ${existing.Name}`, duplicateOf: existing.ID });
+		}
+		const record = { ID: nanoid(), ...patch, Source: "manual", CreatedAt: new Date().toISOString() };
+		await getCollection('Contacts').insert(record);
+		if (record.Tags) await ensureGroups(parseTags(record.Tags));
+		res.json({ success: true, contact: toContactResponse(record), message: `${record.Name} added` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to create contact");
+		res.status(500).json({ error: "Failed to create contact" });
+	}
+});
+
+// Groups of contacts sharing a number or with similar names.
+app.get("/api/contacts/duplicates", async (req, res) => {
+	try {
+		const groups = findDuplicates(await getCollection('Contacts').list());
+		res.json(groups.map(g => ({ reasons: g.reasons, contacts: g.contacts.map(toContactResponse) })));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to find duplicate contacts");
+		res.status(500).json({ error: "Failed to find duplicate contacts" });
+	}
+});
+
+// Merges contacts into `primaryId`; the others are deleted.
+app.post("/api/contacts/merge", async (req, res) => {
+	try {
+		const { primaryId, ids } = req.body;
+		if (!primaryId || !Array.isArray(ids) || ids.filter(id => id !== primaryId).length === 0) {
+			return res.status(400).json({ error: "primaryId and the ids to merge into it are required" });
+		}
+		const contactsStore = getCollection('Contacts');
+		const contacts = await contactsStore.list();
+		const primary = contacts.find(c => c.ID === primaryId);
+		const others = contacts.filter(c => ids.includes(c.ID) && c.ID !== primaryId);
+		if (!primary || others.length !== new Set(ids.filter(id => id !== primaryId)).size) {
+			return res.status(404).json({ error: "Contact not found" });
+		}
+		const patch = mergeContacts(primary, others);
+		const record = Object.keys(patch).length > 0 ? await contactsStore.update(primary.ID, patch) : primary;
+		await contactsStore.delete(c => others.some(o => o.ID === c.ID));
+		res.json({ success: true, contact: toContactResponse(record), merged: others.length, message: `Merged ${others.length} contact(s) into ${record.Name}` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to merge contacts");
+		res.status(500).json({ error: "Failed to merge contacts" });
+	}
+});
+
+app.patch("/api/contacts/:id", async (req, res) => {
+	try {
+		const contactsStore = getCollection('Contacts');
+		const contact = await contactsStore.find(req.params.id);
+		if (!contact) {
+			return res.status(404).json({ error: "Contact not found" });
+		}
+		const { patch, error } = contactPatchFromBody(req.body);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+		if (Object.keys(patch).length === 0) {
+			return res.status(400).json({ error: "Nothing to update" });
+		}
+		if (patch.Phone && phoneKey(patch.Phone) !== phoneKey(contact.Phone)) {
+			const existing = await findContactWithPhone(patch.Phone, contact.ID);
+			if (existing) {
+				return res.status(400).json({ error: `${patch.Phone} is already saved as ${existing.Name}`, duplicateOf: existing.ID });
+			}
+			// The registration check was for the old number.
+			Object.assign(patch, { OnWhatsApp: null, WhatsAppJid: null, WhatsAppCheckedAt: null });
+		}
+		const record = await contactsStore.update(contact.ID, patch);
+		if (patch.Tags) await ensureGroups(parseTags(patch.Tags));
+		res.json({ success: true, contact: toContactResponse(record), message: "Contact updated" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to update contact");
+		res.status(500).json({ error: "Failed to update contact" });
+	}
+});
+
+app.delete("/api/contacts/:id", async (req, res) => {
+	try {
+		const deleted = await getCollection('Contacts').delete(req.params.id);
+		if (!deleted) {
+			return res.status(404).json({ error: "Contact not found" });
+		}
+		res.json({ success: true, message: "Contact deleted" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to delete contact");
+		res.status(500).json({ error: "Failed to delete contact" });
+	}
+});
+
+/**
+ * Works out what importing parsed contacts would do, without saving anything:
+ * a report entry per contact (imported, duplicate or skipped with a reason),
+ * the new Contacts rows, and birthdays to offer for Birthday Reminders.
+ * @param {object[]} cards Contacts as read by `parseCard` or `contactFromCsvRecord`.
+ * @param {string} source Value for the Source column.
+ */
+async function planContactImport(cards, source) {
+	const [existingContacts, existingBirthdays] = await Promise.all([
+		getCollection('Contacts').list(),
+		getCollection('Events').list({ Type: "birthday" })
+	]);
+	const knownPhones = new Set(existingContacts.flatMap(contactPhoneKeys));
+	const birthdayPhones = new Set(existingBirthdays.map(row => phoneKey(row.Phone)));
+
+	// One report entry per card, in file order
+	const report = [];
+	const newRows = [];
+	const birthdays = [];
+	cards.forEach((card, index) => {
+		const entry = { index: index + 1, name: card.name, phone: card.phone, phones: card.phones, invalidPhones: card.invalidPhones, birthday: card.birthday };
+		if (card.invalidBirthday) {
+			entry.warning = `Birthday "${card.invalidBirthday}" not understood`;
+		}
+		if (card.phones.length === 0) {
+			const reason = card.invalidPhones.length > 0 ? card.invalidPhones.map(p => p.error).join("; ") : "No phone number";
+			report.push({ ...entry, status: "skipped", reason });
+			return;
+		}
+		if (!card.name) {
+			report.push({ ...entry, status: "skipped", reason: "No name" });
+			return;
+		}
+
+		const duplicateOf = card.phones.find(p => knownPhones.has(p.number));
+		if (duplicateOf) {
+			report.push({ ...entry, status: "duplicate", reason: `${duplicateOf.number} is already in contacts` });
+		} else {
+			card.phones.forEach(p => knownPhones.add(p.number));
+			newRows.push({
+				ID: nanoid(),
+				Name: card.name,
+				Phone: card.phone,
+				Phones: card.phones.length > 1 ? formatPhones(card.phones) : null,
+				Email: card.emails.join(", ") || null,
+				Org: card.org,
+				Note: card.note,
+				Birthday: card.birthday,
+				Tags: formatTags(parseTags(card.categories || [])),
+				Source: source,
+				CreatedAt: new Date().toISOString()
+			});
+			report.push({ ...entry, status: "imported" });
+		}
+
+		// Birthdays need a year; they are offered, not created, so the user can fill in gender and relationship.
+		if (card.birthday && !card.birthday.startsWith("--") && !birthdayPhones.has(card.phone)) {
+			birthdayPhones.add(card.phone);
+			birthdays.push({ name: card.name, phone: card.phone, birthday: card.birthday, gender: card.gender });
+		}
+	});
+
+	const count = (status) => report.filter(r => r.status === status).length;
+	const summary = { imported: count("imported"), duplicates: count("duplicate"), skipped: count("skipped") };
+	return { report, newRows, birthdays, summary };
+}
+
+/**
+ * Saves planned contacts, creates groups for their tags and, when the bot is
+ * connected, checks them on WhatsApp.
+ * @param {object[]} newRows
+ * @returns {Promise<object|null>} The verification summary, if the check ran.
+ */
+async function saveImportedContacts(newRows) {
+	await getCollection('Contacts').insert(newRows);
+	await ensureGroups(parseTags(newRows.flatMap(row => parseTags(row.Tags))));
+	if (!getConnectionStatus().connected) return null;
+	try {
+		return await verifyContacts(checkWhatsAppNumbers, { ids: newRows.map(r => r.ID) });
+	} catch (err) {
+		logger.warn({ err }, "Failed to verify imported contacts on WhatsApp");
+		return null;
+	}
+}
+
+function importMessage({ summary, newRows }, verification, dryRun = false) {
+	const counts = `(${summary.duplicates} duplicate, ${summary.skipped} skipped)`;
+	if (dryRun) {
+		return `Preview: ${summary.imported} new contacts would be imported ${counts}.`;
+	}
+	if (newRows.length === 0) {
+		return `No new contacts to import ${counts}.`;
+	}
+	const verificationText = verification
+		? ` ${verification.notRegistered} of them not on WhatsApp.`
+		: " WhatsApp registration not checked (bot offline).";
+	return `Imported ${summary.imported} new contacts ${counts}.${verificationText}`;
+}
+
+app.post("/api/contacts/import-vcf", upload.single("vcf"), async (req, res) => {
+	if (!req.file) {
+		return res.status(400).json({ error: "VCF file is required." });
+	}
+	try {
+		const vcfData = await fsp.readFile(req.file.path, "utf-8");
+		const cards = parseVCards(vcfData);
+		if (cards.length === 0) {
+			return res.status(400).json({ error: "No contacts found in VCF file." });
+		}
+
+		const plan = await planContactImport(cards, "vcf");
+		const verification = plan.newRows.length > 0 ? await saveImportedContacts(plan.newRows) : null;
+		res.json({
+			success: true,
+			...plan.summary,
+			verification,
+			message: importMessage(plan, verification),
+			cards: plan.report,
+			birthdays: plan.birthdays
+		});
+	} catch (e) {
+		logger.error({ err: e }, "Failed to import VCF");
+		res.status(500).json({ error: "Failed to process VCF file." });
+	} finally {
+		await fsp.unlink(req.file.path);
+	}
+});
+
+// Imports contacts from CSV. `mapping` (JSON) says which column holds which
+// field; without it a guessed mapping is previewed and nothing is saved.
+// `dryRun=true` previews a given mapping.
+app.post("/api/contacts/import-csv", upload.single("csv"), async (req, res) => {
+	if (!req.file) {
+		return res.status(400).json({ error: "CSV file is required." });
+	}
+	try {
+		const { headers, records } = parseCsvRecords(await fsp.readFile(req.file.path, "utf-8"));
+		if (records.length === 0) {
+			return res.status(400).json({ error: "No rows found in CSV file." });
+		}
+
+		let mapping;
+		try {
+			mapping = req.body.mapping ? JSON.parse(req.body.mapping) : guessCsvMapping(headers);
+		} catch (err) {
+			return res.status(400).json({ error: "mapping must be valid JSON" });
+		}
+		const preview = { headers, fields: CSV_FIELDS, mapping, sample: records.slice(0, 5) };
+		const mappingError = validateCsvMapping(mapping, headers);
+		if (mappingError) {
+			return res.status(400).json({ error: mappingError, ...preview });
+		}
+
+		const dryRun = !req.body.mapping || String(req.body.dryRun) === "true";
+		const plan = await planContactImport(records.map(record => contactFromCsvRecord(record, mapping)), "csv");
+		const verification = !dryRun && plan.newRows.length > 0 ? await saveImportedContacts(plan.newRows) : null;
+		res.json({
+			success: true,
+			dryRun,
+			...preview,
+			...plan.summary,
+			verification,
+			message: importMessage(plan, verification, dryRun),
+			rows: plan.report,
+			birthdays: dryRun ? [] : plan.birthdays
+		});
+	} catch (e) {
+		logger.error({ err: e }, "Failed to import CSV");
+		res.status(500).json({ error: "Failed to process CSV file." });
+	} finally {
+		await fsp.unlink(req.file.path);
+	}
+});
+
+// Re-checks every contact (or the given ids) on WhatsApp, bypassing the cache.
+app.post("/api/contacts/verify", async (req, res) => {
+	if (!getConnectionStatus().connected) {
+		return res.status(409).json({ error: "WhatsApp is not connected" });
+	}
+	try {
+		const ids = Array.isArray(req.body.ids) ? req.body.ids : undefined;
+		const summary = await verifyContacts(checkWhatsAppNumbers, { ids, force: true });
+		res.json({
+			success: true,
+			...summary,
+			message: `Checked ${summary.checked} contact(s): ${summary.registered} on WhatsApp, ${summary.notRegistered} not${summary.invalid ? `, ${summary.invalid} with invalid numbers` : ""}.`
+		});
+	} catch (e) {
+		logger.error({ err: e }, "Failed to verify contacts");
+		res.status(500).json({ error: "Failed to verify contacts" });
+	}
+});
+
+// Known columns come first in exports, then any others found in the sheet.
+const CONTACT_EXPORT_COLUMNS = ['ID', 'Name', 'Phone', 'Phones', 'Email', 'Org', 'Birthday', 'Tags', 'Note', 'Timezone', 'QuietHours', 'OnWhatsApp', 'WhatsAppJid', 'WhatsAppCheckedAt', 'Source', 'CreatedAt'];
+
+// Contacts for export, by name, optionally limited to one tag.
+async function listContactsForExport(tag) {
+	const wantedTag = tag ? normalizeTag(tag) : null;
+	return (await getCollection('Contacts').list())
+		.filter(row => !wantedTag || parseTags(row.Tags).includes(wantedTag))
+		.sort((a, b) => String(a.Name ?? "").localeCompare(String(b.Name ?? "")));
+}
+
+app.get("/api/contacts/export-csv", async (req, res) => {
+	try {
+		const rows = await listContactsForExport(req.query.tag);
+		const extraColumns = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(key => !CONTACT_EXPORT_COLUMNS.includes(key));
+		res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+		res.setHeader('Content-Disposition', 'attachment; filename="contacts.csv"');
+		res.status(200).end(toCsv([...CONTACT_EXPORT_COLUMNS, ...extraColumns], rows));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to export contacts to CSV");
+		res.status(500).send("Failed to export contacts.");
+	}
+});
+
+app.get("/api/contacts/export-vcf", async (req, res) => {
+	try {
+		const rows = await listContactsForExport(req.query.tag);
+		res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+		res.setHeader('Content-Disposition', 'attachment; filename="contacts.vcf"');
+		res.status(200).end(rows.map(formatVCard).join(""));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to export contacts to vCard");
+		res.status(500).send("Failed to export contacts.");
+	}
+});
+
+app.get("/api/groups", async (req, res) => {
+	try {
+		const [groups, contacts] = await Promise.all([getCollection('Groups').list(), getCollection('Contacts').list()]);
+		res.json(groups.map(g => toGroupResponse(g, contacts)).sort((a, b) => a.name.localeCompare(b.name)));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get groups");
+		res.status(500).json({ error: "Failed to retrieve groups" });
+	}
+});
+
+app.post("/api/groups", async (req, res) => {
+	try {
+		const { name, description, contactIds, quietHours } = req.body;
+		const tag = normalizeTag(name);
+		if (!tag) {
+			return res.status(400).json({ error: "Name is required" });
+		}
+		let quietHoursValue = null;
+		try {
+			quietHoursValue = normalizeQuietHours(quietHours);
+		} catch (err) {
+			return res.status(400).json({ error: err.message });
+		}
+		const groupsStore = getCollection('Groups');
+		if (await groupsStore.find({ Name: tag })) {
+			return res.status(400).json({ error: `Group "${tag}" already exists` });
+		}
+		const now = new Date().toISOString();
+		const record = {
+			ID: nanoid(),
+			Name: tag,
+			Description: description ? String(description).trim() : null,
+			QuietHours: quietHoursValue,
+			CreatedAt: now,
+			UpdatedAt: now
+		};
+		await groupsStore.insert(record);
+		if (Array.isArray(contactIds) && contactIds.length > 0) {
+			await setContactsTag(contactIds, tag, true);
+		}
+		const contacts = await getCollection('Contacts').list();
+		res.json({ success: true, group: toGroupResponse(record, contacts), message: `Group "${tag}" created` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to create group");
+		res.status(500).json({ error: "Failed to create group" });
+	}
+});
+
+// Renaming a group renames the tag on its members.
+app.patch("/api/groups/:id", async (req, res) => {
+	try {
+		const { name, description, quietHours } = req.body;
+		const groupsStore = getCollection('Groups');
+		const group = await groupsStore.find(req.params.id);
+		if (!group) {
+			return res.status(404).json({ error: "Group not found" });
+		}
+		const patch = {};
+		if (name !== undefined) {
+			const tag = normalizeTag(name);
+			if (!tag) return res.status(400).json({ error: "Name cannot be empty" });
+			const existing = await groupsStore.find({ Name: tag });
+			if (existing && existing.ID !== group.ID) {
+				return res.status(400).json({ error: `Group "${tag}" already exists` });
+			}
+			patch.Name = tag;
+		}
+		if (description !== undefined) {
+			patch.Description = String(description).trim() || null;
+		}
+		if (quietHours !== undefined) {
+			try {
+				patch.QuietHours = normalizeQuietHours(quietHours);
+			} catch (err) {
+				return res.status(400).json({ error: err.message });
+			}
+		}
+		if (Object.keys(patch).length === 0) {
+			return res.status(400).json({ error: "Nothing to update. Provide name, description or quietHours" });
+		}
+		patch.UpdatedAt = new Date().toISOString();
+		const record = await groupsStore.update(group.ID, patch);
+		if (patch.Name && patch.Name !== group.Name) {
+			await renameTag(group.Name, patch.Name);
+		}
+		const contacts = await getCollection('Contacts').list();
+		res.json({ success: true, group: toGroupResponse(record, contacts), message: "Group updated" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to update group");
+		res.status(500).json({ error: "Failed to update group" });
+	}
+});
+
+// Deleting a group removes its tag from the members; the contacts are kept.
+app.delete("/api/groups/:id", async (req, res) => {
+	try {
+		const groupsStore = getCollection('Groups');
+		const group = await groupsStore.find(req.params.id);
+		if (!group) {
+			return res.status(404).json({ error: "Group not found" });
+		}
+		await groupsStore.delete(group.ID);
+		await renameTag(group.Name, null);
+		res.json({ success: true, message: `Group "${group.Name}" deleted` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to delete group");
+		res.status(500).json({ error: "Failed to delete group" });
+	}
+});
+
+// Adds and/or removes members: { add: [contactId], remove: [contactId] }.
+app.post("/api/groups/:id/members", async (req, res) => {
+	try {
+		const { add = [], remove = [] } = req.body;
+		if (!Array.isArray(add) || !Array.isArray(remove) || add.length + remove.length === 0) {
+			return res.status(400).json({ error: "Provide contact IDs to add or remove" });
+		}
+		const group = await getCollection('Groups').find(req.params.id);
+		if (!group) {
+			return res.status(404).json({ error: "Group not found" });
+		}
+		const added = await setContactsTag(add, group.Name, true);
+		const removed = await setContactsTag(remove, group.Name, false);
+		const contacts = await getCollection('Contacts').list();
+		res.json({ success: true, group: toGroupResponse(group, contacts), added, removed, message: `${added} added, ${removed} removed` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to update group members");
+		res.status(500).json({ error: "Failed to update group members" });
+	}
+});
+
+app.get("/api/events/types", (req, res) => {
+	res.json(Object.entries(EVENT_TYPES).map(([type, { label, emoji, recurrence, rules }]) => ({ type, label, emoji, recurrence, rules })));
+});
+
+app.get("/api/events", async (req, res) => {
+	try {
+		const { type } = req.query;
+		const rows = await getCollection('Events').list(type ? { Type: type } : undefined);
+		res.json(rows.map(toEventResponse).sort((a, b) => (a.date || "").slice(-5).localeCompare((b.date || "").slice(-5))));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get events");
+		res.status(500).json({ error: "Failed to retrieve events" });
+	}
+});
+
+// Checks the card fields of an event body: a known design, and library
+// images that exist. Returns what's wrong, or null.
+async function validateCardChoice({ card, cardMediaIds }) {
+	const cardError = validateCard(card);
+	if (cardError) return cardError;
+	const ids = Array.isArray(cardMediaIds) ? cardMediaIds : String(cardMediaIds ?? "").split(",").map(id => id.trim()).filter(Boolean);
+	for (const id of ids) {
+		const media = await findMedia(id);
+		if (!media) return `Media ${id} not found in library`;
+		if (!String(media.MediaType || "").startsWith("image/")) return `Media ${id} is not an image`;
+		// Files uploaded for a single send are deleted once it goes out; a card photo has to last.
+		if (String(media.Keep) !== "true") return `Media ${id} isn't kept in the library; upload it to the library first`;
+	}
+	return null;
+}
+
+app.get("/api/cards/templates", (req, res) => {
+	res.json(Object.entries(CARD_TEMPLATES).map(([name, { label }]) => ({ name, label })));
+});
+
+app.post("/api/events", async (req, res) => {
+	try {
+		const validationError = validateEvent(req.body) || await validateCardChoice(req.body);
+		if (validationError) {
+			return res.status(400).json({ error: validationError });
+		}
+		const record = toEventRecord(req.body);
+		const eventsStore = getCollection('Events');
+		const duplicate = (await eventsStore.list({ Type: record.Type })).find(row =>
+			phoneKey(row.Phone) === phoneKey(record.Phone) && (row.Title || "") === (record.Title || "")
+		);
+		if (duplicate) {
+			return res.status(400).json({ error: `${eventLabel(toEventResponse(record))} already exists for this phone number` });
+		}
+		await eventsStore.insert(record);
+		logger.info({ event: record }, "Added event");
+		res.json({ success: true, event: toEventResponse(record), message: `${eventLabel(toEventResponse(record))} added` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to add event");
+		res.status(500).json({ error: "Failed to add event" });
+	}
+});
+
+// Applies an edit to an event. Wishes and reminders already queued for it are
+// dropped, so the next event check queues them again with the new details.
+async function updateEvent(row, body) {
+	const { patch, error } = eventPatchFromBody(row, body);
+	if (error) return { error };
+	const cardError = await validateCardChoice(body);
+	if (cardError) return { error: cardError };
+
+	const scheduleStore = getCollection('Schedule');
+	const queued = await scheduleStore.list(r => r.EventID === row.ID && r.Status !== "sent");
+	if (queued.length > 0) {
+		await scheduleStore.delete(r => queued.some(q => q.ID === r.ID));
+		for (const url of new Set(queued.map(r => r.MediaUrl).filter(Boolean))) {
+			await releaseMedia(url);
+		}
+		if (queued.some(r => !r.EventReminder)) patch.LastWishFor = null;
+		if (queued.some(r => r.EventReminder)) patch.LastReminderFor = null;
+	}
+	patch.UpdatedAt = new Date().toISOString();
+	return { record: await getCollection('Events').update(row.ID, patch), requeued: queued.length };
+}
+
+// Cancels an event's queued wish and reminder so they don't go out after it's gone,
+// then deletes it. Returns whether it existed.
+async function deleteEvent(filter) {
+	const eventsStore = getCollection('Events');
+	const row = await eventsStore.find(filter);
+	if (!row) return false;
+	const queued = await getCollection('Schedule').list(r => (r.EventID === row.ID || r.BirthdayID === row.ID) && isOpenRow(r));
+	await cancelScheduleRows(queued);
+	await eventsStore.delete(row.ID);
+	return true;
+}
+
+app.patch("/api/events/:id", async (req, res) => {
+	try {
+		const row = await getCollection('Events').find(req.params.id);
+		if (!row) {
+			return res.status(404).json({ error: "Event not found" });
+		}
+		const { record, error } = await updateEvent(row, req.body);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+		const event = toEventResponse(record);
+		res.json({ success: true, event, message: `${eventLabel(event)} updated` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to update event");
+		res.status(500).json({ error: "Failed to update event" });
+	}
+});
+
+app.delete("/api/events/:id", async (req, res) => {
+	try {
+		const deleted = await deleteEvent(req.params.id);
+		if (!deleted) {
+			return res.status(404).json({ error: "Event not found" });
+		}
+		res.json({ success: true, message: "Event deleted" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to delete event");
+		res.status(500).json({ error: "Failed to delete event" });
+	}
+});
+
+// Without AI, variants come from fallbackEventMessages, which writes this many.
+const MAX_PREVIEW_VARIANTS = 5;
+
+// Writes message variants for an event as the scheduler would for its next
+// occurrence (today when it has no date). With `id`, the saved event is used
+// and the body's fields override it. Returns { status, body }.
+async function previewEventMessages(body, type) {
+	const count = body.count === undefined ? 3 : Number(body.count);
+	if (!Number.isInteger(count) || count < 1 || count > MAX_PREVIEW_VARIANTS) {
+		return { status: 400, body: { error: `count must be between 1 and ${MAX_PREVIEW_VARIANTS}` } };
+	}
+	let saved = {};
+	if (body.id) {
+		const row = await getCollection('Events').find(type ? { ID: body.id, Type: type } : body.id);
+		if (!row) return { status: 404, body: { error: "Event not found" } };
+		saved = toEventResponse(row);
+	}
+	const fields = Object.fromEntries(Object.entries(body).filter(([, value]) => value !== undefined && value !== ""));
+	const event = { type: "birthday", ...saved, ...fields, ...(type ? { type } : {}) };
+	if (!EVENT_TYPES[event.type]) {
+		return { status: 400, body: { error: `Type must be one of: ${EVENT_TYPE_NAMES.join(", ")}` } };
+	}
+	if (!event.name) {
+		return { status: 400, body: { error: "Name is required." } };
+	}
+	if (event.type === "custom" && !event.title) {
+		return { status: 400, body: { error: "Custom events need a title" } };
+	}
+	event.date = parseBirthday(event.date) || "";
+	const today = nowIn().format("YYYY-MM-DD");
+	const day = nextEventDay(event, today) || today;
+	const { messages, ai } = await generateEventMessages(event, day, count);
+	return { status: 200, body: { success: true, message: messages[0], variants: messages, day, ai } };
+}
+
+// Renders an event's greeting card as it would be attached, for the Occasions card.
+app.post("/api/events/preview-card", async (req, res) => {
+	try {
+		let saved = {};
+		if (req.body.id) {
+			const row = await getCollection('Events').find(req.body.id);
+			if (!row) {
+				return res.status(404).json({ error: "Event not found" });
+			}
+			saved = toEventResponse(row);
+		}
+		const fields = Object.fromEntries(Object.entries(req.body).filter(([, value]) => value !== undefined && value !== ""));
+		const event = { type: "birthday", ...saved, ...fields };
+		const cardError = validateCard(event.card);
+		if (cardError || !EVENT_TYPES[event.type] || !event.name) {
+			return res.status(400).json({ error: cardError || (!event.name ? "Name is required." : `Type must be one of: ${EVENT_TYPE_NAMES.join(", ")}`) });
+		}
+		event.date = parseBirthday(event.date) || "";
+		const today = nowIn().format("YYYY-MM-DD");
+		const png = await renderCard({ ...event, card: event.card || "random" }, nextEventDay(event, today) || today);
+		res.type("image/png").send(png);
+	} catch (e) {
+		logger.error({ err: e }, "Failed to preview card");
+		res.status(500).json({ error: "Failed to render card" });
+	}
+});
+
+// Message variants for an event; pick one and save it as the event's customMessage to always send it.
+app.post("/api/events/preview-message", async (req, res) => {
+	try {
+		const { status, body } = await previewEventMessages(req.body);
+		res.status(status).json(body);
+	} catch (e) {
+		logger.error({ err: e }, "Failed to preview event message");
+		res.status(500).json({ error: "Failed to generate preview" });
+	}
+});
+
+// /api/birthdays is the birthday-only view of Events, kept for existing clients and the VCF import.
+app.get("/api/birthdays", async (req, res) => {
+	try {
+		const rows = await getCollection('Events').list({ Type: "birthday" });
+		const birthdays = rows.map(toEventResponse).map(event => ({
+			id: event.id,
+			name: event.name,
+			phone: event.phone,
+			birthday: event.date,
+			sendTime: event.sendTime,
+			remindDaysBefore: event.remindDaysBefore,
+		}));
+		res.json(birthdays);
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get birthdays");
+		res.status(500).json({ error: "Failed to retrieve birthdays" });
+	}
+});
+
+// Returns an error message for an invalid birthday entry, or null.
+function validateBirthday({ name, phone, birthday, gender, relationship, sendTime, remindDaysBefore, card }) {
+	if (!name || !phone || !birthday || !gender || !relationship) {
+		return "Missing required fields: name, phone, birthday, gender, relationship";
+	}
+	if (!/^\d{4}-\d{2}-\d{2}$/.test(birthday)) {
+		return "Birthday must be in YYYY-MM-DD format";
+	}
+	return validateEvent({ type: "birthday", name, phone, date: birthday, gender, relationship, sendTime, remindDaysBefore }) || validateCard(card);
+}
+
+function toBirthdayRecord({ name, phone, birthday, gender, relationship, customMessage, sendTime, remindDaysBefore, card, cardMediaIds }) {
+	return toEventRecord({ type: "birthday", name, phone, date: birthday, gender, relationship, customMessage, sendTime, remindDaysBefore, card, cardMediaIds });
+}
+
+async function existingBirthdayPhones() {
+	return new Set((await getCollection('Events').list({ Type: "birthday" })).map(row => phoneKey(row.Phone)));
+}
+
+app.post("/api/birthdays", async (req, res) => {
+	try {
+		const { phone } = req.body;
+		
+		const validationError = validateBirthday(req.body) || await validateCardChoice(req.body);
+		if (validationError) {
+			return res.status(400).json({ error: validationError });
+		}
+		
+		if ((await existingBirthdayPhones()).has(phoneKey(phone))) {
+			return res.status(400).json({ error: "Birthday already exists for this phone number" });
+		}
+		
+		const newBirthday = toBirthdayRecord(req.body);
+		
+		await getCollection('Events').insert(newBirthday);
+	
+		logger.info({ birthday: newBirthday }, "Added birthday");
+		res.json({ success: true, birthday: newBirthday });
+	} catch (e) {
+		logger.error({ err: e }, "failed to add birthday");
+		res.status(500).json({ error: "Failed to add birthday" });
+	}
+});
+
+// Adds several birthdays at once, e.g. the ones offered by a VCF import.
+app.post("/api/birthdays/bulk", async (req, res) => {
+	try {
+		const entries = Array.isArray(req.body.birthdays) ? req.body.birthdays : [];
+		if (entries.length === 0) {
+			return res.status(400).json({ error: "birthdays must be a non-empty array" });
+		}
+
+		const existingPhones = await existingBirthdayPhones();
+		const newRows = [];
+		const errors = [];
+		for (const entry of entries) {
+			const error = validateBirthday(entry) || (existingPhones.has(phoneKey(entry.phone)) ? "Birthday already exists for this phone number" : null);
+			if (error) {
+				errors.push({ name: entry.name, phone: entry.phone, error });
+				continue;
+			}
+			existingPhones.add(phoneKey(entry.phone));
+			newRows.push(toBirthdayRecord(entry));
+		}
+
+		if (newRows.length > 0) {
+			await getCollection('Events').insert(newRows);
+		}
+		res.json({ success: true, created: newRows.length, errors, message: `Added ${newRows.length} birthday(s).` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to add birthdays");
+		res.status(500).json({ error: "Failed to add birthdays" });
+	}
+});
+
+// Edits a birthday; takes the same fields as POST, with `birthday` for the date.
+app.patch("/api/birthdays/:id", async (req, res) => {
+	try {
+		const row = await getCollection('Events').find({ ID: req.params.id, Type: "birthday" });
+		if (!row) {
+			return res.status(404).json({ error: "Birthday not found" });
+		}
+		const { type, birthday, ...fields } = req.body;
+		if (type !== undefined && type !== "birthday") {
+			return res.status(400).json({ error: "Use PATCH /api/events/:id to change the type" });
+		}
+		if (birthday !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(birthday)) {
+			return res.status(400).json({ error: "Birthday must be in YYYY-MM-DD format" });
+		}
+		if (birthday !== undefined) fields.date = birthday;
+		const { record, error } = await updateEvent(row, fields);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+		res.json({ success: true, birthday: toEventResponse(record), message: "Birthday updated" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to update birthday");
+		res.status(500).json({ error: "Failed to update birthday" });
+	}
+});
+
+app.delete("/api/birthdays/:id", async (req, res) => {
+    try {
+        const { id } = req.params;
+        const deleted = await deleteEvent({ ID: id, Type: "birthday" });
+        if (deleted) {
+            res.json({ success: true, message: "Birthday deleted" });
+        } else {
+            res.status(404).json({ error: "Birthday not found" });
+        }
+    } catch (e) {
+        logger.error({ err: e }, "Failed to delete birthday");
+        res.status(500).json({ error: "Failed to delete birthday" });
+    }
+});
+
+app.post("/api/birthdays/preview-message", async (req, res) => {
+	try {
+		const { birthday, ...fields } = req.body;
+		const { status, body } = await previewEventMessages({ ...fields, date: birthday }, "birthday");
+		res.status(status).json(body);
+	} catch (e) {
+		logger.error({ err: e }, "Failed to preview birthday message");
+		res.status(500).json({ error: "Failed to generate preview" });
+	}
+});
+
+// Latest entries first.
+app.get("/api/finance/transactions", async (req, res) => {
+	try {
+		const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+		const rows = (await getCollection('Finances').list())
+			.sort((a, b) => dayjs(b.Date).valueOf() - dayjs(a.Date).valueOf());
+		res.set("X-Total-Count", String(rows.length));
+		res.json(rows.slice(0, limit).map(toTransactionResponse));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get transactions");
+		res.status(500).json({ error: "Failed to retrieve transactions" });
+	}
+});
+
+// Transactions can be named by their full ID or, like in WhatsApp, its first characters.
+app.patch("/api/finance/transactions/:id", async (req, res) => {
+	try {
+		const financeStore = getCollection('Finances');
+		const { row, error: findError } = findTransaction(await financeStore.list(), req.params.id);
+		if (!row) {
+			return res.status(404).json({ error: findError });
+		}
+		const { patch, error } = transactionPatch(req.body);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+		const record = await financeStore.update(row.ID, patch);
+		res.json({ success: true, transaction: toTransactionResponse(record), message: "Transaction updated" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to update transaction");
+		res.status(500).json({ error: "Failed to update transaction" });
+	}
+});
+
+app.delete("/api/finance/transactions/:id", async (req, res) => {
+	try {
+		const financeStore = getCollection('Finances');
+		const { row, error } = findTransaction(await financeStore.list(), req.params.id);
+		if (!row) {
+			return res.status(404).json({ error });
+		}
+		await financeStore.delete(row.ID);
+		res.json({ success: true, message: "Transaction deleted" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to delete transaction");
+		res.status(500).json({ error: "Failed to delete transaction" });
+	}
+});
+
+app.get("/api/finance/budgets", async (req, res) => {
+	try {
+		const overview = await budgetOverview();
+		res.json(overview.map(({ record, status }) => toBudgetResponse(record, status.spent)));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get budgets");
+		res.status(500).json({ error: "Failed to retrieve budgets" });
+	}
+});
+
+// Sets a category's monthly limit; posting an existing category updates it.
+app.post("/api/finance/budgets", async (req, res) => {
+	try {
+		const category = normalizeCategory(req.body.category);
+		const limit = parseLimit(req.body.limit);
+		if (!category || !limit) {
+			return res.status(400).json({ error: "Provide a category and a positive monthly limit" });
+		}
+		const record = await setBudget(category, limit);
+		const spent = monthSpending(await getCollection('Finances').list(), { rates: await listRates() }).get(category) || 0;
+		res.json({ success: true, budget: toBudgetResponse(record, spent), message: `Budget for ${category} set to ${limit}` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to set budget");
+		res.status(500).json({ error: "Failed to set budget" });
+	}
+});
+
+app.delete("/api/finance/budgets/:id", async (req, res) => {
+	try {
+		const deleted = await getCollection('Budgets').delete(req.params.id);
+		if (!deleted) {
+			return res.status(404).json({ error: "Budget not found" });
+		}
+		res.json({ success: true, message: "Budget deleted" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to delete budget");
+		res.status(500).json({ error: "Failed to delete budget" });
+	}
+});
+
+app.get("/api/finance/recurring", async (req, res) => {
+	try {
+		const records = await getCollection('RecurringFinances').list();
+		res.json(records.map(toRecurringResponse));
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get recurring finances");
+		res.status(500).json({ error: "Failed to retrieve recurring entries" });
+	}
+});
+
+// Adds a recurring entry; if it falls on today, today's entry is posted right away when WhatsApp is connected.
+app.post("/api/finance/recurring", async (req, res) => {
+	try {
+		const { fields, error } = recurringFromBody(req.body);
+		if (error) {
+			return res.status(400).json({ error });
+		}
+		const record = await addRecurring(fields);
+		if (dueDays(record).length > 0) await postRecurringFinances();
+		const saved = await getCollection('RecurringFinances').find(record.ID) || record;
+		res.json({ success: true, recurring: toRecurringResponse(saved), message: `Recurring ${saved.Type.toLowerCase()} added (${describeSchedule(saved)})` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to add recurring finance");
+		res.status(500).json({ error: "Failed to add recurring entry" });
+	}
+});
+
+// Stops a recurring entry; what it already posted stays in Finances.
+app.delete("/api/finance/recurring/:id", async (req, res) => {
+	try {
+		const deleted = await getCollection('RecurringFinances').delete(req.params.id);
+		if (!deleted) {
+			return res.status(404).json({ error: "Recurring entry not found" });
+		}
+		res.json({ success: true, message: "Recurring entry cancelled" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to cancel recurring finance");
+		res.status(500).json({ error: "Failed to cancel recurring entry" });
+	}
+});
+
+app.get("/api/finance/rates", async (req, res) => {
+	try {
+		const rates = await listRates();
+		res.json({ baseCurrency: getBaseCurrency(), rates: rates.map(toRateResponse) });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to get exchange rates");
+		res.status(500).json({ error: "Failed to retrieve exchange rates" });
+	}
+});
+
+// Sets what one unit of `currency` is worth in `base` (the base currency unless given).
+app.post("/api/finance/rates", async (req, res) => {
+	try {
+		const currency = normalizeCurrency(req.body.currency);
+		const base = req.body.base ? normalizeCurrency(req.body.base) : getBaseCurrency();
+		const rate = Number(req.body.rate);
+		if (!currency || !base) {
+			return res.status(400).json({ error: "currency and base must be ISO 4217 codes, e.g. USD" });
+		}
+		if (currency === base) {
+			return res.status(400).json({ error: "currency and base must differ" });
+		}
+		if (!Number.isFinite(rate) || rate <= 0) {
+			return res.status(400).json({ error: "rate must be a positive number" });
+		}
+		const record = await setRate(currency, rate, base);
+		res.json({ success: true, rate: toRateResponse(record), message: `1 ${currency} = ${rate} ${base}` });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to set exchange rate");
+		res.status(500).json({ error: "Failed to set exchange rate" });
+	}
+});
+
+app.delete("/api/finance/rates/:id", async (req, res) => {
+	try {
+		const deleted = await getCollection('ExchangeRates').delete(req.params.id);
+		if (!deleted) {
+			return res.status(404).json({ error: "Exchange rate not found" });
+		}
+		res.json({ success: true, message: "Exchange rate deleted" });
+	} catch (e) {
+		logger.error({ err: e }, "Failed to delete exchange rate");
+		res.status(500).json({ error: "Failed to delete exchange rate" });
+	}
+});
+
+// Reads the `period` and `category` query of finance reports; answers 400 itself when the period is unknown.
+function financePeriodFromQuery(req, res) {
+    const period = parsePeriod(req.query.period || 'this_month');
+    if (!period) {
+        res.status(400).json({ error: `Unknown period. Use one of: ${PERIOD_HELP}` });
+        return null;
+    }
+    return { period, category: req.query.category ? String(req.query.category) : undefined };
+}
+
+app.get("/api/finance/analysis", async (req, res) => {
+    try {
+        const filter = financePeriodFromQuery(req, res);
+        if (!filter) return;
+        const { period, category } = filter;
+        const [rows, rates] = await Promise.all([getCollection('Finances').list(), listRates()]);
+        const now = nowIn();
+        const summary = summarizeFinances(rows, period, { category, now, rates });
+        const previous = summarizeFinances(rows, previousPeriod(period), { category, now, rates });
+
+        // Budget vs actual: every budget, then categories spent in without one.
+        const spending = monthSpending(rows, { now, rates });
+        const budgets = (await getCollection('Budgets').list())
+            .map(record => toBudgetResponse(record, spending.get(normalizeCategory(record.Category)) || 0))
+            .sort((a, b) => b.percent - a.percent);
+        const unbudgeted = [...spending.entries()]
+            .filter(([category]) => !budgets.some(b => b.category === category))
+            .map(([category, spent]) => ({ category, spent: Math.round(spent * 100) / 100 }));
+
+        res.json({
+            baseCurrency: summary.baseCurrency,
+            totalIncome: summary.totalIncome.toFixed(2),
+            totalExpenses: summary.totalExpenses.toFixed(2),
+            netBalance: summary.netBalance.toFixed(2),
+            categoryBreakdown: summary.categoryBreakdown,
+            currencies: summary.currencies,
+            topDescriptions: summary.topDescriptions,
+            averageDailySpend: summary.averageDailySpend,
+            days: summary.days,
+            count: summary.count,
+            previousExpenses: previous.totalExpenses,
+            expenseChange: percentChange(summary.totalExpenses, previous.totalExpenses),
+            // Six months ending with the period, for the trend chart.
+            trend: monthlyTrend(rows, { end: period.end, category, rates }),
+            budgets,
+            unbudgeted,
+            period: {
+                label: period.label,
+                start: period.start.format("YYYY-MM-DD"),
+                end: period.end.subtract(1, 'day').format("YYYY-MM-DD"),
+            },
+            month: now.format("MMMM YYYY"),
+        });
+
+    } catch (e) {
+        logger.error({ err: e }, "Failed to generate finance analysis");
+        res.status(500).json({ error: "Failed to generate finance analysis" });
+    }
+});
+
+// The transactions of a report period as CSV (default) or XLSX.
+app.get("/api/finance/export", async (req, res) => {
+    try {
+        const filter = financePeriodFromQuery(req, res);
+        if (!filter) return;
+        const format = String(req.query.format || 'csv').toLowerCase();
+        if (!['csv', 'xlsx'].includes(format)) {
+            return res.status(400).json({ error: "format must be csv or xlsx" });
+        }
+        const { period, category } = filter;
+        const records = exportRecords(periodTransactions(await getCollection('Finances').list(), period, { category }));
+        const filename = `finances-${period.start.format("YYYY-MM-DD")}-to-${period.end.subtract(1, 'day').format("YYYY-MM-DD")}${category ? `-${category.replace(/[^\w-]+/g, "_")}` : ""}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        if (format === 'xlsx') {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            return res.status(200).end(toXlsx(EXPORT_COLUMNS, records, { sheetName: "Finances" }));
+        }
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.status(200).end(toCsv(EXPORT_COLUMNS, records));
+    } catch (e) {
+        logger.error({ err: e }, "Failed to export finances");
+        res.status(500).json({ error: "Failed to export finances" });
+    }
+});
+
+
+// Socket.IO connection
+io.use(socketAuth);
+
+io.on("connection", async (socket) => {
 	logger.info("New client connected:", socket.id);
 	
 	socket.emit("connection:init", {
 		status: getConnectionStatus(),
 		isConnecting: isConnectingStatus(),
-		queueSize: 0 // Placeholder
+		queueSize: await getQueueSize().catch(() => 0),
+		queuePaused: isQueuePaused()
 	});
 
 	socket.on("disconnect", () => {
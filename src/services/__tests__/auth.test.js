@@ -0,0 +1,36 @@
+import { createSessionToken, verifySessionToken, parseCookies, checkAppPassword } from '../auth.js';
+
+describe('auth', () => {
+  it('should verify a freshly created session token', () => {
+    const { token, expiresAt } = createSessionToken();
+
+    expect(verifySessionToken(token)).toBe(true);
+    expect(expiresAt).toBeGreaterThan(Date.now());
+  });
+
+  it('should reject tampered or malformed tokens', () => {
+    const { token } = createSessionToken();
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ exp: Date.now() + 1e9 })).toString('base64url');
+
+    expect(verifySessionToken(`${forged}.${signature}`)).toBe(false);
+    expect(verifySessionToken(`${payload}.invalid`)).toBe(false);
+    expect(verifySessionToken('garbage')).toBe(false);
+    expect(verifySessionToken(undefined)).toBe(false);
+  });
+
+  it('should parse cookie headers', () => {
+    expect(parseCookies('a=1; wasender_session=abc.def; b=%20x')).toEqual({
+      a: '1',
+      wasender_session: 'abc.def',
+      b: ' x',
+    });
+    expect(parseCookies(undefined)).toEqual({});
+  });
+
+  it('should only accept the configured app password', () => {
+    expect(checkAppPassword(process.env.APP_PASSWORD || 'admin123')).toBe(true);
+    expect(checkAppPassword('wrong')).toBe(false);
+    expect(checkAppPassword(undefined)).toBe(false);
+  });
+});
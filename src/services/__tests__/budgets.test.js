@@ -0,0 +1,40 @@
+import { parseLimit, monthSpending, budgetStatus, pendingAlert, formatBudgetLine, formatBudgetAlert } from '../budgets.js';
+
+describe('budgets', () => {
+  it('should read positive limits only', () => {
+    expect(parseLimit('20,000')).toBe(20000);
+    expect(parseLimit('15.505')).toBe(15.51);
+    expect(parseLimit('0')).toBeNull();
+    expect(parseLimit('lots')).toBeNull();
+  });
+
+  it('should total this month\'s expenses per category, midnight entries included', () => {
+    const rows = [
+      { Type: 'Expense', Category: 'Food', Amount: '100', Date: '2025-04-30T18:30:00.000Z' },
+      { Type: 'Expense', Category: 'food', Amount: '50.5', Date: '2025-05-10T10:00:00.000Z' },
+      { Type: 'Expense', Category: 'Transport', Amount: '20', Date: '2025-05-31T12:00:00.000Z' },
+      { Type: 'Income', Category: 'food', Amount: '999', Date: '2025-05-10T10:00:00.000Z' },
+      { Type: 'Expense', Category: 'food', Amount: '75', Date: '2025-04-30T18:29:00.000Z' },
+    ];
+    const totals = monthSpending(rows, { now: '2025-05-15T00:00:00Z', zone: 'Asia/Colombo' });
+    expect([...totals]).toEqual([['food', 150.5], ['transport', 20]]);
+  });
+
+  it('should report what is left and the alert level reached', () => {
+    const budget = { ID: 'b', Category: 'food', MonthlyLimit: '20000' };
+    expect(budgetStatus(budget, 4000)).toMatchObject({ remaining: 16000, percent: 20, level: null });
+    expect(budgetStatus(budget, 17000)).toMatchObject({ remaining: 3000, percent: 85, level: 80 });
+    expect(budgetStatus(budget, 21000)).toMatchObject({ remaining: -1000, percent: 105, level: 100 });
+    expect(formatBudgetLine(budgetStatus(budget, 17000))).toBe('⚠️ food: 3,000.00 left of 20,000.00 (85% used)');
+    expect(formatBudgetLine(budgetStatus(budget, 21000))).toBe('🚨 food: over budget by 1,000.00 (21,000.00 of 20,000.00)');
+  });
+
+  it('should alert once per threshold per month', () => {
+    const status = budgetStatus({ Category: 'food', MonthlyLimit: 100 }, 85);
+    expect(pendingAlert({}, status, '2025-05')).toBe(80);
+    expect(pendingAlert({ AlertedMonth: '2025-05', AlertedLevel: '80' }, status, '2025-05')).toBeNull();
+    expect(pendingAlert({ AlertedMonth: '2025-04', AlertedLevel: '100' }, status, '2025-05')).toBe(80);
+    expect(pendingAlert({ AlertedMonth: '2025-05', AlertedLevel: '80' }, budgetStatus({ MonthlyLimit: 100 }, 100), '2025-05')).toBe(100);
+    expect(formatBudgetAlert(status, 80)).toBe('⚠️ *Budget alert:* food is at 85% (15.00 of 100.00 left this month)');
+  });
+});
@@ -0,0 +1,31 @@
+import { validateCard, cardText, buildCardSvg, pickCardMedia } from '../cards.js';
+
+describe('cards', () => {
+  it('should accept known designs, random or none', () => {
+    expect(validateCard(null)).toBeNull();
+    expect(validateCard('random')).toBeNull();
+    expect(validateCard('confetti')).toBeNull();
+    expect(validateCard('glitter')).toBe('card must be one of: random, balloons, confetti, elegant');
+  });
+
+  it('should print the name and years for the occasion', () => {
+    expect(cardText({ type: 'birthday', name: 'Kamal', date: '1990-01-02' }, '2025-12-30')).toEqual({ heading: 'Happy 36th Birthday', name: 'Kamal', subtitle: null });
+    expect(cardText({ type: 'birthday', name: 'Kamal', date: '--01-02' }, '2026-01-02')).toEqual({ heading: 'Happy Birthday', name: 'Kamal', subtitle: null });
+    expect(cardText({ type: 'wedding-anniversary', name: 'Kamal & Nimali', date: '2016-06-01' }, '2026-06-01')).toEqual({ heading: 'Happy Wedding anniversary', name: 'Kamal & Nimali', subtitle: '10 years' });
+    expect(cardText({ type: 'custom', title: 'Name day', name: 'Anna', date: '--07-26' }, '2026-07-26').heading).toBe('Happy Name day');
+  });
+
+  it('should escape text in the SVG', () => {
+    const svg = buildCardSvg('elegant', { heading: 'Happy Birthday', name: 'Kamal & <Nimali>', subtitle: null });
+    expect(svg).toContain('Kamal &amp; &lt;Nimali&gt;');
+    expect(svg).not.toContain('<Nimali>');
+  });
+
+  it('should go round the photo library one occasion at a time', () => {
+    const ids = ['a', 'b', 'c'];
+    const picks = ['2025-05-14', '2026-05-14', '2027-05-14'].map(day => pickCardMedia(ids, day));
+    expect(new Set(picks).size).toBe(3);
+    expect(new Set(['2025-11-14', '2025-12-14', '2026-01-14'].map(day => pickCardMedia(ids, day, 'monthly'))).size).toBe(3);
+    expect(pickCardMedia([], '2025-05-14')).toBeNull();
+  });
+});
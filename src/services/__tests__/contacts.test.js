@@ -0,0 +1,108 @@
+import os from 'os';
+import path from 'path';
+import fsp from 'fs/promises';
+import { createLocalStore } from '../localStore.js';
+import { getCollection, setDriver } from '../storage.js';
+import { assignContactIds, contactPhoneKeys, nameKey, isSimilarName, findDuplicates, mergeContacts, matchesSearch, guessCsvMapping, validateCsvMapping, contactFromCsvRecord } from '../contacts.js';
+
+describe('contacts', () => {
+  it('should list every number of a contact once', () => {
+    expect(contactPhoneKeys({ Phone: '0771234567', Phones: 'mobile:+94771234567; work:+94112345678' }))
+      .toEqual(['+94771234567', '+94112345678']);
+  });
+
+  it('should compare names ignoring case, accents, punctuation and word order', () => {
+    expect(nameKey('Pérera, Kamal')).toBe('kamal perera');
+    expect(isSimilarName('Kamal Perera', 'perera kamal')).toBe(true);
+    expect(isSimilarName('Kamal Perera', 'Kamal Pereira')).toBe(true);
+    expect(isSimilarName('Kamal Perera', 'Nimal Perera')).toBe(false);
+    expect(isSimilarName('Ann', 'Anne')).toBe(false);
+  });
+
+  it('should group duplicates by number and by name', () => {
+    const contacts = [
+      { ID: 'a', Name: 'Kamal Perera', Phone: '+94771234567' },
+      { ID: 'b', Name: 'K. Perera', Phone: '+94770000000', Phones: 'mobile:+94770000000; home:0771234567' },
+      { ID: 'c', Name: 'Nimal Silva', Phone: '+94771111111' },
+      { ID: 'd', Name: 'Nimal  silva', Phone: '+94772222222' },
+      { ID: 'e', Name: 'Sunil', Phone: '+94773333333' },
+    ];
+    expect(findDuplicates(contacts).map(g => ({ reasons: g.reasons, ids: g.contacts.map(c => c.ID) }))).toEqual([
+      { reasons: ['phone'], ids: ['a', 'b'] },
+      { reasons: ['name'], ids: ['c', 'd'] },
+    ]);
+  });
+
+  it('should merge numbers, emails, tags and notes into the primary', () => {
+    const primary = { ID: 'a', Name: 'Kamal', Phone: '+94771234567', Email: 'k@example.com', Org: null, Tags: 'family', Note: 'Cousin' };
+    const other = { ID: 'b', Name: 'Kamal P', Phone: '0771234567', Phones: 'mobile:+94771234567; work:+94112345678', Email: 'kamal@work.com, k@example.com', Org: 'Acme', Tags: 'team-ops', Note: 'Works at Acme', OnWhatsApp: 'true' };
+    expect(mergeContacts(primary, [other])).toEqual({
+      Org: 'Acme',
+      Phones: 'mobile:+94771234567; work:+94112345678',
+      Email: 'k@example.com, kamal@work.com',
+      Tags: 'family, team-ops',
+      Note: 'Cousin\nWorks at Acme',
+    });
+  });
+
+  it('should search names, tags and numbers in any format', () => {
+    const contact = { Name: 'Kamal Perera', Phone: '+94771234567', Tags: 'family' };
+    expect(matchesSearch(contact, 'kamal')).toBe(true);
+    expect(matchesSearch(contact, 'FAMILY')).toBe(true);
+    expect(matchesSearch(contact, '077 123')).toBe(true);
+    expect(matchesSearch(contact, 'nimal')).toBe(false);
+    expect(matchesSearch(contact, '')).toBe(true);
+  });
+
+  it('should guess CSV columns, including Google exports', () => {
+    expect(guessCsvMapping(['Name', 'Phone', 'E-mail', 'Company', 'Notes'])).toEqual({
+      name: 'Name', phone: ['Phone'], email: ['E-mail'], org: 'Company', note: 'Notes',
+    });
+    expect(guessCsvMapping(['First Name', 'Last Name', 'Phone 1 - Value', 'Phone 2 - Value', 'Group Membership'])).toEqual({
+      firstName: 'First Name', lastName: 'Last Name', phone: ['Phone 1 - Value', 'Phone 2 - Value'], tags: 'Group Membership',
+    });
+  });
+
+  it('should require a name and phone column that exist', () => {
+    expect(validateCsvMapping({ name: 'Name', phone: 'Phone' }, ['Name', 'Phone'])).toBeNull();
+    expect(validateCsvMapping({ phone: 'Phone' }, ['Phone'])).toBe('Map a column to the contact name');
+    expect(validateCsvMapping({ name: 'Name', phone: 'Mobile' }, ['Name'])).toBe('Column "Mobile" is not in the file');
+  });
+
+  it('should read a CSV record through a mapping', () => {
+    const mapping = { firstName: 'First', lastName: 'Last', phone: ['Phone'], tags: 'Groups', birthday: 'Birthday' };
+    const contact = contactFromCsvRecord(
+      { First: 'Kamal', Last: 'Perera', Phone: 'mobile:077 123 4567 ::: 12345', Groups: '* myContacts ::: Family', Birthday: '14/05/1990' },
+      mapping,
+    );
+    expect(contact.name).toBe('Kamal Perera');
+    expect(contact.phone).toBe('+94771234567');
+    expect(contact.phones).toEqual([{ number: '+94771234567', types: ['mobile'], pref: false }]);
+    expect(contact.invalidPhones).toEqual([{ number: '12345', error: 'Invalid phone number "12345": too short' }]);
+    expect(contact.categories).toEqual(['Family']);
+    expect(contact.birthday).toBeNull();
+    expect(contact.invalidBirthday).toBe('14/05/1990');
+  });
+
+  it('should give older contacts without an ID one, once', async () => {
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'wasender-contacts-'));
+    try {
+      await fsp.writeFile(path.join(dir, 'Contacts.json'), JSON.stringify([
+        { Name: 'Amal', Phone: '+94771234567', Source: 'vcf' },
+        { ID: 'k1', Name: 'Nimal', Phone: '+94771234568', Source: 'manual' },
+        { Name: 'Sunil', Phone: '+94771234569', Source: 'sheet' },
+      ]));
+      setDriver(createLocalStore(dir));
+
+      expect(await assignContactIds()).toBe(2);
+      const rows = await getCollection('Contacts').list();
+      expect(rows.map(row => row.Name).sort()).toEqual(['Amal', 'Nimal', 'Sunil']);
+      expect(rows.every(row => row.ID)).toBe(true);
+      expect(new Set(rows.map(row => row.ID)).size).toBe(3);
+      expect(rows.find(row => row.Name === 'Nimal').ID).toBe('k1');
+      expect(await assignContactIds()).toBe(0);
+    } finally {
+      await fsp.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,33 @@
+import { parseCsv, parseCsvRecords, formatCsvField, toCsv, detectDelimiter } from '../csv.js';
+
+describe('csv', () => {
+  it('should quote fields with delimiters, quotes and line breaks', () => {
+    expect(formatCsvField('plain')).toBe('plain');
+    expect(formatCsvField('a, b')).toBe('"a, b"');
+    expect(formatCsvField('say "hi"')).toBe('"say ""hi"""');
+    expect(formatCsvField('line\nbreak')).toBe('"line\nbreak"');
+    expect(formatCsvField(null)).toBe('');
+  });
+
+  it('should write a header line and CRLF records', () => {
+    expect(toCsv(['Name', 'Note'], [{ Name: 'Kamal', Note: 'x\ny' }, { Name: 'Nimal' }]))
+      .toBe('Name,Note\r\nKamal,"x\ny"\r\nNimal,\r\n');
+    expect(toCsv(['Name'], [])).toBe('Name\r\n');
+  });
+
+  it('should read back what it writes', () => {
+    const records = [{ Name: 'A, "B"', Note: 'one\r\ntwo' }, { Name: '', Note: 'last' }];
+    expect(parseCsvRecords(toCsv(['Name', 'Note'], records)).records).toEqual(records);
+  });
+
+  it('should accept LF endings, a BOM and blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\n1,2\n\n3,4')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('should detect semicolon and tab delimiters', () => {
+    expect(detectDelimiter('Name;Phone\nA;1')).toBe(';');
+    expect(detectDelimiter('Name\tPhone')).toBe('\t');
+    expect(detectDelimiter('"a;b",c')).toBe(',');
+    expect(parseCsvRecords('Name;Phone\r\n"Perera; K";077').records).toEqual([{ Name: 'Perera; K', Phone: '077' }]);
+  });
+});
@@ -0,0 +1,60 @@
+import os from 'os';
+import path from 'path';
+import fsp from 'fs/promises';
+import { createLocalStore } from '../localStore.js';
+import { getCollection, setDriver } from '../storage.js';
+import { normalizeCurrency, configuredCurrencies, parseCurrencyArg, findRate, convertAmount, formatMoney, syncBaseCurrency } from '../currency.js';
+
+describe('currency', () => {
+  it('should accept ISO 4217 codes only', () => {
+    expect(normalizeCurrency('usd')).toBe('USD');
+    expect(normalizeCurrency(' lkr ')).toBe('LKR');
+    expect(normalizeCurrency('food')).toBeNull();
+    expect(normalizeCurrency('abc')).toBeNull();
+  });
+
+  it('should take a configured currency only when a category and description follow', () => {
+    const allowed = configuredCurrencies([{ Currency: 'USD', Base: 'LKR', Rate: '300' }], 'LKR');
+    expect([...allowed].sort()).toEqual(['LKR', 'USD']);
+    expect(parseCurrencyArg(['usd', 'food', 'lunch'], allowed)).toEqual({ currency: 'USD', rest: ['food', 'lunch'] });
+    expect(parseCurrencyArg(['food', 'lunch', 'with', 'team'], allowed)).toEqual({ currency: null, rest: ['food', 'lunch', 'with', 'team'] });
+    expect(parseCurrencyArg(['all', 'groceries'], allowed)).toEqual({ currency: null, rest: ['all', 'groceries'] });
+    expect(parseCurrencyArg(['top', 'up', 'mobile'], allowed)).toEqual({ currency: null, rest: ['top', 'up', 'mobile'] });
+  });
+
+  it('should find rates directly, inverted and through another currency', () => {
+    const rates = [{ Currency: 'USD', Base: 'LKR', Rate: '300' }, { Currency: 'EUR', Base: 'USD', Rate: '1.1' }];
+    expect(findRate(rates, 'LKR', 'LKR')).toBe(1);
+    expect(findRate(rates, 'USD', 'LKR')).toBe(300);
+    expect(findRate(rates, 'LKR', 'USD')).toBe(1 / 300);
+    expect(convertAmount(100, 'EUR', 'LKR', rates)).toBe(33000);
+    expect(findRate(rates, 'JPY', 'LKR')).toBeNull();
+    expect(convertAmount(5, 'JPY', 'LKR', [])).toBeNull();
+  });
+
+  it('should format amounts with their code', () => {
+    expect(formatMoney(1234.5, 'LKR')).toBe('LKR 1,234.50');
+  });
+
+  it('should keep older entries in the old base currency when BASE_CURRENCY changes', async () => {
+    const dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'wasender-currency-'));
+    const env = process.env.BASE_CURRENCY;
+    try {
+      setDriver(createLocalStore(dir));
+      await getCollection('Finances').insert([{ ID: 'a', Amount: 500 }, { ID: 'b', Amount: 5, Currency: 'USD' }]);
+
+      process.env.BASE_CURRENCY = 'LKR';
+      expect(await syncBaseCurrency()).toEqual({ previous: null, stamped: 0 });
+      expect(await syncBaseCurrency()).toEqual({ previous: 'LKR', stamped: 0 });
+
+      process.env.BASE_CURRENCY = 'EUR';
+      expect(await syncBaseCurrency()).toEqual({ previous: 'LKR', stamped: 1 });
+      expect((await getCollection('Finances').list()).map(row => row.Currency)).toEqual(['LKR', 'USD']);
+      expect((await getCollection('Settings').find('BaseCurrency')).Value).toBe('EUR');
+    } finally {
+      if (env === undefined) delete process.env.BASE_CURRENCY;
+      else process.env.BASE_CURRENCY = env;
+      await fsp.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
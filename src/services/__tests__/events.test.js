@@ -0,0 +1,121 @@
+import { ordinal, occursOn, yearsOn, nextEventDay, buildEventPrompt, fallbackEventMessage, fallbackEventMessages, validateEvent, toEventRecord, eventPatchFromBody, dueEventMessages, eventReminderMessage } from '../events.js';
+
+describe('events', () => {
+  it('should write ordinals', () => {
+    expect([1, 2, 3, 4, 11, 12, 13, 21, 22, 101].map(ordinal)).toEqual(['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '22nd', '101st']);
+  });
+
+  it('should match yearly and monthly dates, moving days past the month end to its last day', () => {
+    expect(occursOn({ date: '1990-05-14' }, '2026-05-14')).toBe(true);
+    expect(occursOn({ date: '--05-14' }, '2026-05-14')).toBe(true);
+    expect(occursOn({ date: '1990-05-14' }, '2026-06-14')).toBe(false);
+    expect(occursOn({ date: '1992-02-29' }, '2026-02-28')).toBe(true);
+    expect(occursOn({ date: '1992-02-29' }, '2028-02-28')).toBe(false);
+    expect(occursOn({ date: '2020-01-31', recurrence: 'monthly' }, '2026-04-30')).toBe(true);
+    expect(occursOn({ date: '2020-01-15', recurrence: 'monthly' }, '2026-04-15')).toBe(true);
+  });
+
+  it('should count years only when the year is known', () => {
+    expect(yearsOn({ date: '1990-05-14' }, '2026-05-14')).toBe(36);
+    expect(yearsOn({ date: '--05-14' }, '2026-05-14')).toBeNull();
+    expect(yearsOn({ date: '2020-01-15', recurrence: 'monthly' }, '2026-04-15')).toBeNull();
+  });
+
+  it('should count years for the coming occurrence across the year end', () => {
+    expect(yearsOn({ date: '1990-01-02' }, '2025-12-30')).toBe(36);
+    expect(yearsOn({ date: '1990-12-31' }, '2026-01-01')).toBe(36);
+    expect(yearsOn({ date: '1990-12-31' }, '2025-12-31')).toBe(35);
+    expect(yearsOn({ date: '2000-02-29' }, '2025-02-28')).toBe(25);
+    expect(nextEventDay({ date: '1990-01-02' }, '2025-12-30')).toBe('2026-01-02');
+    expect(nextEventDay({ date: '2000-02-29' }, '2025-03-01')).toBe('2026-02-28');
+    expect(nextEventDay({ date: '' }, '2025-03-01')).toBeNull();
+  });
+
+  it('should write a plain wish per type', () => {
+    const day = '2026-05-14';
+    expect(fallbackEventMessage({ type: 'birthday', name: 'Kamal', relationship: 'friend', gender: 'male', date: '1990-05-14' }, day)).toBe('Happy 36th birthday brother! 🎉🎂');
+    expect(fallbackEventMessages({ type: 'birthday', name: 'Kamal', date: '1990-05-14' }, day)).toEqual([
+      'Happy 36th birthday Kamal! 🎉🎂',
+      '🎂 Warmest wishes on your 36th birthday, Kamal! Have a wonderful day.',
+      "Thinking of you on your 36th birthday, Kamal! Hope it's a great one 🎂",
+      'Wishing you a very happy 36th birthday, Kamal! 🎂',
+      '🎂 Cheers to your 36th birthday, Kamal! Enjoy every moment.',
+    ]);
+    expect(fallbackEventMessage({ type: 'birthday', name: 'Amma', relationship: 'family', date: '--05-14' }, day)).toBe('Happy birthday Amma! 🎉🎂');
+    expect(fallbackEventMessage({ type: 'wedding-anniversary', name: 'Kamal & Nimali', date: '2016-05-14' }, day)).toBe('Happy 10th wedding anniversary Kamal & Nimali! 💍❤️');
+    expect(fallbackEventMessage({ type: 'custom', title: 'Name day', name: 'Anna', date: '--05-14' }, day)).toBe('Happy Name day, Anna! 🎉');
+  });
+
+  it("should build the AI prompt from the type's rules", () => {
+    const prompt = buildEventPrompt({ type: 'wedding-anniversary', name: 'Kamal & Nimali', date: '2016-05-14', relationship: 'family' }, '2026-05-14');
+    expect(prompt).toContain('celebrating 10 years of marriage today');
+    expect(prompt).toContain('- Relationship: family');
+    expect(prompt).toContain('- Congratulate the couple, not just one person');
+    expect(prompt).not.toContain('brother');
+  });
+
+  it('should validate events and fill in defaults', () => {
+    expect(validateEvent({ type: 'graduation', name: 'A', phone: '+94771234567', date: '2020-01-01' })).toBe('Type must be one of: birthday, wedding-anniversary, work-anniversary, custom');
+    expect(validateEvent({ type: 'custom', name: 'A', phone: '+94771234567', date: '2020-01-01' })).toBe('Custom events need a title');
+    expect(validateEvent({ type: 'birthday', name: 'A', phone: '+94771234567', date: '14/05/1990' })).toBe('Date must be YYYY-MM-DD or --MM-DD');
+    expect(validateEvent({ type: 'birthday', name: 'A', phone: '+94771234567', date: '1990-05-14', recurrence: 'weekly' })).toBe('Recurrence must be one of: yearly, monthly');
+    expect(validateEvent({ type: 'work-anniversary', name: 'A', phone: '0771234567', date: '2020-01-01' })).toBeNull();
+
+    const record = toEventRecord({ type: 'work-anniversary', name: 'A', phone: '0771234567', date: '20200101', gender: 'Male' });
+    expect(record).toMatchObject({ Type: 'work-anniversary', Title: null, Phone: '+94771234567', Date: '2020-01-01', Recurrence: 'yearly', Gender: 'male', Relationship: null });
+  });
+
+  it('should check send times and reminder lead times', () => {
+    const event = { type: 'birthday', name: 'A', phone: '+94771234567', date: '1990-05-14' };
+    expect(validateEvent({ ...event, sendTime: '25:00' })).toBe('sendTime must be a time of day like 09:00');
+    expect(validateEvent({ ...event, remindDaysBefore: 90 })).toBe('remindDaysBefore must be a whole number of days up to 60');
+    expect(toEventRecord({ ...event, sendTime: '9:30', remindDaysBefore: '3' })).toMatchObject({ SendTime: '09:30', RemindDaysBefore: 3 });
+    expect(toEventRecord({ ...event, remindDaysBefore: '0' })).toMatchObject({ SendTime: '00:00', RemindDaysBefore: null });
+  });
+
+  it('should patch only the fields given', () => {
+    const row = toEventRecord({ type: 'birthday', name: 'A', phone: '+94771234567', date: '1990-05-14' });
+    expect(eventPatchFromBody(row, { sendTime: '08:00', remindDaysBefore: 2 })).toEqual({ patch: { SendTime: '08:00', RemindDaysBefore: 2 } });
+    expect(eventPatchFromBody(row, { date: '14 May' }).error).toBe('Date must be YYYY-MM-DD or --MM-DD');
+    expect(eventPatchFromBody(row, {}).error).toMatch(/^Nothing to update/);
+  });
+
+  it('should plan wishes at the send time and reminders ahead', () => {
+    const event = { type: 'birthday', name: 'Kamal', date: '1990-05-14', sendTime: '08:00', remindDaysBefore: 3, createdAt: '2025-01-01T00:00:00Z' };
+    const options = { zone: 'Asia/Colombo', reminderZone: 'Asia/Colombo' };
+
+    const dayBefore = dueEventMessages(event, { ...options, now: '2025-05-13T12:00:00Z' });
+    expect(dayBefore.map(d => [d.kind, d.day, d.sendAt.toISOString(), d.late])).toEqual([['wish', '2025-05-14', '2025-05-14T02:30:00.000Z', false]]);
+
+    const reminder = dueEventMessages(event, { ...options, now: '2025-05-10T12:00:00Z' });
+    expect(reminder.map(d => [d.kind, d.day, d.sendAt.toISOString()])).toEqual([['reminder', '2025-05-14', '2025-05-11T03:30:00.000Z']]);
+    expect(eventReminderMessage(event, '2025-05-14')).toBe("⏰ Reminder: Kamal's birthday (35th) is on 14 May, in 3 days.");
+
+    expect(dueEventMessages({ ...event, lastWishFor: '2025-05-14' }, { ...options, now: '2025-05-13T12:00:00Z' })).toEqual([]);
+  });
+
+  it('should catch up a wish missed earlier the same day', () => {
+    const event = { type: 'birthday', name: 'Kamal', date: '1990-05-14', sendTime: '08:00', lastWishFor: '2024-05-14' };
+    const now = '2025-05-14T10:00:00Z';
+    const [wish] = dueEventMessages(event, { zone: 'Asia/Colombo', reminderZone: 'Asia/Colombo', now });
+    expect(wish).toMatchObject({ kind: 'wish', day: '2025-05-14', late: true });
+    expect(wish.sendAt.toISOString()).toBe('2025-05-14T10:00:00.000Z');
+
+    // Without a record of past wishes it may already have been sent before the upgrade.
+    expect(dueEventMessages({ ...event, lastWishFor: null, createdAt: '2025-01-01T00:00:00Z' }, { zone: 'Asia/Colombo', reminderZone: 'Asia/Colombo', now })).toEqual([]);
+  });
+
+  it('should catch up a wish whose whole day was missed, for a few days', () => {
+    const event = { type: 'birthday', name: 'Kamal', date: '1990-05-14', sendTime: '08:00', lastWishFor: '2024-05-14', createdAt: '2024-01-01T00:00:00Z' };
+    const options = { zone: 'Asia/Colombo', reminderZone: 'Asia/Colombo' };
+
+    const [wish] = dueEventMessages(event, { ...options, now: '2025-05-16T10:00:00Z' });
+    expect(wish).toMatchObject({ kind: 'wish', day: '2025-05-14', late: true });
+    expect(wish.sendAt.toISOString()).toBe('2025-05-16T10:00:00.000Z');
+
+    expect(dueEventMessages(event, { ...options, now: '2025-05-18T10:00:00Z' })).toEqual([]);
+    expect(dueEventMessages({ ...event, lastWishFor: '2025-05-14' }, { ...options, now: '2025-05-16T10:00:00Z' })).toEqual([]);
+    // Added after the day, so there was nothing to miss.
+    expect(dueEventMessages({ ...event, lastWishFor: null, createdAt: '2025-05-15T10:00:00Z' }, { ...options, now: '2025-05-16T10:00:00Z' })).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+import { parsePeriod, previousPeriod, summarizeFinances, monthlyTrend, percentChange, exportRecords } from '../financeReports.js';
+
+const zone = 'Asia/Colombo';
+const now = '2025-05-15T06:00:00Z';
+const span = (period) => [period.start.format('YYYY-MM-DD'), period.end.format('YYYY-MM-DD')];
+
+describe('financeReports', () => {
+  it('should read relative periods in the timezone', () => {
+    expect(span(parsePeriod('this_month', { now, zone }))).toEqual(['2025-05-01', '2025-06-01']);
+    expect(span(parsePeriod('last_month', { now, zone }))).toEqual(['2025-04-01', '2025-05-01']);
+    expect(span(parsePeriod('last_7_days', { now, zone }))).toEqual(['2025-05-09', '2025-05-16']);
+    expect(parsePeriod(undefined, { now, zone }).label).toBe('this month');
+  });
+
+  it('should read months, years, days and ranges', () => {
+    expect(span(parsePeriod('2025-03', { now, zone }))).toEqual(['2025-03-01', '2025-04-01']);
+    expect(span(parsePeriod('2024', { now, zone }))).toEqual(['2024-01-01', '2025-01-01']);
+    expect(span(parsePeriod('2025-01-10..2025-02', { now, zone }))).toEqual(['2025-01-10', '2025-03-01']);
+    expect(parsePeriod('2025-03-10..2025-03-10', { now, zone }).label).toBe('2025-03-10 to 2025-03-10');
+  });
+
+  it('should reject unknown periods and backwards ranges', () => {
+    expect(parsePeriod('food', { now, zone })).toBeNull();
+    expect(parsePeriod('2025-13', { now, zone })).toBeNull();
+    expect(parsePeriod('2025-02-30', { now, zone })).toBeNull();
+    expect(parsePeriod('2025-03..2025-01', { now, zone })).toBeNull();
+  });
+
+  it('should compare whole months with the months before and other periods by days', () => {
+    expect(span(previousPeriod(parsePeriod('2025-03', { zone })))).toEqual(['2025-02-01', '2025-03-01']);
+    expect(span(previousPeriod(parsePeriod('last_7_days', { now, zone })))).toEqual(['2025-05-02', '2025-05-09']);
+  });
+
+  it('should count entries at the start of the period', () => {
+    const rows = [
+      { Type: 'Expense', Category: 'food', Amount: '100', Description: 'Lunch', Date: '2025-04-30T18:30:00.000Z' },
+      { Type: 'Expense', Category: 'food', Amount: '75', Description: 'lunch', Date: '2025-04-30T18:29:00.000Z' },
+    ];
+    const summary = summarizeFinances(rows, parsePeriod('this_month', { now, zone }), { now });
+    expect(summary.totalExpenses).toBe(100);
+    expect(summary.count).toBe(1);
+  });
+
+  it('should total a period with top descriptions and average daily spend', () => {
+    const rows = [
+      { Type: 'Income', Category: 'salary', Amount: '5000', Description: 'May salary', Date: '2025-05-01T04:00:00Z' },
+      { Type: 'Expense', Category: 'food', Amount: '40', Description: 'Lunch', Date: '2025-05-02T06:00:00Z' },
+      { Type: 'Expense', Category: 'food', Amount: '60', Description: ' lunch ', Date: '2025-05-03T06:00:00Z' },
+      { Type: 'Expense', Category: 'Transport', Amount: '200', Description: 'Taxi', Date: '2025-05-04T06:00:00Z' },
+      { Type: 'Expense', Category: 'food', Amount: 'n/a', Description: 'Lunch', Date: '2025-05-04T06:00:00Z' },
+    ];
+    const period = parsePeriod('this_month', { now, zone });
+    const summary = summarizeFinances(rows, period, { now });
+    expect(summary.totalIncome).toBe(5000);
+    expect(summary.totalExpenses).toBe(300);
+    expect(summary.netBalance).toBe(4700);
+    expect(summary.days).toBe(15);
+    expect(summary.averageDailySpend).toBe(20);
+    expect(summary.categoryBreakdown).toEqual([{ name: 'Transport', total: 200 }, { name: 'food', total: 100 }]);
+    expect(summary.topDescriptions).toEqual([
+      { description: 'Taxi', count: 1, total: 200 },
+      { description: 'Lunch', count: 2, total: 100 },
+    ]);
+    expect(summarizeFinances(rows, period, { now, category: 'FOOD' }).totalExpenses).toBe(100);
+  });
+
+  it('should convert into the base currency with per-currency subtotals', () => {
+    const rows = [
+      { Type: 'Expense', Category: 'food', Amount: '1000', Description: 'Lunch', Date: '2025-05-02T06:00:00Z' },
+      { Type: 'Expense', Category: 'food', Amount: '12', Currency: 'USD', Description: 'Lunch', Date: '2025-05-03T06:00:00Z' },
+      { Type: 'Income', Category: 'freelance', Amount: '100', Currency: 'EUR', Description: 'Logo', Date: '2025-05-03T06:00:00Z' },
+      { Type: 'Expense', Category: 'travel', Amount: '5000', Currency: 'JPY', Description: 'Train', Date: '2025-05-04T06:00:00Z' },
+    ];
+    const rates = [{ Currency: 'USD', Base: 'LKR', Rate: 300 }, { Currency: 'EUR', Base: 'USD', Rate: 1.1 }];
+    const summary = summarizeFinances(rows, parsePeriod('this_month', { now, zone }), { now, base: 'LKR', rates });
+    expect(summary.totalExpenses).toBe(4600);
+    expect(summary.totalIncome).toBe(33000);
+    expect(summary.topDescriptions).toEqual([{ description: 'Lunch', count: 2, total: 4600 }]);
+    expect(summary.currencies).toEqual([
+      { currency: 'LKR', income: 0, expenses: 1000, count: 1, converted: true },
+      { currency: 'EUR', income: 100, expenses: 0, count: 1, converted: true },
+      { currency: 'JPY', income: 0, expenses: 5000, count: 1, converted: false },
+      { currency: 'USD', income: 0, expenses: 12, count: 1, converted: true },
+    ]);
+  });
+
+  it('should use the whole length of a finished period for the daily average', () => {
+    const rows = [{ Type: 'Expense', Category: 'food', Amount: '300', Description: 'Groceries', Date: '2025-04-10T06:00:00Z' }];
+    const summary = summarizeFinances(rows, parsePeriod('last_month', { now, zone }), { now });
+    expect(summary.days).toBe(30);
+    expect(summary.averageDailySpend).toBe(10);
+  });
+
+  it('should build a monthly trend with month-over-month change', () => {
+    const rows = [
+      { Type: 'Expense', Category: 'food', Amount: '100', Date: '2025-03-05T06:00:00Z' },
+      { Type: 'Expense', Category: 'food', Amount: '150', Date: '2025-04-05T06:00:00Z' },
+      { Type: 'Income', Category: 'salary', Amount: '500', Date: '2025-04-06T06:00:00Z' },
+    ];
+    const trend = monthlyTrend(rows, { end: parsePeriod('last_month', { now, zone }).end, months: 3, zone });
+    expect(trend).toEqual([
+      { month: '2025-02', income: 0, expenses: 0, net: 0, change: null },
+      { month: '2025-03', income: 0, expenses: 100, net: -100, change: null },
+      { month: '2025-04', income: 500, expenses: 150, net: 350, change: 50 },
+    ]);
+    expect(percentChange(50, 0)).toBeNull();
+  });
+
+  it('should shape export rows with local dates and numeric amounts', () => {
+    const rows = [{ ID: 'k3m9qa', Type: 'Expense', Category: 'food', Amount: '15.5', Description: 'Lunch', Date: '2025-05-02T06:00:00Z' }];
+    expect(exportRecords(rows, zone)).toEqual([
+      { ID: 'k3m9qa', Date: '2025-05-02 11:30', Type: 'Expense', Amount: 15.5, Currency: 'LKR', Category: 'food', Description: 'Lunch' },
+    ]);
+    expect(exportRecords([{ ...rows[0], Currency: 'USD' }], zone, 'LKR')[0].Currency).toBe('USD');
+  });
+});
@@ -0,0 +1,44 @@
+import { newTransactionId, displayId, findTransaction, lastLoggedTransaction, parseEditArgs, transactionPatch, formatTransaction } from '../finances.js';
+
+describe('finances', () => {
+  it('should make short lowercase IDs', () => {
+    expect(newTransactionId()).toMatch(/^[2-9a-z]{6}$/);
+    expect(displayId({ ID: 'V1StGXR8_Z5jdHi6B-myT' })).toBe('V1StGX');
+  });
+
+  it('should find entries by ID in any case or by the start of a long ID', () => {
+    const rows = [{ ID: 'k3m9qa' }, { ID: 'V1StGXR8_Z5jdHi6B-myT' }, { ID: 'V1StAAAA_Z5jdHi6B-myT' }];
+    expect(findTransaction(rows, 'K3M9QA').row).toBe(rows[0]);
+    expect(findTransaction(rows, 'v1stgx').row).toBe(rows[1]);
+    expect(findTransaction(rows, 'v1st').error).toBe('"v1st" matches 2 entries; use more of the ID');
+    expect(findTransaction(rows, 'zzzzzz').error).toBe('No entry with ID "zzzzzz"');
+  });
+
+  it('should undo the latest entry logged by hand', () => {
+    const rows = [
+      { ID: 'b', Date: '2026-03-02T10:00:00.000Z' },
+      { ID: 'a', Date: '2026-03-01T10:00:00.000Z' },
+      { ID: 'r', Date: '2026-03-03T00:00:00.000Z', RecurringID: 'x' },
+    ];
+    expect(lastLoggedTransaction(rows)).toBe(rows[0]);
+    expect(lastLoggedTransaction([rows[2]])).toBe(null);
+  });
+
+  it('should read edit arguments with spaces in values', () => {
+    expect(parseEditArgs(['amount=1500', 'desc=team', 'lunch', 'cat=food'])).toEqual({ fields: { amount: '1500', description: 'team lunch', category: 'food' } });
+    expect(parseEditArgs(['1500']).error).toBe('Unexpected "1500"; use field=value');
+    expect(parseEditArgs([]).error).toBe('Nothing to change');
+  });
+
+  it('should validate changes', () => {
+    expect(transactionPatch({ amount: '1500', type: 'income' })).toEqual({ patch: { Amount: 1500, Type: 'Income' } });
+    expect(transactionPatch({ amount: '-5' }).error).toBe('amount must be a positive number');
+    expect(transactionPatch({ type: 'loan' }).error).toBe('type must be one of: Income, Expense');
+    expect(transactionPatch({}).error).toMatch(/^Nothing to update/);
+  });
+
+  it('should list an entry on one line', () => {
+    const row = { ID: 'k3m9qa', Date: '2025-05-13T20:00:00.000Z', Type: 'Expense', Amount: '1500', Category: 'food', Description: 'lunch' };
+    expect(formatTransaction(row, 'Asia/Colombo')).toBe('`k3m9qa` 05-14 💸 1500.00 food – lunch');
+  });
+});
@@ -0,0 +1,52 @@
+import { normalizeTag, parseTags, formatTags, resolveGroupToken, expandRecipients } from '../groups.js';
+
+describe('groups', () => {
+  const groups = [
+    { ID: 'grp1', Name: 'family' },
+    { ID: 'grp2', Name: 'team-ops' },
+  ];
+  const contacts = [
+    { ID: 'c1', Name: 'Amma', Phone: '0771234567', Tags: 'family' },
+    { ID: 'c2', Name: 'Kamal', Phone: '+94770000000', Tags: 'family, team-ops' },
+    { ID: 'c3', Name: 'Broken', Phone: '123', Tags: 'team-ops' },
+    { ID: 'c4', Name: 'Nimal', Phone: '+94771111111', Tags: 'Cricket Club' },
+  ];
+
+  it('should normalize tag names', () => {
+    expect(normalizeTag('  Team Ops ')).toBe('team-ops');
+    expect(normalizeTag('family!')).toBe('family');
+    expect(parseTags('Family, team-ops, family,')).toEqual(['family', 'team-ops']);
+    expect(parseTags(null)).toEqual([]);
+    expect(formatTags(['family', 'team-ops'])).toBe('family, team-ops');
+    expect(formatTags([])).toBeNull();
+  });
+
+  it('should recognise group tokens', () => {
+    expect(resolveGroupToken('tag:Family', groups)).toEqual({ tag: 'family', group: groups[0] });
+    expect(resolveGroupToken('group:grp2', groups).tag).toBe('team-ops');
+    expect(resolveGroupToken('grp2', groups).tag).toBe('team-ops');
+    expect(resolveGroupToken('group:missing', groups)).toEqual({ tag: null, group: null });
+    expect(resolveGroupToken('+94771234567', groups)).toBeNull();
+  });
+
+  it('should allow tags without a Groups record', () => {
+    expect(resolveGroupToken('tag:cricket club', groups)).toEqual({ tag: 'cricket-club', group: null });
+  });
+
+  it('should expand groups into member numbers', () => {
+    const result = expandRecipients(['tag:family', 'grp2', '0779999999'], { contacts, groups });
+    expect(result.numbers).toEqual(['0779999999']);
+    expect(result.members).toEqual(['+94771234567', '+94770000000']);
+    expect(result.expanded).toEqual([
+      { token: 'tag:family', tag: 'family', count: 2, skipped: 0 },
+      { token: 'grp2', tag: 'team-ops', count: 1, skipped: 1 },
+    ]);
+    expect(result.unknown).toEqual([]);
+  });
+
+  it('should report unknown and empty groups', () => {
+    const result = expandRecipients(['tag:nobody', 'group:missing'], { contacts, groups });
+    expect(result.unknown).toEqual(['tag:nobody', 'group:missing']);
+    expect(result.members).toEqual([]);
+  });
+});
@@ -0,0 +1,65 @@
+import os from 'os';
+import path from 'path';
+import fsp from 'fs/promises';
+import { createLocalStore } from '../localStore.js';
+
+describe('localStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'wasender-store-'));
+    store = createLocalStore(dir);
+  });
+
+  afterEach(async () => {
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should return an empty list for a new collection', async () => {
+    expect(await store.list('Schedule')).toEqual([]);
+  });
+
+  it('should only report collections that have a file', async () => {
+    await store.list('Birthdays');
+    expect(await store.exists('Birthdays')).toBe(false);
+
+    await store.insert('Contacts', [{ ID: '1', Name: 'Amal' }]);
+    expect(await store.exists('Contacts')).toBe(true);
+  });
+
+  it('should persist inserted records to disk', async () => {
+    await store.insert('Contacts', [{ ID: '1', Name: 'Amal', Phone: '94771234567' }]);
+
+    const raw = JSON.parse(await fsp.readFile(path.join(dir, 'Contacts.json'), 'utf-8'));
+    expect(raw).toEqual([{ ID: '1', Name: 'Amal', Phone: '94771234567' }]);
+    expect(await createLocalStore(dir).list('Contacts')).toEqual(raw);
+  });
+
+  it('should update a record by ID and return it', async () => {
+    await store.insert('Schedule', [{ ID: 'a', Status: 'pending' }]);
+
+    const updated = await store.update('Schedule', 'a', { Status: 'sent' });
+
+    expect(updated).toEqual({ ID: 'a', Status: 'sent' });
+    expect(await store.update('Schedule', 'missing', { Status: 'sent' })).toBeNull();
+  });
+
+  it('should delete records by ID', async () => {
+    await store.insert('Schedule', [{ ID: 'a' }, { ID: 'b' }, { ID: 'c' }]);
+
+    const deleted = await store.delete('Schedule', ['a', 'c']);
+
+    expect(deleted).toBe(2);
+    expect(await store.list('Schedule')).toEqual([{ ID: 'b' }]);
+  });
+
+  it('should not leak mutations of returned records into the store', async () => {
+    await store.insert('Finances', [{ ID: 'x', Amount: 10 }]);
+
+    const [record] = await store.list('Finances');
+    record.Amount = 99;
+
+    expect(await store.list('Finances')).toEqual([{ ID: 'x', Amount: 10 }]);
+  });
+});
@@ -0,0 +1,32 @@
+import { referencedMediaUrls, toMediaResponse } from '../media.js';
+
+describe('media', () => {
+  it('should only count unsent local media as referenced', () => {
+    const rows = [
+      { Status: 'pending', MediaUrl: '/uploads/a.jpg' },
+      { Status: 'sent', MediaUrl: '/uploads/b.jpg' },
+      { Status: 'failed', MediaUrl: '/uploads/c.jpg' },
+      { Status: 'retrying', MediaUrl: '/uploads/a.jpg' },
+      { Status: 'pending', MediaUrl: 'https://example.com/d.jpg' },
+      { Status: 'pending', MediaUrl: null },
+    ];
+
+    expect([...referencedMediaUrls(rows)].sort()).toEqual(['/uploads/a.jpg', '/uploads/c.jpg']);
+  });
+
+  it('should keep a shared file referenced until the last row is sent', () => {
+    const rows = [
+      { Status: 'sent', MediaUrl: '/uploads/batch.png' },
+      { Status: 'pending', MediaUrl: '/uploads/batch.png' },
+    ];
+    expect(referencedMediaUrls(rows).has('/uploads/batch.png')).toBe(true);
+
+    rows[1].Status = 'sent';
+    expect(referencedMediaUrls(rows).has('/uploads/batch.png')).toBe(false);
+  });
+
+  it('should map records to the API shape', () => {
+    expect(toMediaResponse({ ID: 'm1', Url: '/uploads/x.pdf', MediaType: 'application/pdf', OriginalName: 'x.pdf', Size: '42', Keep: 'true', CreatedAt: 't' }))
+      .toEqual({ id: 'm1', url: '/uploads/x.pdf', mediaType: 'application/pdf', originalName: 'x.pdf', size: 42, keep: true, createdAt: 't' });
+  });
+});
@@ -0,0 +1,56 @@
+import { normalizePhone, tryNormalizePhone, normalizePhoneList, isSamePhone, phoneKey, phoneToJid, getDefaultCountry, InvalidPhoneError } from '../phone.js';
+
+describe('phone', () => {
+  const originalCountry = process.env.DEFAULT_COUNTRY;
+
+  afterEach(() => {
+    process.env.DEFAULT_COUNTRY = originalCountry;
+  });
+
+  it('should normalize local and international forms to E.164', () => {
+    expect(normalizePhone('0771234567', 'LK')).toBe('+94771234567');
+    expect(normalizePhone('+94 77 123 4567', 'LK')).toBe('+94771234567');
+    expect(normalizePhone('94771234567', 'LK')).toBe('+94771234567');
+    expect(normalizePhone('0094771234567', 'LK')).toBe('+94771234567');
+  });
+
+  it('should read international numbers written without a plus', () => {
+    expect(normalizePhone('447911123456', 'LK')).toBe('+447911123456');
+  });
+
+  it('should use the configured default country', () => {
+    process.env.DEFAULT_COUNTRY = 'gb';
+    expect(getDefaultCountry()).toBe('GB');
+    expect(normalizePhone('07911 123456')).toBe('+447911123456');
+
+    process.env.DEFAULT_COUNTRY = 'nowhere';
+    expect(getDefaultCountry()).toBe('LK');
+  });
+
+  it('should reject invalid numbers with a reason', () => {
+    expect(() => normalizePhone('12345', 'LK')).toThrow(InvalidPhoneError);
+    expect(() => normalizePhone('12345', 'LK')).toThrow('Invalid phone number "12345": too short');
+    expect(() => normalizePhone('0771234567999', 'LK')).toThrow('too long');
+    expect(() => normalizePhone('hello', 'LK')).toThrow('not a phone number');
+    expect(tryNormalizePhone('12345', 'LK')).toBeNull();
+  });
+
+  it('should normalize lists, dropping duplicates and collecting errors', () => {
+    process.env.DEFAULT_COUNTRY = 'LK';
+    const { valid, invalid } = normalizePhoneList(['0771234567', '+94771234567', '123']);
+    expect(valid).toEqual(['+94771234567']);
+    expect(invalid).toEqual([{ input: '123', error: 'Invalid phone number "123": too short' }]);
+  });
+
+  it('should compare numbers after normalization', () => {
+    process.env.DEFAULT_COUNTRY = 'LK';
+    expect(isSamePhone('077 123 4567', '+94771234567')).toBe(true);
+    expect(isSamePhone('0771234567', '0771234568')).toBe(false);
+    expect(phoneKey('0771234567')).toBe('+94771234567');
+    expect(phoneKey('12-34')).toBe('1234');
+  });
+
+  it('should build a WhatsApp JID', () => {
+    expect(phoneToJid('+94771234567')).toBe('94771234567@s.whatsapp.net');
+  });
+});
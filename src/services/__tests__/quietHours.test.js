@@ -0,0 +1,54 @@
+import { parseQuietHours, normalizeQuietHours, resolveQuietHours, quietHoursEnd, quietHoursHold, isQuietHoursHold } from '../quietHours.js';
+
+describe('quietHours', () => {
+  const originalQuietHours = process.env.QUIET_HOURS;
+  const originalTimezone = process.env.TIMEZONE;
+
+  beforeEach(() => {
+    process.env.QUIET_HOURS = '22:00-07:00';
+    process.env.TIMEZONE = 'Asia/Colombo';
+  });
+
+  afterEach(() => {
+    for (const [key, value] of [['QUIET_HOURS', originalQuietHours], ['TIMEZONE', originalTimezone]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('should read and normalise windows', () => {
+    expect(parseQuietHours('22:00-07:00')).toEqual([{ start: 1320, end: 420 }]);
+    expect(normalizeQuietHours(' 22-7 , 13:00-14:30 ')).toBe('22:00-07:00, 13:00-14:30');
+    expect(normalizeQuietHours('OFF')).toBe('off');
+    expect(normalizeQuietHours('')).toBeNull();
+    expect(() => parseQuietHours('22:00')).toThrow('use a range like 22:00-07:00');
+    expect(() => parseQuietHours('25:00-07:00')).toThrow('Invalid time "25:00"');
+    expect(() => parseQuietHours('08:00-08:00')).toThrow('start and end at the same time');
+  });
+
+  it('should prefer contact, then group, then global quiet hours', () => {
+    const groups = [{ Name: 'family', QuietHours: '23:00-06:00' }, { Name: 'team-ops', QuietHours: null }];
+    expect(resolveQuietHours({ QuietHours: 'off', Tags: 'family' }, groups)).toEqual({ windows: [], source: 'contact' });
+    expect(resolveQuietHours({ Tags: 'family, team-ops' }, groups)).toEqual({ windows: [{ start: 1380, end: 360 }], source: 'group family' });
+    expect(resolveQuietHours({ Tags: 'team-ops' }, groups)).toEqual({ windows: [{ start: 1320, end: 420 }], source: 'global' });
+    expect(resolveQuietHours(null, groups).source).toBe('global');
+  });
+
+  it('should find when quiet hours end, across midnight and chained windows', () => {
+    // 23:30 in Colombo
+    expect(quietHoursEnd([{ start: 1320, end: 420 }], '2026-10-19T18:00:00Z', 'Asia/Colombo').toISOString()).toBe('2026-10-20T01:30:00.000Z');
+    // 03:00 in Colombo
+    expect(quietHoursEnd([{ start: 1320, end: 420 }], '2026-10-19T21:30:00Z', 'Asia/Colombo').toISOString()).toBe('2026-10-20T01:30:00.000Z');
+    expect(quietHoursEnd([{ start: 1320, end: 420 }], '2026-10-20T06:30:00Z', 'Asia/Colombo')).toBeNull();
+    expect(quietHoursEnd([{ start: 0, end: 360 }, { start: 360, end: 480 }], '2026-10-19T19:00:00Z', 'Asia/Colombo').toISOString()).toBe('2026-10-20T02:30:00.000Z');
+  });
+
+  it("should hold rows in the recipient's timezone unless urgent", () => {
+    const now = '2026-10-19T18:30:00Z'; // midnight in Colombo, 19:30 in London
+    const hold = quietHoursHold({}, null, [], now);
+    expect(hold).toEqual({ holdUntil: '2026-10-20T01:30:00.000Z', holdReason: 'Quiet hours 22:00-07:00 Asia/Colombo (global)' });
+    expect(isQuietHoursHold({ HoldUntil: hold.holdUntil, HoldReason: hold.holdReason })).toBe(true);
+    expect(quietHoursHold({ Urgent: 'true' }, null, [], now)).toBeNull();
+    expect(quietHoursHold({}, { Timezone: 'Europe/London' }, [], now)).toBeNull();
+  });
+});
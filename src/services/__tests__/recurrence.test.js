@@ -0,0 +1,50 @@
+import { parseRule, formatRule, describeRule, nextOccurrence, parseCron } from '../recurrence.js';
+
+// Monday 2026-10-19 09:00 in Asia/Colombo (UTC+5:30)
+const anchor = '2026-10-19T03:30:00.000Z';
+
+describe('recurrence', () => {
+  it('should parse and format rules', () => {
+    expect(parseRule('weekly:Fri,mon')).toEqual({ type: 'weekly', days: [1, 5] });
+    expect(formatRule(parseRule('weekly:Fri,mon'))).toBe('weekly:mon,fri');
+    expect(formatRule(parseRule('monthly:15'))).toBe('monthly:15');
+    expect(formatRule(parseRule('cron:0  9 * * 1'))).toBe('cron:0 9 * * 1');
+  });
+
+  it('should reject invalid rules', () => {
+    expect(() => parseRule('hourly')).toThrow('Unknown recurrence');
+    expect(() => parseRule('weekly:funday')).toThrow('Invalid weekday');
+    expect(() => parseRule('monthly:32')).toThrow('Invalid day of month');
+    expect(() => parseRule('cron:* * *')).toThrow('5 fields');
+    expect(() => parseCron('61 * * * *')).toThrow('Invalid cron value');
+  });
+
+  it('should describe rules', () => {
+    expect(describeRule('daily')).toBe('Every day');
+    expect(describeRule('weekly:mon,wed')).toBe('Every week on Mon, Wed');
+    expect(describeRule('monthly:1')).toBe('Every month on day 1');
+  });
+
+  it('should keep the time of day for daily and weekly rules', () => {
+    expect(nextOccurrence('daily', anchor).format()).toBe('2026-10-20T09:00:00+05:30');
+    expect(nextOccurrence('weekly:wed,fri', anchor).format()).toBe('2026-10-21T09:00:00+05:30');
+    expect(nextOccurrence('weekly', anchor).format()).toBe('2026-10-26T09:00:00+05:30');
+  });
+
+  it('should clamp monthly rules to the last day of short months', () => {
+    const first = nextOccurrence('monthly:31', anchor);
+    expect(first.format()).toBe('2026-10-31T09:00:00+05:30');
+    expect(nextOccurrence('monthly:31', anchor, first).format()).toBe('2026-11-30T09:00:00+05:30');
+  });
+
+  it('should skip past missed slots when given a later lower bound', () => {
+    const next = nextOccurrence('daily', anchor, '2026-11-30T20:00:00.000Z');
+    expect(next.format()).toBe('2026-12-01T09:00:00+05:30');
+  });
+
+  it('should find the next cron match', () => {
+    expect(nextOccurrence('cron:0 9 * * 1-5', anchor).format()).toBe('2026-10-20T09:00:00+05:30');
+    expect(nextOccurrence('cron:*/15 * * * *', anchor).format()).toBe('2026-10-19T09:15:00+05:30');
+    expect(nextOccurrence('cron:0 0 29 2 *', anchor).format()).toBe('2028-02-29T00:00:00+05:30');
+  });
+});
@@ -0,0 +1,69 @@
+import { parseRecurringDay, recurringFromBody, parseRecurringArgs, occursOnDay, dueDays, nextDay, describeSchedule } from '../recurringFinances.js';
+
+const zone = 'Asia/Colombo';
+const now = '2025-05-15T06:00:00Z';
+
+describe('recurringFinances', () => {
+  it('should read the day for each frequency', () => {
+    expect(parseRecurringDay('daily', '')).toBeNull();
+    expect(parseRecurringDay('daily', '5')).toBeUndefined();
+    expect(parseRecurringDay('weekly', 'Monday')).toBe('mon');
+    expect(parseRecurringDay('weekly', 'month')).toBeUndefined();
+    expect(parseRecurringDay('monthly', '5th')).toBe('5');
+    expect(parseRecurringDay('monthly', '32')).toBeUndefined();
+    expect(parseRecurringDay('yearly', '2-29')).toBe('02-29');
+    expect(parseRecurringDay('yearly', '02-30')).toBeUndefined();
+  });
+
+  it('should default the day to today', () => {
+    const { fields } = recurringFromBody({ type: 'spent', amount: '2500', category: 'Internet', frequency: 'monthly' }, { now, zone });
+    expect(fields).toEqual({ Type: 'Expense', Amount: 2500, Currency: 'LKR', Category: 'internet', Description: 'internet (recurring)', Frequency: 'monthly', Day: '15' });
+  });
+
+  it('should reject invalid definitions', () => {
+    expect(recurringFromBody({ type: 'loan', amount: 1, category: 'x', frequency: 'daily' }).error).toBe('type must be income or expense');
+    expect(recurringFromBody({ type: 'got', amount: -1, category: 'x', frequency: 'daily' }).error).toBe('amount must be a positive number');
+    expect(recurringFromBody({ type: 'got', amount: 1, category: 'x', frequency: 'hourly' }).error).toMatch('frequency must be one of');
+    expect(recurringFromBody({ type: 'got', amount: 1, category: 'x', frequency: 'weekly', day: 'someday' }).error).toMatch('use a weekday');
+  });
+
+  it('should read chat arguments with an optional day', () => {
+    const currencies = new Set(['LKR', 'USD']);
+    expect(parseRecurringArgs(['spent', '2500', 'internet', 'monthly', '5', 'Fibre', 'plan'], currencies)).toEqual({
+      type: 'spent', amount: '2500', category: 'internet', frequency: 'monthly', day: '5', description: 'Fibre plan',
+    });
+    expect(parseRecurringArgs(['got', '90000', 'salary', 'monthly', 'Acme', 'salary'], currencies).day).toBeUndefined();
+    expect(parseRecurringArgs(['spent', '15', 'usd', 'netflix', 'monthly', '3'], currencies)).toEqual({
+      type: 'spent', amount: '15', currency: 'USD', category: 'netflix', frequency: 'monthly', day: '3', description: '',
+    });
+    expect(parseRecurringArgs(['spent', '5', 'coffee', 'daily', '2', 'cups'], currencies).description).toBe('2 cups');
+  });
+
+  it('should fall on the last day of short months', () => {
+    const rent = { Frequency: 'monthly', Day: '31' };
+    expect(occursOnDay(rent, '2025-02-28')).toBe(true);
+    expect(occursOnDay(rent, '2025-03-30')).toBe(false);
+    expect(occursOnDay({ Frequency: 'yearly', Day: '02-29' }, '2025-02-28')).toBe(true);
+    expect(occursOnDay({ Frequency: 'weekly', Day: 'thu' }, '2025-05-15')).toBe(true);
+  });
+
+  it('should catch up days missed since the last post, once each', () => {
+    const record = { Frequency: 'weekly', Day: 'mon', LastPostedFor: '2025-04-28', CreatedAt: '2025-04-01T00:00:00Z' };
+    expect(dueDays(record, { now, zone })).toEqual(['2025-05-05', '2025-05-12']);
+    expect(dueDays({ ...record, LastPostedFor: '2025-05-12' }, { now, zone })).toEqual([]);
+  });
+
+  it('should start from the day a definition was created', () => {
+    const record = { Frequency: 'monthly', Day: '15', LastPostedFor: null, CreatedAt: '2025-05-14T20:00:00Z' };
+    expect(dueDays(record, { now, zone })).toEqual(['2025-05-15']);
+    expect(dueDays({ ...record, Day: '10' }, { now, zone })).toEqual([]);
+  });
+
+  it('should find the next day and describe the schedule', () => {
+    const record = { Frequency: 'monthly', Day: '5', LastPostedFor: '2025-05-05' };
+    expect(nextDay(record, { now, zone })).toBe('2025-06-05');
+    expect(nextDay({ ...record, LastPostedFor: null }, { now: '2025-05-04T06:00:00Z', zone })).toBe('2025-05-05');
+    expect(describeSchedule(record)).toBe('monthly on the 5th');
+    expect(describeSchedule({ Frequency: 'daily' })).toBe('daily');
+  });
+});
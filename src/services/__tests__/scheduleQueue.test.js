@@ -0,0 +1,54 @@
+import os from 'os';
+import path from 'path';
+import fsp from 'fs/promises';
+import dayjs from 'dayjs';
+import { createLocalStore } from '../localStore.js';
+import { getCollection, setDriver } from '../storage.js';
+import { isDue, currentDueRow } from '../scheduleQueue.js';
+
+describe('scheduleQueue', () => {
+  const now = dayjs('2026-03-01T10:00:00Z');
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await fsp.mkdtemp(path.join(os.tmpdir(), 'wasender-queue-'));
+    setDriver(createLocalStore(dir));
+    store = getCollection('Schedule');
+    await store.insert([
+      { ID: 'a', Status: 'pending', SendAt: '2026-03-01T09:59:00Z', Recipient: '+94771234567', Caption: 'Hi' },
+      { ID: 'b', Status: 'pending', SendAt: '2026-03-01T09:59:00Z', Recipient: '+94771234568', Caption: 'Hello' },
+    ]);
+  });
+
+  afterEach(async () => {
+    await fsp.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should send pending and retrying rows once their time comes', () => {
+    expect(isDue({ Status: 'pending', SendAt: '2026-03-01T09:00:00Z' }, now)).toBe(true);
+    expect(isDue({ Status: 'pending', SendAt: '2026-03-01T11:00:00Z' }, now)).toBe(false);
+    expect(isDue({ Status: 'retrying', NextAttemptAt: '2026-03-01T09:30:00Z' }, now)).toBe(true);
+    expect(isDue({ Status: 'pending', SendAt: '2026-03-01T09:00:00Z', HoldUntil: '2026-03-01T12:00:00Z' }, now)).toBe(false);
+    expect(isDue({ Status: 'cancelled', SendAt: '2026-03-01T09:00:00Z' }, now)).toBe(false);
+  });
+
+  it('should not send a row cancelled after the queue was listed', async () => {
+    const due = (await store.list()).filter(row => isDue(row, now));
+    expect(due.map(row => row.ID)).toEqual(['a', 'b']);
+
+    await store.update('a', { Status: 'cancelled' });
+    await store.delete('b');
+
+    expect(await currentDueRow(store, 'a', now)).toBeNull();
+    expect(await currentDueRow(store, 'b', now)).toBeNull();
+  });
+
+  it('should send the edited row, or wait when it was rescheduled', async () => {
+    await store.update('a', { Caption: 'Edited' });
+    await store.update('b', { SendAt: '2026-03-02T09:00:00Z' });
+
+    expect((await currentDueRow(store, 'a', now)).Caption).toBe('Edited');
+    expect(await currentDueRow(store, 'b', now)).toBeNull();
+  });
+});
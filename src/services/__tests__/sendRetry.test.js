@@ -0,0 +1,30 @@
+import { PermanentSendError, isPermanentSendError, getRetryDelay } from '../sendRetry.js';
+
+describe('sendRetry', () => {
+  it('should treat validation and missing-recipient errors as permanent', () => {
+    expect(isPermanentSendError(new PermanentSendError('Media file not found'))).toBe(true);
+    expect(isPermanentSendError(Object.assign(new Error('gone'), { code: 'ENOENT' }))).toBe(true);
+    expect(isPermanentSendError(Object.assign(new Error('bad'), { output: { statusCode: 404 } }))).toBe(true);
+    expect(isPermanentSendError(new Error('item-not-found'))).toBe(true);
+  });
+
+  it('should treat connection problems as transient', () => {
+    expect(isPermanentSendError(Object.assign(new Error('Connection Closed'), { output: { statusCode: 428 } }))).toBe(false);
+    expect(isPermanentSendError(new Error('Timed Out'))).toBe(false);
+    expect(isPermanentSendError(undefined)).toBe(false);
+  });
+
+  it('should back off exponentially within the jitter range', () => {
+    const first = getRetryDelay(1);
+    const third = getRetryDelay(3);
+
+    expect(first).toBeGreaterThanOrEqual(24000);
+    expect(first).toBeLessThanOrEqual(36000);
+    expect(third).toBeGreaterThanOrEqual(96000);
+    expect(third).toBeLessThanOrEqual(144000);
+  });
+
+  it('should cap the delay', () => {
+    expect(getRetryDelay(50)).toBeLessThanOrEqual(60 * 60 * 1000);
+  });
+});
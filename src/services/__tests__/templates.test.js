@@ -0,0 +1,49 @@
+import { normalizeKey, hasPlaceholders, contactVariables, renderTemplate, missingVariables, findContactByPhone } from '../templates.js';
+
+describe('templates', () => {
+  const contact = { ID: 'c1', Name: 'Kamal Perera', Phone: '94771234567', Company: 'Acme', 'Favourite Food': 'kottu' };
+
+  it('should normalize placeholder and column names', () => {
+    expect(normalizeKey('first_name')).toBe('firstname');
+    expect(normalizeKey('First Name')).toBe('firstname');
+  });
+
+  it('should detect placeholders', () => {
+    expect(hasPlaceholders('Hi {{name}}')).toBe(true);
+    expect(hasPlaceholders('Hi there')).toBe(false);
+    expect(hasPlaceholders(null)).toBe(false);
+  });
+
+  it('should build variables from a contact', () => {
+    const variables = contactVariables(contact, { date: '2025-03-14T06:00:00Z' });
+    expect(variables).toMatchObject({
+      name: 'Kamal Perera',
+      firstname: 'Kamal',
+      lastname: 'Perera',
+      phone: '94771234567',
+      company: 'Acme',
+      favouritefood: 'kottu',
+      date: '14 March 2025',
+    });
+    expect(variables.id).toBeUndefined();
+  });
+
+  it('should render built-in and custom fields', () => {
+    const variables = contactVariables(contact, { date: '2025-03-14T06:00:00Z' });
+    expect(renderTemplate('Hi {{ first_name }} from {{Company}}, enjoy your {{favourite_food}} on {{date}}!', variables))
+      .toBe('Hi Kamal from Acme, enjoy your kottu on 14 March 2025!');
+  });
+
+  it('should use fallbacks and report missing values', () => {
+    const variables = contactVariables(null, { phone: '94770000000' });
+    expect(renderTemplate('Hi {{first_name|friend}}, {{nickname}}', variables)).toBe('Hi friend, ');
+    expect(missingVariables('Hi {{first_name|friend}}, {{nickname}} {{phone}}', variables)).toEqual(['nickname']);
+  });
+
+  it('should match contacts by normalized number', () => {
+    const contacts = [{ ID: 'a', Phone: '+94 77 123 4567' }, { ID: 'b', Phone: '94770000000' }];
+    expect(findContactByPhone(contacts, '94770000000').ID).toBe('b');
+    expect(findContactByPhone(contacts, '0771234567').ID).toBe('a');
+    expect(findContactByPhone(contacts, '12345')).toBeNull();
+  });
+});
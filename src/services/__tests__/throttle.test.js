@@ -0,0 +1,57 @@
+import { createThrottle, throttleSettingsFromEnv, typingDuration } from '../throttle.js';
+
+describe('throttle', () => {
+  it('should not delay the first send', () => {
+    const throttle = createThrottle({ minGapSeconds: 5, maxGapSeconds: 5 });
+    expect(throttle.delayBeforeNext(1000)).toBe(0);
+  });
+
+  it('should wait a randomised gap after each send', () => {
+    const throttle = createThrottle({ minGapSeconds: 2, maxGapSeconds: 6, ratePerMinute: 0 }, () => 0.5);
+    throttle.recordSend('2025-01-01', 10000);
+
+    expect(throttle.delayBeforeNext(10000)).toBe(4000);
+    expect(throttle.delayBeforeNext(13000)).toBe(1000);
+    expect(throttle.delayBeforeNext(20000)).toBe(0);
+  });
+
+  it('should enforce the per-minute rate', () => {
+    const throttle = createThrottle({ minGapSeconds: 0, maxGapSeconds: 0, ratePerMinute: 2 });
+    throttle.recordSend('2025-01-01', 0);
+    throttle.recordSend('2025-01-01', 1000);
+
+    expect(throttle.delayBeforeNext(2000)).toBe(58000);
+    expect(throttle.delayBeforeNext(60000)).toBe(0);
+  });
+
+  it('should track the daily cap per day', () => {
+    const throttle = createThrottle({ dailyCap: 2 });
+    throttle.recordSend('2025-01-01');
+    expect(throttle.hasDailyCapacity('2025-01-01')).toBe(true);
+    throttle.recordSend('2025-01-01');
+    expect(throttle.hasDailyCapacity('2025-01-01')).toBe(false);
+    expect(throttle.hasDailyCapacity('2025-01-02')).toBe(true);
+  });
+
+  it('should restore a persisted daily count', () => {
+    const throttle = createThrottle({ dailyCap: 3 });
+    throttle.setDailyCount({ day: '2025-01-01', count: 3 });
+    expect(throttle.hasDailyCapacity('2025-01-01')).toBe(false);
+  });
+
+  it('should read settings from the environment', () => {
+    expect(throttleSettingsFromEnv({ SEND_RATE_PER_MINUTE: '10', SEND_DAILY_CAP: '200', SEND_TYPING_INDICATOR: 'false' })).toEqual({
+      ratePerMinute: 10,
+      minGapSeconds: 3,
+      maxGapSeconds: 8,
+      dailyCap: 200,
+      typingIndicator: false,
+    });
+  });
+
+  it('should scale the typing duration with message length', () => {
+    expect(typingDuration('')).toBe(1000);
+    expect(typingDuration('x'.repeat(40))).toBe(2000);
+    expect(typingDuration('x'.repeat(1000))).toBe(5000);
+  });
+});
@@ -0,0 +1,46 @@
+import { isValidTimezone, getTimezone, parseInTimezone, contactTimezone, formatUtcOffset } from '../timezone.js';
+
+describe('timezone', () => {
+  const originalTimezone = process.env.TIMEZONE;
+
+  afterEach(() => {
+    if (originalTimezone === undefined) delete process.env.TIMEZONE;
+    else process.env.TIMEZONE = originalTimezone;
+  });
+
+  it('should accept IANA zones only', () => {
+    expect(isValidTimezone('Europe/London')).toBe(true);
+    expect(isValidTimezone('Mars/Olympus')).toBe(false);
+    expect(isValidTimezone('')).toBe(false);
+  });
+
+  it('should use the configured timezone, falling back to Asia/Colombo', () => {
+    process.env.TIMEZONE = 'America/New_York';
+    expect(getTimezone()).toBe('America/New_York');
+
+    process.env.TIMEZONE = 'nowhere';
+    expect(getTimezone()).toBe('Asia/Colombo');
+  });
+
+  it('should read wall-clock times in the zone and keep explicit offsets', () => {
+    expect(parseInTimezone('2026-10-20T09:00', 'Asia/Colombo').toISOString()).toBe('2026-10-20T03:30:00.000Z');
+    expect(parseInTimezone('2026-10-20T09:00', 'Europe/London').toISOString()).toBe('2026-10-20T08:00:00.000Z');
+    expect(parseInTimezone('2026-10-20T09:00:00Z', 'Asia/Colombo').toISOString()).toBe('2026-10-20T09:00:00.000Z');
+    expect(parseInTimezone('2026-10-20T09:00+01:00', 'Asia/Colombo').toISOString()).toBe('2026-10-20T08:00:00.000Z');
+    expect(parseInTimezone('not a date').isValid()).toBe(false);
+  });
+
+  it("should prefer a contact's own timezone", () => {
+    process.env.TIMEZONE = 'Asia/Colombo';
+    expect(contactTimezone({ Timezone: 'Australia/Sydney' })).toBe('Australia/Sydney');
+    expect(contactTimezone({ Timezone: 'bogus' })).toBe('Asia/Colombo');
+    expect(contactTimezone(null)).toBe('Asia/Colombo');
+  });
+
+  it('should format UTC offsets', () => {
+    expect(formatUtcOffset('Asia/Colombo')).toBe('UTC+5:30');
+    expect(formatUtcOffset('Asia/Kathmandu')).toBe('UTC+5:45');
+    expect(formatUtcOffset('UTC')).toBe('UTC+0');
+    expect(formatUtcOffset('America/St_Johns', '2026-01-15T12:00:00Z')).toBe('UTC-3:30');
+  });
+});
@@ -0,0 +1,115 @@
+import { unfoldLines, splitCards, parseCard, parseVCards, parseBirthday, decodeQuotedPrintable, formatPhones, parsePhones, formatVCard, foldLine } from '../vcard.js';
+
+describe('vcard', () => {
+  it('should unfold continuation lines keeping significant spaces', () => {
+    expect(unfoldLines('FN:Kamal\r\n  Perera\r\nTEL:1')).toEqual(['FN:Kamal Perera', 'TEL:1']);
+  });
+
+  it('should join quoted-printable soft line breaks', () => {
+    expect(unfoldLines('N;ENCODING=QUOTED-PRINTABLE:P=C3=A9=\nrera;;;;\nTEL:1')).toEqual(['N;ENCODING=QUOTED-PRINTABLE:P=C3=A9rera;;;;', 'TEL:1']);
+  });
+
+  it('should decode quoted-printable text', () => {
+    expect(decodeQuotedPrintable('P=C3=A9rera')).toBe('Pérera');
+    expect(decodeQuotedPrintable('Caf=E9', 'iso-8859-1')).toBe('Café');
+  });
+
+  it('should split a file into cards regardless of case', () => {
+    const text = 'BEGIN:VCARD\nFN:A\nEND:VCARD\nbegin:vcard\nFN:B\nend:vcard\n';
+    expect(splitCards(text)).toHaveLength(2);
+  });
+
+  it('should keep every number with its type and pick a primary', () => {
+    const card = parseCard([
+      'BEGIN:VCARD', 'VERSION:3.0', 'FN:Kamal Perera',
+      'TEL;TYPE=WORK,VOICE:011 234 5678',
+      'TEL;TYPE=CELL:+94 77 123 4567',
+      'TEL:0112999999',
+      'END:VCARD',
+    ].join('\r\n'));
+    expect(card.phone).toBe('+94771234567');
+    expect(card.phones).toEqual([
+      { number: '+94112345678', types: ['work'], pref: false },
+      { number: '+94771234567', types: ['mobile'], pref: false },
+      { number: '+94112999999', types: [], pref: false },
+    ]);
+    expect(formatPhones(card.phones)).toBe('work:+94112345678; mobile:+94771234567; +94112999999');
+  });
+
+  it('should read vCard 2.1 bare types and vCard 4 tel URIs', () => {
+    const [v21, v4] = parseVCards([
+      'BEGIN:VCARD', 'VERSION:2.1', 'N:Perera;Nimal;;;', 'TEL;HOME:0112000000', 'TEL;CELL;PREF:0771111111', 'END:VCARD',
+      'BEGIN:VCARD', 'VERSION:4.0', 'FN:Ann', 'TEL;VALUE=uri;TYPE="voice,cell";PREF=1:tel:+1-201-555-0123', 'GENDER:F', 'END:VCARD',
+    ].join('\n'));
+    expect(v21.name).toBe('Nimal Perera');
+    expect(v21.phone).toBe('+94771111111');
+    expect(v21.phones[0].types).toEqual(['home']);
+    expect(v4.phone).toBe('+12015550123');
+    expect(v4.phones[0]).toEqual({ number: '+12015550123', types: ['mobile'], pref: true });
+    expect(v4.gender).toBe('female');
+  });
+
+  it('should report numbers that cannot be normalized', () => {
+    const card = parseCard(['BEGIN:VCARD', 'VERSION:3.0', 'FN:Short', 'TEL:12345', 'END:VCARD'].join('\r\n'));
+    expect(card.phone).toBeNull();
+    expect(card.phones).toEqual([]);
+    expect(card.invalidPhones).toEqual([{ number: '12345', error: 'Invalid phone number "12345": too short' }]);
+  });
+
+  it('should read email, org, notes and birthday', () => {
+    const card = parseCard([
+      'BEGIN:VCARD', 'VERSION:3.0', 'FN:Kamal',
+      'EMAIL;TYPE=INTERNET:k@example.com', 'ORG:Acme;Sales', 'NOTE:Line one\\nline two', 'BDAY:19900514',
+      'END:VCARD',
+    ].join('\r\n'));
+    expect(card.emails).toEqual(['k@example.com']);
+    expect(card.org).toBe('Acme, Sales');
+    expect(card.note).toBe('Line one\nline two');
+    expect(card.birthday).toBe('1990-05-14');
+  });
+
+  it('should normalise birthdays', () => {
+    expect(parseBirthday('1990-05-14')).toBe('1990-05-14');
+    expect(parseBirthday('1990-05-14T00:00:00Z')).toBe('1990-05-14');
+    expect(parseBirthday('--0514')).toBe('--05-14');
+    expect(parseBirthday('1990-13-01')).toBeNull();
+    expect(parseBirthday('circa 1990')).toBeNull();
+  });
+
+  it('should read the Phones column', () => {
+    expect(parsePhones('mobile:+94771234567; work,voice:+94112345678; +94112999999')).toEqual([
+      { number: '+94771234567', types: ['mobile'] },
+      { number: '+94112345678', types: ['work', 'voice'] },
+      { number: '+94112999999', types: [] },
+    ]);
+    expect(parsePhones(null)).toEqual([]);
+  });
+
+  it('should write contacts that read back the same', () => {
+    const text = formatVCard({
+      Name: 'Kamal de Silva',
+      Phone: '+94771234567',
+      Phones: 'mobile:+94771234567; work:+94112345678',
+      Email: 'k@example.com',
+      Org: 'Acme, Sales',
+      Birthday: '1990-05-14',
+      Tags: 'family, team-ops',
+      Note: 'Met at work; likes cricket\nCall after 6',
+    });
+    expect(text).toContain('N:Silva;Kamal de;;;\r\n');
+    expect(text).toContain('TEL;TYPE=CELL,PREF:+94771234567\r\n');
+    const card = parseVCards(text)[0];
+    expect(card.name).toBe('Kamal de Silva');
+    expect(card.phones.map(p => p.number)).toEqual(['+94771234567', '+94112345678']);
+    expect(card.org).toBe('Acme, Sales');
+    expect(card.birthday).toBe('1990-05-14');
+    expect(card.categories).toEqual(['family', 'team-ops']);
+    expect(card.note).toBe('Met at work; likes cricket\nCall after 6');
+  });
+
+  it('should fold long lines at 75 octets', () => {
+    const folded = foldLine(`NOTE:${'é'.repeat(60)}`);
+    expect(folded.split('\r\n ').every(part => Buffer.byteLength(part) <= 75)).toBe(true);
+    expect(unfoldLines(folded)).toEqual([`NOTE:${'é'.repeat(60)}`]);
+  });
+});
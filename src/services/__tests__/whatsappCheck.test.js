@@ -0,0 +1,58 @@
+import { createRegistrationChecker } from '../whatsappCheck.js';
+
+describe('whatsappCheck', () => {
+  const registered = new Map([
+    ['94771234567', '94771234567@s.whatsapp.net'],
+    ['94770000000', '94770000000@s.whatsapp.net'],
+  ]);
+  const fakeLookup = (calls) => async (jids) => {
+    calls.push(jids);
+    return jids
+      .map(jid => jid.split('@')[0])
+      .filter(digits => registered.has(digits))
+      .map(digits => ({ jid: registered.get(digits), exists: true }));
+  };
+
+  it('should report registered and unregistered numbers', async () => {
+    const checker = createRegistrationChecker({ lookup: fakeLookup([]) });
+    const results = await checker.check(['+94771234567', '+94779999999']);
+    expect(results.get('+94771234567')).toMatchObject({ exists: true, jid: '94771234567@s.whatsapp.net' });
+    expect(results.get('+94779999999')).toMatchObject({ exists: false, jid: null });
+  });
+
+  it('should query in batches', async () => {
+    const calls = [];
+    const checker = createRegistrationChecker({ lookup: fakeLookup(calls), batchSize: 2 });
+    await checker.check(['+94771234567', '+94770000000', '+94779999999']);
+    expect(calls.map(c => c.length)).toEqual([2, 1]);
+  });
+
+  it('should cache answers until they expire', async () => {
+    const calls = [];
+    let time = 0;
+    const checker = createRegistrationChecker({ lookup: fakeLookup(calls), ttlMs: 1000, now: () => time });
+    await checker.check(['+94771234567']);
+    await checker.check(['+94771234567']);
+    expect(calls).toHaveLength(1);
+    expect(checker.cached('+94771234567').exists).toBe(true);
+
+    time = 1500;
+    expect(checker.cached('+94771234567')).toBeNull();
+    await checker.check(['+94771234567']);
+    expect(calls).toHaveLength(2);
+
+    await checker.check(['+94771234567'], { force: true });
+    expect(calls).toHaveLength(3);
+  });
+
+  it('should pair answers that come back under a different JID', async () => {
+    // e.g. WhatsApp answering a Brazilian number without its extra mobile digit
+    const lookup = async (jids) => jids.includes('5511987654321@s.whatsapp.net')
+      ? [{ jid: '551187654321@s.whatsapp.net', exists: true }]
+      : [];
+    const checker = createRegistrationChecker({ lookup });
+    const results = await checker.check(['+5511987654321', '+5511900000000']);
+    expect(results.get('+5511987654321')).toMatchObject({ exists: true, jid: '551187654321@s.whatsapp.net' });
+    expect(results.get('+5511900000000').exists).toBe(false);
+  });
+});
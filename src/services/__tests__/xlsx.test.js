@@ -0,0 +1,36 @@
+import zlib from 'zlib';
+import { columnName, toXlsx } from '../xlsx.js';
+
+// Reads the stored files back out of the ZIP archive.
+function unzip(buffer) {
+  const files = {};
+  for (let offset = 0; buffer.readUInt32LE(offset) === 0x04034b50;) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    files[name] = zlib.inflateRawSync(buffer.subarray(start, start + size)).toString('utf8');
+    offset = start + size;
+  }
+  return files;
+}
+
+describe('xlsx', () => {
+  it('should name columns like spreadsheets do', () => {
+    expect(columnName(0)).toBe('A');
+    expect(columnName(25)).toBe('Z');
+    expect(columnName(26)).toBe('AA');
+    expect(columnName(701)).toBe('ZZ');
+    expect(columnName(702)).toBe('AAA');
+  });
+
+  it('should pack a workbook with one sheet', () => {
+    const files = unzip(toXlsx(['Name', 'Amount'], [{ Name: 'Tea & <cake>', Amount: 12.5 }], { sheetName: 'Finances' }));
+    expect(Object.keys(files)).toEqual(['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/worksheets/sheet1.xml']);
+    expect(files['xl/workbook.xml']).toMatch('name="Finances"');
+    const sheet = files['xl/worksheets/sheet1.xml'];
+    expect(sheet).toMatch('<c r="A1" t="inlineStr"><is><t xml:space="preserve">Name</t></is></c>');
+    expect(sheet).toMatch('Tea &amp; &lt;cake&gt;');
+    expect(sheet).toMatch('<c r="B2"><v>12.5</v></c>');
+  });
+});
@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import logger from './logger.js';
+
+export const SESSION_COOKIE = "wasender_session";
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const APP_PASSWORD = process.env.APP_PASSWORD || "admin123";
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+	sessionSecret = crypto.randomBytes(32).toString("hex");
+	logger.warn("SESSION_SECRET is not set; using a random secret; dashboard sessions will not survive a restart.");
+}
+
+function safeEqual(a, b) {
+	const bufA = Buffer.from(String(a));
+	const bufB = Buffer.from(String(b));
+	return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function sign(payload) {
+	return crypto.createHmac("sha256", sessionSecret).update(payload).digest("base64url");
+}
+
+/**
+ * Checks a password against APP_PASSWORD in constant time.
+ * @param {string} password
+ * @returns {boolean}
+ */
+export function checkAppPassword(password) {
+	return typeof password === "string" && safeEqual(password, APP_PASSWORD);
+}
+
+/**
+ * Creates a signed session token of the form `<payload>.<signature>`.
+ * @returns {{ token: string, expiresAt: number }}
+ */
+export function createSessionToken() {
+	const expiresAt = Date.now() + SESSION_TTL_MS;
+	const payload = Buffer.from(JSON.stringify({ exp: expiresAt, nonce: crypto.randomBytes(8).toString("hex") })).toString("base64url");
+	return { token: `${payload}.${sign(payload)}`, expiresAt };
+}
+
+/**
+ * Verifies a session token's signature and expiry.
+ * @param {string} token
+ * @returns {boolean}
+ */
+export function verifySessionToken(token) {
+	if (!token || typeof token !== "string") return false;
+	const [payload, signature] = token.split(".");
+	if (!payload || !signature || !safeEqual(signature, sign(payload))) return false;
+	try {
+		const { exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+		return typeof exp === "number" && exp > Date.now();
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Parses a Cookie header into a name -> value map.
+ * @param {string} [header]
+ * @returns {Record<string, string>}
+ */
+export function parseCookies(header) {
+	const cookies = {};
+	for (const part of (header || "").split(";")) {
+		const index = part.indexOf("=");
+		if (index === -1) continue;
+		const name = part.slice(0, index).trim();
+		try {
+			cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+		} catch {
+			cookies[name] = part.slice(index + 1).trim();
+		}
+	}
+	return cookies;
+}
+
+/**
+ * Whether a request carries a valid session cookie, or the app password in
+ * the `x-app-password` header (for scripts and curl).
+ * @param {import('http').IncomingMessage} req
+ * @returns {boolean}
+ */
+export function isAuthenticated(req) {
+	const cookies = parseCookies(req.headers.cookie);
+	if (verifySessionToken(cookies[SESSION_COOKIE])) return true;
+	const password = req.headers["x-app-password"];
+	return Boolean(password) && checkAppPassword(password);
+}
+
+/**
+ * Express middleware rejecting unauthenticated requests with 401.
+ */
+export function requireAuth(req, res, next) {
+	if (!isAuthenticated(req)) {
+		return res.status(401).json({ error: "Unauthorized" });
+	}
+	next();
+}
+
+/**
+ * Socket.IO middleware that only admits handshakes with a valid session.
+ */
+export function socketAuth(socket, next) {
+	if (!isAuthenticated(socket.request)) {
+		return next(new Error("Unauthorized"));
+	}
+	next();
+}
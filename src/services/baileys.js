@@ -14,11 +14,28 @@ import { GoogleGenAI } from "@google/genai";
 import makeWASocket, { fetchLatestBaileysVersion, DisconnectReason, jidNormalizedUser, useMultiFileAuthState } from "@whiskeysockets/baileys";
 
 import logger from './logger.js';
-import { getSheet } from './googleSheet.js';
+import { getCollection } from './storage.js';
+import { nextOccurrence, describeRule } from './recurrence.js';
+import { MAX_SEND_ATTEMPTS, PermanentSendError, isPermanentSendError, getRetryDelay } from './sendRetry.js';
+import { isDue, currentDueRow } from './scheduleQueue.js';
+import { createThrottle, throttleSettingsFromEnv, typingDuration } from './throttle.js';
+import { mediaPath, protectedMediaUrls, releaseMedia } from './media.js';
+import { renderForRecipient } from './templates.js';
+import { normalizePhone, tryNormalizePhone, isSamePhone, phoneToJid } from './phone.js';
+import { createRegistrationChecker } from './whatsappCheck.js';
+import { assignContactIds } from './contacts.js';
+import { getTimezone, nowIn, contactTimezone, formatUtcOffset } from './timezone.js';
+import { quietHoursHold } from './quietHours.js';
+import { eventCardMedia } from './cards.js';
+import { newTransactionId, findTransaction, lastLoggedTransaction, parseEditArgs, transactionPatch, formatTransaction } from './finances.js';
+import { normalizeCategory, parseLimit, setBudget, checkBudget, budgetOverview, formatBudgetLine } from './budgets.js';
+import { getBaseCurrency, configuredCurrencies, parseCurrencyArg, convertAmount, formatMoney, listRates, syncBaseCurrency } from './currency.js';
+import { PERIOD_HELP, parsePeriod, previousPeriod, percentChange, summarizeFinances } from './financeReports.js';
+import { recurringFromBody, parseRecurringArgs, addRecurring, postDueRecurring, formatRecurring, describeSchedule, dueDays } from './recurringFinances.js';
+import { toEventResponse, occursOn, dueEventMessages, eventReminderMessage, eventLabel, buildEventPrompt, fallbackEventMessage, fallbackEventMessages, migrateBirthdays, EVENT_TYPES } from './events.js';
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
-dayjs.tz.setDefault("Asia/Colombo");
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,10 +43,12 @@ const DATA_DIR = path.join(__dirname, '..', '..', 'data');
 const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
 const UPLOADS_DIR = path.join(PUBLIC_DIR, 'uploads');
 const statusCacheFile = path.join(DATA_DIR, "status-cache.json");
-
+const sendCounterFile = path.join(DATA_DIR, "send-counter.json");
+const queueStateFile = path.join(DATA_DIR, "queue-state.json");
 let sock = null;
 let connectionStatus = { connected: false, lastDisconnect: null, qr: null, device: "Personal Bot" };
 let sendingInProgress = false;
+let queuePaused = false;
 let autoViewStatus = process.env.AUTO_VIEW_STATUS !== "false";
 let autoReactStatus = process.env.AUTO_REACT_STATUS === "true";
 let reactionEmoji = process.env.REACTION_EMOJI || "🩵,🧡,💙,💚,💛,❤️";
@@ -38,6 +57,13 @@ let lastSeenUpdatedAt = null;
 let isConnecting = false;
 let startTime = Date.now();
 let userSelections = {};
+const throttle = createThrottle(throttleSettingsFromEnv());
+const registrationChecker = createRegistrationChecker({
+	lookup: async (jids) => {
+		if (!sock || !connectionStatus.connected) throw new Error("WhatsApp is not connected");
+		return sock.onWhatsApp(...jids);
+	}
+});
 
 let genAI = null;
 
@@ -51,7 +77,39 @@ export function updateSettings(newSettings) {
     if (typeof newSettings.reactionEmoji !== 'undefined') {
         reactionEmoji = newSettings.reactionEmoji;
     }
-    logger.info('Bot settings updated:', { autoViewStatus, autoReactStatus, reactionEmoji });
+    if (newSettings.throttle) {
+        throttle.configure(newSettings.throttle);
+    }
+    logger.info({ autoViewStatus, autoReactStatus, reactionEmoji, throttle: throttle.getSettings() }, 'Bot settings updated');
+}
+
+/**
+ * Looks up whether numbers are registered on WhatsApp. While disconnected only
+ * cached answers are returned; numbers missing from the result are unknown.
+ * @param {string[]} phones E.164 numbers.
+ * @param {{ force?: boolean }} [options]
+ * @returns {Promise<Map<string, { exists: boolean, jid: string|null, checkedAt: number }>>}
+ */
+export async function checkWhatsAppNumbers(phones, options) {
+	if (sock && connectionStatus.connected) {
+		return registrationChecker.check(phones, options);
+	}
+	const cached = new Map();
+	for (const phone of phones) {
+		const entry = registrationChecker.cached(phone);
+		if (entry) cached.set(phone, entry);
+	}
+	return cached;
+}
+
+export function getThrottleSettings() {
+    return throttle.getSettings();
+}
+
+export function getDailySendCount() {
+    const today = nowIn().format("YYYY-MM-DD");
+    const daily = throttle.getDailyCount();
+    return daily.day === today ? daily.count : 0;
 }
 
 function initializeGemini() {
@@ -121,6 +179,9 @@ export async function startBaileys(io, clearAuth = false) {
 			isConnecting = false;
 			io.emit("connection:update", { connected: true });
 			logger.info("Baileys connected");
+			// Catches up on wishes, reminders and recurring entries missed while offline.
+			checkEvents(io);
+			postRecurringFinances();
             try {
                 if (freezeLastSeen && typeof sock.sendPresenceUpdate === "function") {
                     await sock.sendPresenceUpdate("unavailable");
@@ -388,125 +449,270 @@ async function handleCommand(msg, commandText) {
 				response = `🤖 *WaSender Bot Commands*
 
 *Finance Commands:*
-.got <amount> <category> <description>
-.spent <amount> <category> <description>
+.got <amount> [currency] <category> <description>
+.spent <amount> [currency] <category> <description>
 .report [period] [category]
+.budget [set <category> <amount> | remove <category>]
+.recurring [add <got|spent> <amount> [currency] <category> <daily|weekly|monthly|yearly> [day] [description] | cancel <id>]
+.history [n], .undo, .edit <id> amount=.. category=..
 
 *Basic Commands:*
 .help, .status, .time, .uptime
 
 *Other Commands:*
-.schedule, .birthdays, .logs, .restart, .disconnect
+.schedule, .events, .birthdays, .logs, .restart, .disconnect
 
 *Examples:*
 .got 5000 salary monthly salary
 .spent 15.50 food lunch
-.report this_month food`;
+.spent 12 usd food lunch
+.report this_month food
+.report last_month
+.report 2025-01..2025-03
+.budget set food 20000
+.recurring add spent 2500 internet monthly 5`;
 				break;
 
 			case ".got":
 			case ".spent":
 				const type = cmd === ".got" ? "Income" : "Expense";
 				const amountStr = args[0];
-				const category = args[1];
-				const description = args.slice(2).join(" ");
+				const rates = await listRates();
+				const { currency: givenCurrency, rest } = parseCurrencyArg(args.slice(1), configuredCurrencies(rates));
+				const category = rest[0];
+				const description = rest.slice(1).join(" ");
 				const amount = parseFloat(amountStr);
 
 				if (isNaN(amount) || !category || !description) {
-					response = `❓ Invalid format. Use:\n${cmd} <amount> <category> <description>\nExample: ${cmd} 15.50 food lunch with friends`;
+					response = `❓ Invalid format. Use:\n${cmd} <amount> [currency] <category> <description>\nExample: ${cmd} 15.50 food lunch with friends\nor: ${cmd} 12 usd food lunch`;
 				} else {
+					const id = newTransactionId();
+					const base = getBaseCurrency();
+					const currency = givenCurrency || base;
 					try {
-						const sheet = await getSheet('Finances');
-						await sheet.addRow({
-							ID: nanoid(),
-							Date: dayjs().tz("Asia/Colombo").toISOString(),
+						await getCollection('Finances').insert({
+							ID: id,
+							Date: dayjs().toISOString(),
 							Type: type,
 							Amount: amount,
+							Currency: currency,
 							Category: category,
 							Description: description,
 						});
-						response = `✅ ${type} of ${amount} (${category}) for "${description}" logged successfully.`;
 					} catch (e) {
-						logger.error({ err: e }, "Failed to log transaction to Google Sheet");
-						response = `❌ Failed to log transaction. Please ensure the 'Finances' sheet is set up correctly.`;
+						logger.error({ err: e }, "Failed to log transaction");
+						response = `❌ Failed to log transaction. Please check the storage configuration.`;
+						break;
+					}
+					// The entry is saved; follow-ups that fail must not read as a failed log, or a retry duplicates it.
+					response = `✅ ${type} of ${formatMoney(amount, currency)} (${category}) for "${description}" logged successfully. ID: \`${id}\` (.edit ${id} amount=..., .undo)`;
+					if (currency !== base) {
+						const converted = convertAmount(amount, currency, base, rates);
+						response += converted === null
+							? `\n⚠️ No ${currency} to ${base} exchange rate yet, so it's left out of ${base} totals until one is added.`
+							: `\n≈ ${formatMoney(converted, base)}`;
+					}
+					if (type === "Expense") {
+						response += await budgetFeedback(category, chatId);
 					}
 				}
 				break;
 
 			case ".report":
 				try {
-					const period = args[0] || 'this_month';
+					const period = parsePeriod(args[0] || "this_month");
 					const categoryFilter = args[1];
-					let startDate;
-					const now = dayjs.tz(undefined, "Asia/Colombo");
-
-					if (period === 'today') {
-						startDate = now.startOf('day');
-					} else if (period === 'this_week') {
-						startDate = now.startOf('week');
-					} else { // default to this_month
-						startDate = now.startOf('month');
+					if (!period) {
+						response = `❓ Unknown period "${args[0]}". Use one of: ${PERIOD_HELP}`;
+						break;
 					}
 
-					const sheet = await getSheet('Finances');
-					const rows = await sheet.getRows();
-
-					let totalIncome = 0;
-					let totalExpenses = 0;
-                    const categoryTotals = {};
-
-					for (const row of rows) {
-						const rowDate = dayjs(row.get('Date'));
-						if (rowDate.isAfter(startDate)) {
-							const type = row.get('Type');
-							const amount = parseFloat(row.get('Amount'));
-                            const category = row.get('Category') || 'Uncategorized';
-
-							if (!isNaN(amount)) {
-                                if (categoryFilter && category.toLowerCase() !== categoryFilter.toLowerCase()) {
-                                    continue;
-                                }
-
-								if (type === 'Income') {
-									totalIncome += amount;
-								} else if (type === 'Expense') {
-									totalExpenses += amount;
-                                    categoryTotals[category] = (categoryTotals[category] || 0) + amount;
-								}
-							}
-						}
+					const [rows, rates] = await Promise.all([getCollection('Finances').list(), listRates()]);
+					const summary = summarizeFinances(rows, period, { category: categoryFilter, rates });
+					const previous = summarizeFinances(rows, previousPeriod(period), { category: categoryFilter, rates });
+					const netBalance = summary.netBalance;
+					const balanceSign = netBalance >= 0 ? '+' : '-';
+					let periodText = period.label;
+					if (categoryFilter) {
+						periodText += ` in '${categoryFilter}'`;
 					}
 
-					const netBalance = totalIncome - totalExpenses;
-					const balanceSign = netBalance >= 0 ? '+' : '-';
-					let periodText = period.replace('_', ' ');
-                    if (categoryFilter) {
-                        periodText += ` in '${categoryFilter}'`;
-                    }
+					response = `📊 *Finance Report (${periodText}, ${summary.baseCurrency})*
 
+💰 *Total Income:* ${summary.totalIncome.toFixed(2)}
+💸 *Total Expenses:* ${summary.totalExpenses.toFixed(2)}
+---
+⚖️ *Net Balance:* ${balanceSign}${Math.abs(netBalance).toFixed(2)}
+📅 *Average daily spend:* ${summary.averageDailySpend.toFixed(2)} over ${summary.days} day${summary.days === 1 ? "" : "s"}`;
 
-					response = `📊 *Finance Report (${periodText})*
+					const change = percentChange(summary.totalExpenses, previous.totalExpenses);
+					if (change !== null) {
+						response += `\n📈 *Expenses vs previous period:* ${change >= 0 ? "+" : ""}${change}% (${previous.totalExpenses.toFixed(2)})`;
+					}
 
-💰 *Total Income:* ${totalIncome.toFixed(2)}
-💸 *Total Expenses:* ${totalExpenses.toFixed(2)}
----
-⚖️ *Net Balance:* ${balanceSign}${Math.abs(netBalance).toFixed(2)}`;
+					// Subtotals are shown once entries in another currency are involved.
+					if (summary.currencies.some(c => c.currency !== summary.baseCurrency)) {
+						response += `\n\n*By Currency:*`;
+						for (const { currency, income, expenses, converted } of summary.currencies) {
+							response += `\n- ${currency}: +${income.toFixed(2)} / -${expenses.toFixed(2)}${converted ? "" : " (no exchange rate, not in totals)"}`;
+						}
+					}
 
-                    if (!categoryFilter && Object.keys(categoryTotals).length > 0) {
-                        response += `\n\n*Expense Breakdown:*`;
-                        const sortedCategories = Object.entries(categoryTotals).sort((a, b) => b[1] - a[1]);
-                        for (const [cat, total] of sortedCategories) {
-                            response += `\n- ${cat}: ${total.toFixed(2)}`;
-                        }
-                    }
+					if (!categoryFilter && summary.categoryBreakdown.length > 0) {
+						response += `\n\n*Expense Breakdown:*`;
+						for (const { name, total } of summary.categoryBreakdown) {
+							response += `\n- ${name}: ${total.toFixed(2)}`;
+						}
+					}
+					if (summary.topDescriptions.length > 0) {
+						response += `\n\n*Top Spending:*`;
+						for (const { description, count, total } of summary.topDescriptions) {
+							response += `\n- ${description}: ${total.toFixed(2)}${count > 1 ? ` (${count}×)` : ""}`;
+						}
+					}
 
 				} catch (e) {
 					logger.error({ err: e }, "Failed to generate finance report");
-					response = `❌ Failed to generate report. Please ensure the 'Finances' sheet is set up correctly.`;
+					response = `❌ Failed to generate report. Please check the storage configuration.`;
 				}
 				break;
 
 				
+			case ".undo": {
+				try {
+					const financeStore = getCollection('Finances');
+					const last = lastLoggedTransaction(await financeStore.list());
+					if (!last) {
+						response = "💡 Nothing to undo.";
+					} else {
+						await financeStore.delete(last.ID);
+						response = `↩️ Removed ${formatTransaction(last, getTimezone())}`;
+					}
+				} catch (e) {
+					logger.error({ err: e }, "Failed to undo transaction");
+					response = "❌ Failed to undo. Please check the storage configuration.";
+				}
+				break;
+			}
+
+			case ".edit": {
+				// The command text is lowercased; descriptions are taken from the original message.
+				const originalArgs = commandText.trim().split(/\s+/).slice(1);
+				const { fields, error: parseError } = parseEditArgs(originalArgs.slice(1));
+				// Categories stay lowercase, as .got/.spent log them.
+				if (fields.category) fields.category = fields.category.toLowerCase();
+				if (!args[0] || parseError) {
+					response = `❓ ${parseError || "Give the ID of the entry"}. Use:\n.edit <id> amount=1500 category=food desc=lunch\nSee IDs with .history`;
+					break;
+				}
+				try {
+					const financeStore = getCollection('Finances');
+					const { row, error: findError } = findTransaction(await financeStore.list(), args[0]);
+					const { patch, error } = row ? transactionPatch(fields) : { error: findError };
+					if (error) {
+						response = `❓ ${error}`;
+					} else {
+						const updated = await financeStore.update(row.ID, patch);
+						response = `✏️ Updated ${formatTransaction(updated, getTimezone())}`;
+						if (updated.Type === "Expense") {
+							response += await budgetFeedback(updated.Category, chatId);
+						}
+					}
+				} catch (e) {
+					logger.error({ err: e }, "Failed to edit transaction");
+					response = "❌ Failed to edit the entry. Please check the storage configuration.";
+				}
+				break;
+			}
+
+			case ".history": {
+				const count = Math.min(parseInt(args[0], 10) || 10, 50);
+				try {
+					const rows = (await getCollection('Finances').list())
+						.sort((a, b) => dayjs(b.Date).valueOf() - dayjs(a.Date).valueOf())
+						.slice(0, count);
+					response = rows.length === 0
+						? "💡 No entries yet. Log one with .spent or .got"
+						: `🧾 *Last ${rows.length} entries*\n\n${rows.map(row => formatTransaction(row, getTimezone())).join("\n")}`;
+				} catch (e) {
+					logger.error({ err: e }, "Failed to list transactions");
+					response = "❌ Failed to list entries. Please check the storage configuration.";
+				}
+				break;
+			}
+
+			case ".budget": {
+				const action = args[0] || "list";
+				try {
+					if (action === "set") {
+						const limit = parseLimit(args[args.length - 1]);
+						const category = normalizeCategory(args.slice(1, -1).join(" "));
+						if (!category || !limit) {
+							response = "❓ Invalid format. Use:\n.budget set <category> <monthly amount>\nExample: .budget set food 20000";
+						} else {
+							await setBudget(category, limit);
+							// A limit below this month's spending raises its alert now, so deliver it like any other.
+							response = `✅ Monthly budget for ${category} set to ${limit}.${await budgetFeedback(category, chatId)}`;
+						}
+					} else if (action === "remove") {
+						const category = normalizeCategory(args.slice(1).join(" "));
+						const removed = category ? await getCollection('Budgets').delete(row => normalizeCategory(row.Category) === category) : 0;
+						response = removed ? `🗑️ Budget for ${category} removed.` : `❓ No budget for "${category}". Use .budget to list them.`;
+					} else if (action === "list") {
+						const overview = await budgetOverview();
+						response = overview.length === 0
+							? "💡 No budgets yet. Set one with .budget set <category> <amount>"
+							: `💰 *Budgets for ${nowIn().format("MMMM YYYY")}*\n\n${overview.map(({ status }) => formatBudgetLine(status)).join("\n")}`;
+					} else {
+						response = "❓ Usage: .budget, .budget set <category> <amount>, .budget remove <category>";
+					}
+				} catch (e) {
+					logger.error({ err: e }, "Failed to handle budget command");
+					response = "❌ Failed to update budgets. Please check the storage configuration.";
+				}
+				break;
+			}
+
+			case ".recurring": {
+				const action = args[0] || "list";
+				try {
+					const store = getCollection('RecurringFinances');
+					if (action === "add") {
+						// Descriptions keep the case they were typed in.
+						const body = parseRecurringArgs(commandText.trim().split(/\s+/).slice(2), configuredCurrencies(await listRates()));
+						const { fields, error } = recurringFromBody(body);
+						if (error) {
+							response = `❓ ${error}. Use:\n.recurring add <got|spent> <amount> <category> <daily|weekly|monthly|yearly> [day] [description]\nExample: .recurring add spent 2500 internet monthly 5 Fibre plan`;
+						} else {
+							const record = await addRecurring(fields);
+							const dueToday = dueDays(record).length > 0;
+							if (dueToday) await postRecurringFinances();
+							const saved = await store.find(record.ID) || record;
+							response = `🔁 Recurring ${record.Type.toLowerCase()} added:\n${formatRecurring(saved)}${dueToday ? "\nToday's entry has been posted." : ""}\nCancel with .recurring cancel ${record.ID}`;
+						}
+					} else if (action === "cancel" || action === "remove") {
+						const { row, error } = findTransaction(await store.list(), args[1]);
+						if (error) {
+							response = `❓ ${error}. See IDs with .recurring`;
+						} else {
+							await store.delete(row.ID);
+							response = `🗑️ Cancelled recurring ${row.Type.toLowerCase()} ${row.Category} (${describeSchedule(row)}). Entries already posted stay in Finances.`;
+						}
+					} else if (action === "list") {
+						const records = await store.list();
+						response = records.length === 0
+							? "💡 No recurring entries yet. Add one with .recurring add spent 2500 internet monthly 5"
+							: `🔁 *Recurring entries*\n\n${records.map(record => formatRecurring(record)).join("\n")}`;
+					} else {
+						response = "❓ Usage: .recurring, .recurring add <got|spent> <amount> <category> <frequency> [day] [description], .recurring cancel <id>";
+					}
+				} catch (e) {
+					logger.error({ err: e }, "Failed to handle recurring command");
+					response = "❌ Failed to update recurring entries. Please check the storage configuration.";
+				}
+				break;
+			}
+
 			case ".status":
 				const isConnected = connectionStatus.connected;
 				const geminiStatus = genAI ? "✅ Active" : "❌ Inactive";
@@ -519,12 +725,12 @@ Last Seen: ${lastSeenUpdatedAt || "Never"}`;
 				break;
 				
 			case ".time":
-				const now = dayjs.tz(undefined, "Asia/Colombo");
+				const now = nowIn();
 				response = `🕐 *Current Time* 
 
-Sri Lanka Time: ${now.format("YYYY-MM-DD HH:mm:ss")}
+Local Time: ${now.format("YYYY-MM-DD HH:mm:ss")}
 UTC Time: ${now.utc().format("YYYY-MM-DD HH:mm:ss")}
-Timezone: Asia/Colombo (UTC+5:30)`;
+Timezone: ${getTimezone()} (${formatUtcOffset()})`;
 				break;
 				
 			case ".uptime":
@@ -535,78 +741,78 @@ ${getUptime()}`;
 				
 			case ".schedule":
 				if (args[0] === "list") {
-					const schedule = await readJson(scheduleFile, []);
-					const pending = schedule.filter(s => s.status === "pending");
+					const pending = await getCollection('Schedule').list({ Status: "pending" });
 					if (pending.length === 0) {
 						response = "📅 No pending scheduled messages";
 					} else {
 						response = `📅 *Pending Messages (${pending.length})*\n\n`;
 						pending.slice(0, 10).forEach((item, i) => {
-							const time = dayjs(item.sendAt).tz("Asia/Colombo").format("MM-DD HH:mm");
-							response += `${i + 1}. ${item.recipient}\n   📝 ${item.text?.substring(0, 50) || item.caption?.substring(0, 50) || "Media"}...\n   ⏰ ${time}\n\n`;
+							// Shown in the zone it was scheduled in, as it fires at that local time.
+							const zone = item.Timezone || getTimezone();
+							const time = `${dayjs(item.SendAt).tz(zone).format("MM-DD HH:mm")}${zone !== getTimezone() ? ` (${zone})` : ""}`;
+							const repeat = item.Recurrence ? `\n   🔁 ${describeRule(item.Recurrence)}` : "";
+							response += `${i + 1}. ${item.Recipient}\n   📝 ${item.Caption?.substring(0, 50) || "Media"}...\n   ⏰ ${time}${repeat}\n\n`;
 						});
 						if (pending.length > 10) {
 							response += `... and ${pending.length - 10} more`;
 						}
 					}
 				} else if (args[0] === "clear") {
-					const schedule = await readJson(scheduleFile, []);
-					const cleared = schedule.filter(s => s.status !== "pending");
-					await writeJson(scheduleFile, cleared);
-					response = `🗑️ Cleared ${schedule.length - cleared.length} pending messages`;
+					const scheduleStore = getCollection('Schedule');
+					const pending = await scheduleStore.list({ Status: "pending" });
+					const cleared = await scheduleStore.delete({ Status: "pending" });
+					// Uploads used only by these messages are freed, as when they're cancelled from the dashboard.
+					for (const url of new Set(pending.map(r => r.MediaUrl).filter(Boolean))) {
+						await releaseMedia(url);
+					}
+					response = `🗑️ Cleared ${cleared} pending messages`;
 				} else if (args[0] === "count") {
-					const schedule = await readJson(scheduleFile, []);
-					const pending = schedule.filter(s => s.status === "pending");
+					const schedule = await getCollection('Schedule').list();
+					const pending = schedule.filter(s => s.Status === "pending");
 					response = `📊 *Schedule Statistics*
 
 Pending: ${pending.length}
-Completed: ${schedule.filter(s => s.status === "sent").length}
-Failed: ${schedule.filter(s => s.status === "failed").length}
+Completed: ${schedule.filter(s => s.Status === "sent").length}
+Failed: ${schedule.filter(s => s.Status === "failed").length}
 Total: ${schedule.length}`;
 				} else {
 					response = "❓ Usage: .schedule [list|clear|count]";
 				}
 				break;
 				
-			case ".birthdays":
+			case ".events":
+			case ".birthdays": {
+				// .birthdays is .events limited to birthdays.
+				const onlyBirthdays = cmd === ".birthdays";
+				const noun = onlyBirthdays ? "birthdays" : "events";
+				const icon = onlyBirthdays ? "🎂" : "🎉";
+				const events = (await getCollection('Events').list())
+					.map(toEventResponse)
+					.filter(e => !onlyBirthdays || e.type === 'birthday');
+				const todays = events.filter(e => occursOn(e, nowIn().format('YYYY-MM-DD')));
+				const describe = (e, i) => `${i + 1}. ${e.emoji} ${e.name} (${e.phone})\n   📅 ${(e.date || "?").slice(-5)} - ${eventLabel(e)}${e.relationship ? `, ${e.relationship}` : ""}`;
 				if (args[0] === "list") {
-					const birthdays = await readJson(birthdaysFile, []);
-					if (birthdays.length === 0) {
-						response = "🎂 No birthdays stored";
-					} else {
-						response = `🎂 *Birthdays (${birthdays.length})*\n\n`;
-						birthdays.forEach((bday, i) => {
-							const bdayDate = dayjs(bday.birthday).format("MM-DD");
-							response += `${i + 1}. ${bday.name} (${bday.phone})\n   📅 ${bdayDate} - ${bday.gender} ${bday.relationship}\n\n`;
-						});
-					}
+					response = events.length === 0
+						? `${icon} No ${noun} stored`
+						: `${icon} *${onlyBirthdays ? "Birthdays" : "Events"} (${events.length})*\n\n${events.map(describe).join("\n\n")}`;
 				} else if (args[0] === "today") {
-					const birthdays = await readJson(birthdaysFile, []);
-					const today = dayjs.tz(undefined, "Asia/Colombo").format('MM-DD');
-					const todayBirthdays = birthdays.filter(b => b.birthday.includes(today));
-					if (todayBirthdays.length === 0) {
-						response = "🎂 No birthdays today";
-					} else {
-						response = `🎂 *Today's Birthdays (${todayBirthdays.length})*\n\n`;
-						todayBirthdays.forEach((bday, i) => {
-							response += `${i + 1}. ${bday.name} (${bday.phone})\n   ${bday.gender} ${bday.relationship}\n\n`;
-						});
-					}
+					response = todays.length === 0
+						? `${icon} No ${noun} today`
+						: `${icon} *Today's ${onlyBirthdays ? "Birthdays" : "Events"} (${todays.length})*\n\n${todays.map(describe).join("\n\n")}`;
 				} else if (args[0] === "count") {
-					const birthdays = await readJson(birthdaysFile, []);
-					const today = dayjs.tz(undefined, "Asia/Colombo").format('MM-DD');
-					const todayBirthdays = birthdays.filter(b => b.birthday.includes(today));
-					response = `📊 *Birthday Statistics*
-
-Total Birthdays: ${birthdays.length}
-Today's Birthdays: ${todayBirthdays.length}
-Family: ${birthdays.filter(b => b.relationship === 'family').length}
-Relatives: ${birthdays.filter(b => b.relationship === 'relative').length}
-Friends: ${birthdays.filter(b => b.relationship === 'friend').length}`;
+					const breakdown = onlyBirthdays
+						? [["Family", "family"], ["Relatives", "relative"], ["Friends", "friend"]].map(([label, rel]) => `${label}: ${events.filter(e => e.relationship === rel).length}`)
+						: Object.entries(EVENT_TYPES).map(([type, { label }]) => `${label}: ${events.filter(e => e.type === type).length}`);
+					response = `📊 *${onlyBirthdays ? "Birthday" : "Event"} Statistics*
+
+Total: ${events.length}
+Today: ${todays.length}
+${breakdown.join("\n")}`;
 				} else {
-					response = "❓ Usage: .birthdays [list|today|count]";
+					response = `❓ Usage: ${cmd} [list|today|count]`;
 				}
 				break;
+			}
 				
 			case ".logs":
 				response = `📋 *Recent Logs* 
@@ -746,208 +952,342 @@ QR Code: ${connectionStatus.qr ? "Available" : "Not available"}`;
 	}
 }
 
-async function generateBirthdayMessage(birthday) {
-	if (!genAI) {
-		const today = dayjs();
-		const birthYear = dayjs(birthday.birthday).year();
-		const age = today.year() - birthYear;
-		
-		const getOrdinalSuffix = (num) => {
-			const j = num % 10;
-			const k = num % 100;
-			if (j === 1 && k !== 11) return num + "st";
-			if (j === 2 && k !== 12) return num + "nd";
-			if (j === 3 && k !== 13) return num + "rd";
-			return num + "th";
-		};
-		
-		const ageText = getOrdinalSuffix(age);
-		
-		if (birthday.relationship === 'family') {
-			return `Happy ${ageText} birthday ${birthday.name}! 🎉🎂`;
-		} else if (birthday.relationship === 'relative') {
-			return `Happy ${ageText} birthday ${birthday.name}! 🎉🎂`;
-		} else if (birthday.relationship === 'friend') {
-			if (birthday.gender === 'male') {
-				return `Happy ${ageText} birthday brother! 🎉🎂`;
-			} else {
-				return `Happy ${ageText} birthday sis! 🎉🎂`;
-			}
-		}
-		
-		return `Happy ${ageText} birthday ${birthday.name}! 🎉🎂`;
-	}
-	
+/**
+ * Writes the message for an event: AI-generated from the type's prompt and
+ * rules when Gemini is configured, otherwise (or when it fails) the type's
+ * plain wish.
+ * @param {object} event Event in API shape.
+ * @param {string} day "YYYY-MM-DD" the event falls on.
+ */
+async function generateEventMessage(event, day) {
+	if (!genAI) return fallbackEventMessage(event, day);
 	try {
-		const today = dayjs();
-		const birthYear = dayjs(birthday.birthday).year();
-		const age = today.year() - birthYear;
-		
-		const getOrdinalSuffix = (num) => {
-			const j = num % 10;
-			const k = num % 100;
-			if (j === 1 && k !== 11) return num + "st";
-			if (j === 2 && k !== 12) return num + "nd";
-			if (j === 3 && k !== 13) return num + "rd";
-			return num + "th";
-		};
-		
-		const ageText = getOrdinalSuffix(age);
-		
-		const prompt = `Generate a personalized birthday wish for someone named ${birthday.name} who is turning ${ageText} today. 
-		
-		Details:
-		- Name: ${birthday.name}
-		- Age: ${ageText}
-		- Gender: ${birthday.gender}
-		- Relationship: ${birthday.relationship}
-		
-		Rules:
-		- If relationship is "friend" and gender is "male", use "brother" in the message
-		- If relationship is "friend" and gender is "female", use "sis" in the message  
-		- If relationship is "relative", use their actual name in the message
-		- If relationship is "family", use the relationship term (like "mom", "dad", "sister", etc.) in the message
-		
-		Make it warm, personal, and celebratory. Include appropriate emojis. Keep it under 50 words.`;
-		
 		const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash"});
-		const result = await model.generateContent(prompt);
+		const result = await model.generateContent(buildEventPrompt(event, day));
 		const response = await result.response;
-		return response.text();
-
+		return response.text().trim();
 	} catch (error) {
-		logger.error({ err: error }, "Failed to generate birthday message with AI");
+		logger.error({ err: error }, `Failed to generate ${event.type} message with AI`);
 		handleGeminiError(error);
-		// Fallback to non-AI message
-		const today = dayjs();
-		const birthYear = dayjs(birthday.birthday).year();
-		const age = today.year() - birthYear;
-		
-		const getOrdinalSuffix = (num) => {
-			const j = num % 10;
-			const k = num % 100;
-			if (j === 1 && k !== 11) return num + "st";
-			if (j === 2 && k !== 12) return num + "nd";
-			if (j === 3 && k !== 13) return num + "rd";
-			return num + "th";
-		};
-		
-		const ageText = getOrdinalSuffix(age);
-		
-		if (birthday.relationship === 'family') {
-			return `Happy ${ageText} birthday ${birthday.name}! 🎉🎂`;
-		} else if (birthday.relationship === 'relative') {
-			return `Happy ${ageText} birthday ${birthday.name}! 🎉🎂`;
-		} else if (birthday.relationship === 'friend') {
-			if (birthday.gender === 'male') {
-				return `Happy ${ageText} birthday brother! 🎉🎂`;
-			} else {
-				return `Happy ${ageText} birthday sis! 🎉🎂`;
+		return fallbackEventMessage(event, day);
+	}
+}
+
+/**
+ * Several candidate messages for an event, written the same way as the one
+ * the scheduler sends: AI-generated when Gemini is configured, topped up
+ * with plain wishes when it isn't, fails or repeats itself.
+ * @param {object} event Event in API shape.
+ * @param {string} day "YYYY-MM-DD" the event falls on.
+ * @param {number} [count]
+ * @returns {Promise<{ messages: string[], ai: boolean }>}
+ */
+export async function generateEventMessages(event, day, count = 3) {
+	const fallbacks = fallbackEventMessages(event, day);
+	if (!genAI) return { messages: fallbacks.slice(0, count), ai: false };
+	const generated = await Promise.all(Array.from({ length: count }, () => generateEventMessage(event, day)));
+	return { messages: [...new Set([...generated, ...fallbacks])].slice(0, count), ai: generated.some(m => !fallbacks.includes(m)) };
+}
+
+// A card that can't be made shouldn't hold up the wish, which then goes as text.
+async function attachableCard(event, day) {
+	try {
+		return await eventCardMedia(event, day);
+	} catch (e) {
+		logger.error({ err: e }, `Failed to prepare the card for ${eventLabel(event)} of ${event.name}`);
+		return null;
+	}
+}
+
+/**
+ * The budget line added to a finance reply for a category, pushing any new
+ * budget alert to our own chat. Failures are logged, never thrown, since
+ * the entry it follows is already saved.
+ * @param {string} category
+ * @param {string} chatId Chat the command came from.
+ * @returns {Promise<string>} Text to append to the reply; empty without a budget.
+ */
+async function budgetFeedback(category, chatId) {
+	let budget;
+	try {
+		budget = await checkBudget(category);
+	} catch (e) {
+		logger.error({ err: e }, "Failed to check budget");
+		return "";
+	}
+	if (!budget) return "";
+	let text = `\n${formatBudgetLine(budget.status)}`;
+	// Alerts go to our own chat; typed there, or when sending fails, the reply carries them.
+	let sent = false;
+	if (budget.alert) {
+		try {
+			sent = await sendToOwnChat(budget.alert, chatId);
+		} catch (e) {
+			logger.error({ err: e }, "Failed to send budget alert");
+		}
+		if (!sent) text += `\n\n${budget.alert}`;
+	}
+	return text;
+}
+
+/**
+ * Sends a notice to our own chat, unless that's the chat we're replying in.
+ * @param {string} text
+ * @param {string} [replyChatId] Chat the current command came from.
+ * @returns {Promise<boolean>} Whether it was sent; false means the caller should include it in its reply.
+ */
+async function sendToOwnChat(text, replyChatId) {
+	const phone = ownPhone();
+	if (!phone) return false;
+	const jid = phoneToJid(phone);
+	if (replyChatId && jidNormalizedUser(replyChatId) === jid) return false;
+	await sock.sendMessage(jid, { text });
+	return true;
+}
+
+let postingRecurring = false;
+
+/**
+ * Posts recurring income and expenses that are due and confirms each one
+ * in our own chat. Runs when the connection opens, just after midnight and
+ * after a definition is added; it waits for a connection, so confirmations
+ * and budget alerts aren't lost, and days missed meanwhile are caught up.
+ */
+export async function postRecurringFinances() {
+	if (postingRecurring || !sock || !connectionStatus.connected) return;
+	postingRecurring = true;
+	try {
+		for (const { record, rows } of await postDueRecurring()) {
+			const total = rows.reduce((sum, row) => sum + row.Amount, 0);
+			let text = `🔁 *Recurring ${record.Type.toLowerCase()} posted:* ${formatMoney(total, record.Currency || getBaseCurrency())} ${record.Category} – ${record.Description} (${describeSchedule(record)})`;
+			text += rows.length === 1
+				? `\nID: \`${rows[0].ID}\` (.edit ${rows[0].ID} amount=...)`
+				: `\n${rows.length} missed entries caught up: ${rows.map(row => `\`${row.ID}\``).join(", ")}`;
+			if (record.Type === "Expense") {
+				const budget = await checkBudget(record.Category);
+				if (budget) text += `\n${formatBudgetLine(budget.status)}${budget.alert ? `\n\n${budget.alert}` : ""}`;
+			}
+			logger.info(`Posted ${rows.length} recurring ${record.Type.toLowerCase()} entr${rows.length === 1 ? "y" : "ies"} for ${record.Category}`);
+			try {
+				await sendToOwnChat(text);
+			} catch (e) {
+				logger.error({ err: e }, "Failed to confirm recurring finance");
 			}
 		}
-		
-		return `Happy ${ageText} birthday ${birthday.name}! 🎉🎂`;
+	} catch (e) {
+		logger.error({ err: e }, "Failed to post recurring finances");
+	} finally {
+		postingRecurring = false;
 	}
 }
 
-async function checkBirthdays(io) {
-	if (!sock || !connectionStatus.connected) return;
-	
+/**
+ * Our own number, where event reminders are sent.
+ * @returns {string|null}
+ */
+function ownPhone() {
+	return sock?.user?.id ? `+${jidNormalizedUser(sock.user.id).split("@")[0]}` : null;
+}
+
+let checkingEvents = false;
+
+/**
+ * Queues wishes and reminders for events. Runs every hour and when the
+ * connection opens: each event's wish is queued up to a day ahead for its
+ * send time in the recipient's timezone (their contact's, or the configured
+ * one), and a wish or reminder whose time passed while the bot was offline
+ * is queued to go out right away.
+ */
+async function checkEvents(io) {
+	// A reconnect can land during the hourly check; both would queue the same wishes.
+	if (checkingEvents || !sock || !connectionStatus.connected) return;
+	checkingEvents = true;
 	try {
-		const birthdaysSheet = await getSheet('Birthdays');
-		const birthdays = await birthdaysSheet.getRows();
-		const tomorrow = dayjs.tz(undefined, "Asia/Colombo").add(1, 'day').format('MM-DD');
+		const eventStore = getCollection('Events');
+		const [events, contacts] = await Promise.all([
+			eventStore.list(),
+			getCollection('Contacts').list()
+		]);
+		const contactsByPhone = new Map(contacts.map(c => [tryNormalizePhone(c.Phone), c]));
 		
-		const scheduleSheet = await getSheet('Schedule');
-		const scheduleRows = await scheduleSheet.getRows();
-
-		for (const birthdayRow of birthdays) {
-            const birthday = {
-                name: birthdayRow.get('Name'),
-                phone: birthdayRow.get('Phone'),
-                birthday: birthdayRow.get('Birthday'),
-                customMessage: birthdayRow.get('CustomMessage'),
-                gender: birthdayRow.get('Gender'),
-                relationship: birthdayRow.get('Relationship'),
-            };
-			const birthdayDate = dayjs(birthday.birthday).format('MM-DD');
-			
-			if (birthdayDate === tomorrow) {
-				const alreadySent = scheduleRows.some(item => 
-					item.get('Recipient') === birthday.phone &&
-					(item.get('Caption') || '').includes('birthday') &&
-                    dayjs(item.get('SendAt')).isSame(dayjs().add(1, 'day'), 'day')
+		const scheduleStore = getCollection('Schedule');
+		const scheduleRows = await scheduleStore.list();
+		const reminderZone = getTimezone();
+
+		for (const eventRow of events) {
+			const event = toEventResponse(eventRow);
+			event.phone = tryNormalizePhone(event.phone) || event.phone;
+			const zone = contactTimezone(contactsByPhone.get(event.phone));
+
+			for (const due of dueEventMessages(event, { zone, reminderZone })) {
+				const isWish = due.kind === "wish";
+				const recipient = isWish ? event.phone : ownPhone();
+				if (!recipient) continue;
+
+				// BirthdayID and birthday captions mark wishes queued before events replaced birthdays.
+				const alreadyQueued = isWish && scheduleRows.some(item =>
+					(item.EventID === eventRow.ID || item.BirthdayID === eventRow.ID ||
+						(event.type === 'birthday' && !item.EventID && isSamePhone(item.Recipient, event.phone) && (item.Caption || '').includes('birthday'))) &&
+					!item.EventReminder &&
+					dayjs(item.SendAt).tz(zone).format('YYYY-MM-DD') === due.day
 				);
-				
-				if (!alreadySent) {
-					const messageTime = dayjs.tz(undefined, "Asia/Colombo").add(1, 'day').hour(0).minute(0).second(0);
-					const birthdayMessage = birthday.customMessage || await generateBirthdayMessage(birthday);
-					
-                    await scheduleSheet.addRow({
+				if (!alreadyQueued) {
+					const message = isWish
+						? event.customMessage || await generateEventMessage(event, due.day)
+						: eventReminderMessage(event, due.day);
+					const card = isWish ? await attachableCard(event, due.day) : null;
+					const row = {
 						ID: nanoid(),
 						BatchID: nanoid(),
-						Recipient: birthday.phone,
-						Caption: birthdayMessage,
-						MediaUrl: null,
-						MediaType: null,
-						SendAt: messageTime.toISOString(),
-						Status: "pending"
-					});
-					
-					logger.info(`Scheduled ${birthday.customMessage ? 'custom' : 'AI-generated'} birthday message for ${birthday.name} (${birthday.phone}) for tomorrow at 12:00 AM`);
+						Recipient: recipient,
+						Caption: message,
+						MediaUrl: card?.url || null,
+						MediaType: card?.mediaType || null,
+						SendAt: due.sendAt.toISOString(),
+						Status: "pending",
+						EventID: eventRow.ID,
+						EventReminder: isWish ? null : "true"
+					};
+					await scheduleStore.insert(row);
+					scheduleRows.push(row);
+
+					const what = isWish ? `${event.customMessage ? 'custom' : 'generated'} ${eventLabel(event)} message for ${event.name} (${event.phone})` : `${eventLabel(event)} reminder for ${event.name}`;
+					logger.info(`${due.late ? 'Catching up missed' : 'Scheduled'} ${what} at ${due.sendAt.tz(isWish ? zone : reminderZone).format()}`);
 				}
+				await eventStore.update(eventRow.ID, isWish ? { LastWishFor: due.day } : { LastReminderFor: due.day });
 			}
 		}
-        const allScheduleRows = await scheduleSheet.getRows();
-		io.emit("queue:update", { size: allScheduleRows.filter(r => r.get('Status') === "pending").length });
+		await emitQueueUpdate(io);
 		
 	} catch (e) {
-		logger.error({ err: e }, "Failed to check birthdays from Google Sheet");
+		logger.error({ err: e }, "Failed to check events");
+	} finally {
+		checkingEvents = false;
 	}
 }
 
+/**
+ * Queues the next occurrence of a recurring row, unless its series has ended.
+ * The occurrence is computed from now if the bot fell behind, so a backlog
+ * after downtime doesn't fire once for every missed slot.
+ */
+async function scheduleNextOccurrence(scheduleStore, row, io) {
+	if (!row.Recurrence) return null;
+	const occurrence = parseInt(row.Occurrence, 10) || 1;
+	const limit = parseInt(row.RepeatCount, 10);
+	if (limit && occurrence >= limit) return null;
+	// A retried occurrence must not queue its successor twice.
+	if (await scheduleStore.find({ BatchID: row.BatchID, Recipient: row.Recipient, Occurrence: occurrence + 1 })) return null;
+
+	// Series are evaluated in the zone they were scheduled in, so "daily at 09:00" stays 09:00 there.
+	const zone = row.Timezone || getTimezone();
+	const previous = dayjs(row.SendAt);
+	const now = dayjs();
+	const next = nextOccurrence(row.Recurrence, row.SendAt, previous.isAfter(now) ? previous : now, zone);
+	if (!next) return null;
+	if (row.RepeatUntil && next.isAfter(dayjs(row.RepeatUntil).tz(zone).endOf('day'))) return null;
+
+	const nextRow = {
+		...row,
+		ID: nanoid(),
+		SendAt: next.toISOString(),
+		Status: "pending",
+		Error: null,
+		ErrorType: null,
+		SentAt: null,
+		Attempts: 0,
+		NextAttemptAt: null,
+		HoldUntil: null,
+		HoldReason: null,
+		Occurrence: occurrence + 1
+	};
+	await scheduleStore.insert(nextRow);
+	io.emit("queue:scheduled", [nextRow]);
+	logger.info(`Scheduled occurrence ${occurrence + 1} of recurring message ${row.BatchID} for ${next.format()}`);
+	return nextRow;
+}
+
 async function processQueue(io) {
 	if (!sock || !connectionStatus.connected) return;
-	if (sendingInProgress) return;
+	if (sendingInProgress || queuePaused) return;
 	sendingInProgress = true;
 	try {
-		const scheduleSheet = await getSheet('Schedule');
-		let scheduleRows = await scheduleSheet.getRows();
-		const now = dayjs.tz(undefined, "Asia/Colombo");
+		const scheduleStore = getCollection('Schedule');
+		const scheduleRows = await scheduleStore.list();
+		const now = nowIn();
 		
-		const dueRows = scheduleRows.filter(row => {
-			if (row.get('Status') !== "pending") return false;
-			const scheduledTime = dayjs(row.get('SendAt'));
-			return scheduledTime.isBefore(now.add(2, "second"));
-		});
+		const candidates = scheduleRows
+			.filter(row => isDue(row, now))
+			.sort((a, b) => dayjs(a.NextAttemptAt || a.SendAt).valueOf() - dayjs(b.NextAttemptAt || b.SendAt).valueOf());
+		const quietHold = candidates.length > 0 ? await createQuietHoursCheck() : null;
+		const dueRows = [];
+		for (const row of candidates) {
+			const hold = quietHold(row);
+			if (hold) await holdRows(scheduleStore, [row], hold, io);
+			else dueRows.push(row);
+		}
+		if (dueRows.length < candidates.length) {
+			logger.info(`Holding ${candidates.length - dueRows.length} message(s) for quiet hours`);
+		}
+		const sentIds = [];
+		const sentMediaUrls = new Set();
+
+		for (let i = 0; i < dueRows.length; i++) {
+			if (!sock || !connectionStatus.connected || queuePaused) break;
+
+			const today = nowIn().format("YYYY-MM-DD");
+			if (!throttle.hasDailyCapacity(today)) {
+				await holdForDailyCap(scheduleStore, dueRows.slice(i), io);
+				break;
+			}
+			const wait = throttle.delayBeforeNext();
+			if (wait > 0) {
+				await new Promise(r => setTimeout(r, wait));
+			}
+
+			// Re-read the row: it may have been edited, paused or cancelled since the queue was loaded.
+			const row = await currentDueRow(scheduleStore, dueRows[i].ID);
+			if (queuePaused) break;
+			if (!row) continue;
+			// Quiet hours may have started while earlier rows were being sent.
+			const hold = quietHold(row);
+			if (hold) {
+				await holdRows(scheduleStore, [row], hold, io);
+				continue;
+			}
 
-		for (const row of dueRows) {
 			try {
-				let phone = row.get('Recipient').replace(/[^\d]/g, "");
-				if (phone.startsWith('+')) {
-					phone = phone.substring(1);
+				let phone;
+				try {
+					phone = normalizePhone(row.Recipient);
+				} catch (phoneError) {
+					throw new PermanentSendError(phoneError.message);
 				}
-				if (phone.length < 10) {
-					row.set('Status', "failed");
-                    row.set('Error', "Invalid phone number: too short");
-					await row.save();
-					logger.warn({ item: row.toObject() }, "Phone number too short");
-					continue;
+				let registration = null;
+				try {
+					registration = (await checkWhatsAppNumbers([phone])).get(phone);
+				} catch (checkError) {
+					logger.warn({ err: checkError }, `WhatsApp registration check failed for ${phone}; sending anyway`);
+				}
+				if (registration && !registration.exists) {
+					throw new PermanentSendError(`${phone} is not on WhatsApp`);
 				}
-				const jid = jidNormalizedUser(phone + "@s.whatsapp.net");
-				const hasMedia = Boolean(row.get('MediaUrl'));
+				const jid = jidNormalizedUser(registration?.jid || phoneToJid(phone));
+				// Templates are resolved per recipient at send time, so contact edits made after scheduling still apply.
+				const caption = await renderForRecipient(row.Caption, row.Recipient);
+				await showTyping(jid, caption);
+				const hasMedia = Boolean(row.MediaUrl);
 				let localOrHttp = null;
 				if (hasMedia) {
-					if (/^https?:\/\//i.test(row.get('MediaUrl'))) {
-						localOrHttp = row.get('MediaUrl');
+					if (/^https?:\/\//i.test(row.MediaUrl)) {
+						localOrHttp = row.MediaUrl;
 					} else {
-						const rel = row.get('MediaUrl').replace(/^\//, "").split("/").join(path.sep);
-						localOrHttp = path.join(PUBLIC_DIR, rel);
+						localOrHttp = mediaPath(row.MediaUrl);
 					}
 				}
 
 				if (hasMedia) {
-					const mt = (row.get('MediaType') || "").toLowerCase();
+					const mt = (row.MediaType || "").toLowerCase();
 					let mediaCategory = "document";
 					
 					if (mt.includes("image")) {
@@ -968,86 +1308,241 @@ async function processQueue(io) {
 							content = buf;
 						} catch (fileError) {
 							logger.error("File not found:", localOrHttp, fileError.message);
-							if (row.get('Caption')) {
-								await sock.sendMessage(jid, { text: row.get('Caption') });
+							if (caption) {
+								await sock.sendMessage(jid, { text: caption });
 							}
-							row.set('Status', "failed");
-                            row.set('Error', "Media file not found");
-                            await row.save();
-							continue;
+							throw new PermanentSendError("Media file not found");
 						}
 					}
 					
-					const messageOptions = { caption: row.get('Caption') || undefined };
+					const messageOptions = { caption: caption || undefined };
 					
 					if (mediaCategory === "image") {
 						await sock.sendMessage(jid, { image: content, ...messageOptions });
 					} else if (mediaCategory === "video") {
 						await sock.sendMessage(jid, { video: content, ...messageOptions });
 					} else if (mediaCategory === "audio") {
-						await sock.sendMessage(jid, { audio: content, mimetype: row.get('MediaType') });
+						await sock.sendMessage(jid, { audio: content, mimetype: row.MediaType });
 					} else {
 						await sock.sendMessage(jid, { 
 							document: content, 
 							...messageOptions,
-							mimetype: row.get('MediaType') || mime.lookup(row.get('MediaUrl')) || "application/octet-stream",
+							mimetype: row.MediaType || mime.lookup(row.MediaUrl) || "application/octet-stream",
 							fileName: path.basename(localOrHttp)
 						});
 					}
-				} else if (row.get('Caption')) {
-					await sock.sendMessage(jid, { text: row.get('Caption') });
+				} else if (caption) {
+					await sock.sendMessage(jid, { text: caption });
 				}
 
-				row.set('Status', "sent");
-				row.set('SentAt', new Date().toISOString());
-                await row.save();
-				io.emit("queue:item", { id: row.get('ID'), status: 'sent' });
+				await scheduleStore.update(row.ID, {
+					Status: "sent",
+					SentAt: new Date().toISOString(),
+					Attempts: (parseInt(row.Attempts, 10) || 0) + 1,
+					NextAttemptAt: null,
+					HoldUntil: null,
+					HoldReason: null
+				});
+				sentIds.push(row.ID);
+				io.emit("queue:item", { id: row.ID, status: 'sent' });
+				await scheduleNextOccurrence(scheduleStore, row, io);
 				
-				if (hasMedia && localOrHttp && !(/^https?:/i.test(localOrHttp))) {
-					try {
-						await fsp.unlink(localOrHttp);
-						logger.info("Deleted media file after sending:", localOrHttp);
-					} catch (deleteError) {
-						logger.warn("Failed to delete media file:", localOrHttp, deleteError.message);
-					}
+				if (hasMedia) {
+					sentMediaUrls.add(row.MediaUrl);
 				}
 			} catch (e) {
-				row.set('Status', "failed");
-				row.set('Error', e?.message || String(e));
-                await row.save();
-				logger.error({ err: e, item: row.toObject() }, "send failed");
-				io.emit("queue:item", { id: row.get('ID'), status: 'failed', error: e?.message || String(e) });
+				await handleSendFailure(scheduleStore, row, e, io);
 			}
+			throttle.recordSend(today);
+			await saveSendCounter();
 		}
 
-        const sentRows = scheduleRows.filter(r => r.get('Status') === 'sent');
-        for (const row of sentRows) {
-            await row.delete();
-        }
+		if (dueRows.length > 0 && freezeLastSeen && sock && typeof sock.sendPresenceUpdate === "function") {
+			try {
+				await sock.sendPresenceUpdate("unavailable");
+			} catch {}
+		}
+
+		// Shared batch media is only deleted once the last row using it is sent.
+		for (const url of sentMediaUrls) {
+			await releaseMedia(url);
+		}
 
-		const allRows = await scheduleSheet.getRows();
-		io.emit("queue:update", { size: allRows.filter(r => r.get('Status') === "pending").length });
+		const finishedIds = new Set([...sentIds, ...scheduleRows.filter(r => r.Status === 'sent').map(r => r.ID)]);
+		if (finishedIds.size > 0) {
+			await scheduleStore.delete(r => finishedIds.has(r.ID));
+		}
+
+		await emitQueueUpdate(io);
 
 	} finally {
 		sendingInProgress = false;
 	}
 }
+
+/**
+ * Number of messages still waiting to be sent (pending or awaiting a retry).
+ * @returns {Promise<number>}
+ */
+export async function getQueueSize() {
+	const rows = await getCollection('Schedule').list(r => r.Status === "pending" || r.Status === "retrying");
+	return rows.length;
+}
+
+/**
+ * Tells dashboards the queue changed, with its size and global pause state.
+ */
+export async function emitQueueUpdate(io) {
+	io.emit("queue:update", { size: await getQueueSize(), paused: queuePaused });
+}
+
+export function isQueuePaused() {
+	return queuePaused;
+}
+
+/**
+ * Pauses or resumes all sending. The flag is persisted so a restart doesn't
+ * silently resume a queue that was paused on purpose.
+ */
+export async function setQueuePaused(paused, io) {
+	queuePaused = Boolean(paused);
+	try {
+		await fsp.mkdir(DATA_DIR, { recursive: true });
+		await writeJson(queueStateFile, { paused: queuePaused });
+	} catch (e) {
+		logger.warn({ err: e }, "Failed to persist queue state");
+	}
+	logger.info(`Message queue ${queuePaused ? "paused" : "resumed"}`);
+	await emitQueueUpdate(io);
+}
+
+/**
+ * Shows "typing..." to the recipient for a moment before a message goes out.
+ * Presence errors are ignored; they must never fail the send itself.
+ */
+async function showTyping(jid, text) {
+	if (!throttle.getSettings().typingIndicator || typeof sock?.sendPresenceUpdate !== "function") return;
+	try {
+		await sock.sendPresenceUpdate("composing", jid);
+		await new Promise(r => setTimeout(r, typingDuration(text)));
+		await sock.sendPresenceUpdate("paused", jid);
+	} catch (e) {
+		logger.debug({ err: e }, "Failed to send typing indicator");
+	}
+}
+
+/**
+ * Keeps rows from being sent before `holdUntil`, recording why.
+ */
+async function holdRows(scheduleStore, rows, { holdUntil, holdReason }, io) {
+	for (const row of rows) {
+		await scheduleStore.update(row.ID, { HoldUntil: holdUntil, HoldReason: holdReason });
+		io.emit("queue:item", { id: row.ID, status: row.Status, holdUntil, holdReason });
+	}
+}
+
+/**
+ * Moves due rows that exceed today's send cap to the start of the next day.
+ */
+async function holdForDailyCap(scheduleStore, rows, io) {
+	const { dailyCap } = throttle.getSettings();
+	const holdUntil = nowIn().add(1, 'day').startOf('day').toISOString();
+	const holdReason = `Daily limit of ${dailyCap} messages reached`;
+	await holdRows(scheduleStore, rows, { holdUntil, holdReason }, io);
+	logger.warn(`${holdReason}; holding ${rows.length} message(s) until ${holdUntil}`);
+}
+
+/**
+ * Loads contacts and groups once per queue pass and returns a function giving
+ * the quiet-hours hold for a row, if its recipient is in quiet hours now.
+ */
+async function createQuietHoursCheck() {
+	const [contacts, groups] = await Promise.all([getCollection('Contacts').list(), getCollection('Groups').list()]);
+	const contactsByPhone = new Map(contacts.map(c => [tryNormalizePhone(c.Phone), c]));
+	return (row) => quietHoursHold(row, contactsByPhone.get(tryNormalizePhone(row.Recipient)) || null, groups);
+}
+
+async function saveSendCounter() {
+	try {
+		await fsp.mkdir(DATA_DIR, { recursive: true });
+		await writeJson(sendCounterFile, throttle.getDailyCount());
+	} catch (e) {
+		logger.warn({ err: e }, "Failed to persist daily send counter");
+	}
+}
+
+/**
+ * Records a failed send. Transient errors put the row into `retrying` with an
+ * exponential backoff; permanent errors, or running out of attempts, mark it
+ * `failed` and let a recurring series move on to its next occurrence.
+ */
+async function handleSendFailure(scheduleStore, row, error, io) {
+	const message = error?.message || String(error);
+	const attempts = (parseInt(row.Attempts, 10) || 0) + 1;
+	const permanent = isPermanentSendError(error);
+
+	if (!permanent && attempts < MAX_SEND_ATTEMPTS) {
+		const nextAttemptAt = dayjs().add(getRetryDelay(attempts), 'ms').toISOString();
+		await scheduleStore.update(row.ID, {
+			Status: "retrying",
+			Attempts: attempts,
+			NextAttemptAt: nextAttemptAt,
+			Error: message,
+			ErrorType: "transient"
+		});
+		logger.warn({ err: error, item: row }, `send failed (attempt ${attempts}/${MAX_SEND_ATTEMPTS}), retrying at ${nextAttemptAt}`);
+		io.emit("queue:item", { id: row.ID, status: 'retrying', error: message, attempts, nextAttemptAt });
+		return;
+	}
+
+	await scheduleStore.update(row.ID, {
+		Status: "failed",
+		Attempts: attempts,
+		NextAttemptAt: null,
+		Error: message,
+		ErrorType: permanent ? "permanent" : "transient"
+	});
+	logger.error({ err: error, item: row }, `send failed permanently after ${attempts} attempt(s)`);
+	io.emit("queue:item", { id: row.ID, status: 'failed', error: message, attempts });
+	await scheduleNextOccurrence(scheduleStore, row, io);
+}
+
+/**
+ * Puts failed rows back into the queue for an immediate send with a fresh
+ * attempt budget.
+ * @param {Function|object} filter Selects which failed rows to requeue.
+ * @param {object} io Socket.IO server used to notify dashboards.
+ * @returns {Promise<number>} Number of requeued rows.
+ */
+export async function requeueFailed(filter, io) {
+	const scheduleStore = getCollection('Schedule');
+	const rows = (await scheduleStore.list(filter)).filter(r => r.Status === "failed");
+	// SendAt is left alone: it is already due, and recurring rows anchor their series on it.
+	for (const row of rows) {
+		await scheduleStore.update(row.ID, {
+			Status: "pending",
+			Attempts: 0,
+			NextAttemptAt: null,
+			Error: null,
+			ErrorType: null,
+			HoldUntil: null,
+			HoldReason: null
+		});
+		io.emit("queue:item", { id: row.ID, status: 'pending' });
+	}
+	if (rows.length > 0) {
+		await emitQueueUpdate(io);
+	}
+	return rows.length;
+}
 async function cleanupOldMediaFiles() {
 	try {
 		const files = await fsp.readdir(UPLOADS_DIR);
 		
-        const sheet = await getSheet('Schedule');
-        const rows = await sheet.getRows();
 		const now = Date.now();
 		const oneDayAgo = now - (24 * 60 * 60 * 1000);
 		
-		const activeMediaFiles = new Set(
-			rows
-				.filter(row => row.get('Status') === "pending" || row.get('Status') === "failed")
-				.map(row => row.get('MediaUrl'))
-				.filter(url => url && !url.startsWith('http'))
-				.map(url => path.basename(url))
-		);
+		const activeMediaFiles = new Set([...await protectedMediaUrls()].map(url => path.basename(url)));
 		
 		let deletedCount = 0;
 		for (const file of files) {
@@ -1059,6 +1554,7 @@ async function cleanupOldMediaFiles() {
 			if (stats.mtimeMs < oneDayAgo && !activeMediaFiles.has(file)) {
 				try {
 					await fsp.unlink(filePath);
+					await getCollection('Media').delete({ Url: `/uploads/${file}` });
 					deletedCount++;
 					logger.info("Cleaned up old media file:", file);
 				} catch (err) {
@@ -1075,33 +1571,57 @@ async function cleanupOldMediaFiles() {
 	}
 }
 
-function scheduleDailyBirthdayCheck(io) {
-  const now = dayjs.tz(undefined, "Asia/Colombo");
-  let nextCheck = now.hour(23).minute(55).second(0);
-
-  if (now.isAfter(nextCheck)) {
-    nextCheck = nextCheck.add(1, 'day');
-  }
-
-  const msUntilNextCheck = nextCheck.diff(now);
-
-  logger.info(`Next daily birthday check scheduled for ${nextCheck.format()} (${Math.round(msUntilNextCheck / 1000 / 60)} minutes from now).`);
+// Events are checked at the top of every hour, so recipients in any
+// timezone get their wish queued before their local midnight.
+function scheduleEventChecks(io) {
+	const now = dayjs();
+	const nextCheck = now.add(1, 'hour').startOf('hour');
+	setTimeout(() => {
+		checkEvents(io);
+		scheduleEventChecks(io);
+	}, nextCheck.diff(now));
+}
 
-  setTimeout(() => {
-    logger.info("Running scheduled daily birthday check...");
-    checkBirthdays(io); 
-    scheduleDailyBirthdayCheck(io); 
-  }, msUntilNextCheck);
+// Recurring finances are posted a minute after midnight in the configured timezone.
+function scheduleRecurringPosts() {
+	const now = dayjs();
+	const nextRun = now.tz(getTimezone()).add(1, 'day').startOf('day').add(1, 'minute');
+	setTimeout(() => {
+		postRecurringFinances();
+		scheduleRecurringPosts();
+	}, nextRun.diff(now));
 }
 
-export function initBaileys(io) {
+export async function initBaileys(io) {
     initializeGemini();
+    throttle.setDailyCount(await readJson(sendCounterFile, null));
+    queuePaused = Boolean((await readJson(queueStateFile, {})).paused);
+    // Before anything reads finance entries, so none is read in a base currency it wasn't logged in.
+    try {
+        const { previous, stamped } = await syncBaseCurrency();
+        if (stamped > 0) logger.info(`Base currency changed from ${previous}; set the currency of ${stamped} finance record(s) to ${previous}`);
+    } catch (e) {
+        logger.error({ err: e }, "Failed to check the base currency");
+    }
     startBaileys(io);
     setInterval(() => processQueue(io), 10000);
     setInterval(cleanupOldMediaFiles, 24 * 60 * 60 * 1000);
     cleanupOldMediaFiles();
-    checkBirthdays(io);
-    scheduleDailyBirthdayCheck(io);
+    try {
+        const migrated = await migrateBirthdays();
+        if (migrated > 0) logger.info(`Moved ${migrated} birthday(s) to events`);
+    } catch (e) {
+        logger.error({ err: e }, "Failed to move birthdays to events");
+    }
+    try {
+        const numbered = await assignContactIds();
+        if (numbered > 0) logger.info(`Gave an ID to ${numbered} older contact(s)`);
+    } catch (e) {
+        logger.error({ err: e }, "Failed to give older contacts an ID");
+    }
+    checkEvents(io);
+    scheduleEventChecks(io);
+    scheduleRecurringPosts();
 }
 
 export function getSocket() {
@@ -0,0 +1,187 @@
+import { nanoid } from "nanoid";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+import { getCollection } from './storage.js';
+import { getTimezone } from './timezone.js';
+import { getBaseCurrency, convertAmount, listRates } from './currency.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Monthly spending limits per expense category. Finance categories are
+ * compared case-insensitively. Alerts go out once per threshold per month:
+ * `AlertedMonth` / `AlertedLevel` record the highest one sent so far.
+ */
+
+export const ALERT_THRESHOLDS = [80, 100];
+
+/**
+ * @param {string} category
+ * @returns {string} The stored form: trimmed and lowercase.
+ */
+export function normalizeCategory(category) {
+	return String(category ?? "").trim().toLowerCase();
+}
+
+/**
+ * Reads a monthly limit.
+ * @param {string|number} value
+ * @returns {number|null} null unless it's a positive amount.
+ */
+export function parseLimit(value) {
+	const limit = Number(String(value ?? "").replace(/,/g, ""));
+	return Number.isFinite(limit) && limit > 0 ? Math.round(limit * 100) / 100 : null;
+}
+
+/**
+ * Expenses per category for the month containing `now`, in the base
+ * currency. Entries in a currency without an exchange rate are left out.
+ * @param {object[]} rows Finances records.
+ * @param {{ now?: dayjs.Dayjs|Date|string, zone?: string, base?: string, rates?: object[] }} [options]
+ * @returns {Map<string, number>} Totals keyed by normalized category.
+ */
+export function monthSpending(rows, { now = dayjs(), zone = getTimezone(), base = getBaseCurrency(), rates = [] } = {}) {
+	const month = dayjs(now).tz(zone).format("YYYY-MM");
+	const totals = new Map();
+	for (const row of rows) {
+		if (row.Type !== "Expense" || dayjs(row.Date).tz(zone).format("YYYY-MM") !== month) continue;
+		const amount = convertAmount(parseFloat(row.Amount), row.Currency || base, base, rates);
+		if (amount === null || isNaN(amount)) continue;
+		const category = normalizeCategory(row.Category) || "uncategorized";
+		totals.set(category, (totals.get(category) || 0) + amount);
+	}
+	return totals;
+}
+
+/**
+ * How a category stands against its budget.
+ * @param {object} budget Budgets record.
+ * @param {number} spent This month's spending in the category.
+ * @returns {{ id: string, category: string, limit: number, spent: number, remaining: number, percent: number, level: number|null }}
+ *   `level` is the highest alert threshold reached, if any.
+ */
+export function budgetStatus(budget, spent) {
+	const limit = Number(budget.MonthlyLimit);
+	const percent = limit > 0 ? Math.round((spent / limit) * 100) : 0;
+	const reached = ALERT_THRESHOLDS.filter(threshold => percent >= threshold);
+	return {
+		id: budget.ID,
+		category: budget.Category,
+		limit,
+		spent: Math.round(spent * 100) / 100,
+		remaining: Math.round((limit - spent) * 100) / 100,
+		percent,
+		level: reached.length > 0 ? reached[reached.length - 1] : null,
+	};
+}
+
+/**
+ * The alert threshold a budget has newly reached this month.
+ * @param {object} budget Budgets record.
+ * @param {{ level: number|null }} status
+ * @param {string} month "YYYY-MM"
+ * @returns {number|null} The threshold to alert about, or null when it was already sent.
+ */
+export function pendingAlert(budget, status, month) {
+	if (!status.level) return null;
+	const alerted = budget.AlertedMonth === month ? Number(budget.AlertedLevel) || 0 : 0;
+	return status.level > alerted ? status.level : null;
+}
+
+const formatAmount = (amount) => amount.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * One line on where a category stands, for WhatsApp replies.
+ * @param {ReturnType<typeof budgetStatus>} status
+ * @returns {string}
+ */
+export function formatBudgetLine(status) {
+	if (status.remaining < 0) {
+		return `🚨 ${status.category}: over budget by ${formatAmount(-status.remaining)} (${formatAmount(status.spent)} of ${formatAmount(status.limit)})`;
+	}
+	const icon = status.level ? "⚠️" : "✅";
+	return `${icon} ${status.category}: ${formatAmount(status.remaining)} left of ${formatAmount(status.limit)} (${status.percent}% used)`;
+}
+
+/**
+ * The alert pushed when a budget reaches a threshold.
+ * @param {ReturnType<typeof budgetStatus>} status
+ * @param {number} threshold
+ * @returns {string}
+ */
+export function formatBudgetAlert(status, threshold) {
+	if (threshold >= 100) {
+		return `🚨 *Budget exceeded:* ${status.category} is at ${status.percent}% (${formatAmount(status.spent)} of ${formatAmount(status.limit)} this month)`;
+	}
+	return `⚠️ *Budget alert:* ${status.category} is at ${status.percent}% (${formatAmount(status.remaining)} of ${formatAmount(status.limit)} left this month)`;
+}
+
+/**
+ * API shape of a budget.
+ * @param {object} record Budgets record.
+ * @param {number} [spent] This month's spending in the category.
+ */
+export function toBudgetResponse(record, spent = 0) {
+	const { level, ...status } = budgetStatus(record, spent);
+	return { ...status, alertLevel: level, createdAt: record.CreatedAt, updatedAt: record.UpdatedAt };
+}
+
+/**
+ * Sets a category's monthly limit, creating its budget if needed.
+ * @param {string} category
+ * @param {number} limit
+ * @returns {Promise<object>} The Budgets record.
+ */
+export async function setBudget(category, limit) {
+	const store = getCollection('Budgets');
+	const name = normalizeCategory(category);
+	const now = new Date().toISOString();
+	const existing = await store.find(row => normalizeCategory(row.Category) === name);
+	if (existing) {
+		// A new limit gets fresh alerts.
+		return store.update(existing.ID, { MonthlyLimit: limit, AlertedMonth: null, AlertedLevel: null, UpdatedAt: now });
+	}
+	const record = { ID: nanoid(), Category: name, MonthlyLimit: limit, AlertedMonth: null, AlertedLevel: null, CreatedAt: now, UpdatedAt: now };
+	await store.insert(record);
+	return record;
+}
+
+/**
+ * Every budget with this month's spending.
+ * @param {{ now?: dayjs.Dayjs|Date|string }} [options]
+ * @returns {Promise<{ record: object, status: ReturnType<typeof budgetStatus> }[]>}
+ */
+export async function budgetOverview({ now = dayjs() } = {}) {
+	const [budgets, rows, rates] = await Promise.all([
+		getCollection('Budgets').list(),
+		getCollection('Finances').list(),
+		listRates(),
+	]);
+	const spending = monthSpending(rows, { now, rates });
+	return budgets
+		.map(record => ({ record, status: budgetStatus(record, spending.get(normalizeCategory(record.Category)) || 0) }))
+		.sort((a, b) => a.status.category.localeCompare(b.status.category));
+}
+
+/**
+ * Where a category stands after an expense, and the alert it newly
+ * triggers (which is then marked as sent).
+ * @param {string} category
+ * @returns {Promise<{ status: ReturnType<typeof budgetStatus>, alert: string|null }|null>} null when the category has no budget.
+ */
+export async function checkBudget(category) {
+	const now = dayjs();
+	const name = normalizeCategory(category);
+	const entry = (await budgetOverview({ now })).find(({ status }) => status.category === name);
+	if (!entry) return null;
+
+	const month = now.tz(getTimezone()).format("YYYY-MM");
+	const threshold = pendingAlert(entry.record, entry.status, month);
+	if (threshold) {
+		await getCollection('Budgets').update(entry.record.ID, { AlertedMonth: month, AlertedLevel: threshold });
+	}
+	return { status: entry.status, alert: threshold ? formatBudgetAlert(entry.status, threshold) : null };
+}
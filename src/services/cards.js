@@ -0,0 +1,189 @@
+import { fileURLToPath } from "url";
+import path from "path";
+import fsp from "fs/promises";
+import { nanoid } from "nanoid";
+import sharp from "sharp";
+
+import { EVENT_TYPES, ordinal, yearsOn } from './events.js';
+import { registerUpload, findMedia } from './media.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const UPLOADS_DIR = path.join(__dirname, '..', '..', 'public', 'uploads');
+
+/**
+ * Greeting cards attached to event wishes. An event's `Card` is the name of
+ * a built-in design, rendered here with the person's name and the years
+ * overlaid, or "random" for any design; `CardMediaIds` lists photos or cards
+ * from the media library to send instead, one picked per occasion. Rendered
+ * cards are ordinary uploads, deleted once their wish is sent.
+ */
+
+const SIZE = 800;
+const PALETTES = ["#ff6b6b", "#feca57", "#48dbfb", "#1dd1a1", "#ff9ff3", "#5f27cd"];
+
+const escapeXml = (text) => String(text ?? "").replace(/[<>&'"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
+
+// Long lines get a smaller font so they stay inside the card.
+const fitFontSize = (text, max) => Math.max(28, Math.min(max, Math.floor(1050 / Math.max(String(text).length, 1))));
+
+// Small deterministic generator, so a person's card looks the same on every render.
+function seededRandom(seed) {
+	let state = [...String(seed)].reduce((h, c) => (h * 31 + c.charCodeAt(0)) >>> 0, 7);
+	return () => {
+		state = (state * 1664525 + 1013904223) >>> 0;
+		return state / 2 ** 32;
+	};
+}
+
+function textLines({ heading, name, subtitle }, { color, font, top = 330 }) {
+	return `<text x="50%" y="${top}" text-anchor="middle" font-family="${font}" font-size="${fitFontSize(heading, 54)}" font-weight="bold" fill="${color}">${escapeXml(heading)}</text>
+	<text x="50%" y="${top + 130}" text-anchor="middle" font-family="${font}" font-size="${fitFontSize(name, 110)}" font-weight="bold" fill="${color}">${escapeXml(name)}</text>
+	${subtitle ? `<text x="50%" y="${top + 210}" text-anchor="middle" font-family="${font}" font-size="36" fill="${color}">${escapeXml(subtitle)}</text>` : ""}`;
+}
+
+/**
+ * Built-in designs. `svg` draws the card from its text.
+ */
+export const CARD_TEMPLATES = {
+	balloons: {
+		label: "Balloons",
+		svg: (text) => {
+			const balloons = PALETTES.map((color, i) => {
+				const x = 80 + i * 128;
+				const y = 130 + (i % 2) * 50;
+				return `<path d="M${x} ${y + 70} q 15 60 -5 120" stroke="#999" fill="none" stroke-width="2"/>
+	<ellipse cx="${x}" cy="${y}" rx="50" ry="65" fill="${color}" opacity="0.9"/>`;
+			}).join("\n\t");
+			return `<defs><linearGradient id="bg" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="#e0f7ff"/><stop offset="1" stop-color="#fff5e6"/></linearGradient></defs>
+	<rect width="100%" height="100%" fill="url(#bg)"/>
+	${balloons}
+	${textLines(text, { color: "#2d3436", font: "sans-serif", top: 420 })}`;
+		},
+	},
+	confetti: {
+		label: "Confetti",
+		svg: (text) => {
+			const random = seededRandom(text.name);
+			const pieces = Array.from({ length: 90 }, () => {
+				const color = PALETTES[Math.floor(random() * PALETTES.length)];
+				const x = Math.round(random() * SIZE);
+				const y = Math.round(random() * SIZE);
+				return random() < 0.5
+					? `<circle cx="${x}" cy="${y}" r="${4 + Math.round(random() * 6)}" fill="${color}"/>`
+					: `<rect x="${x}" y="${y}" width="8" height="18" fill="${color}" transform="rotate(${Math.round(random() * 180)} ${x} ${y})"/>`;
+			}).join("\n\t");
+			return `<rect width="100%" height="100%" fill="#22223b"/>
+	${pieces}
+	<rect x="90" y="250" width="620" height="320" rx="24" fill="#22223b" opacity="0.85"/>
+	${textLines(text, { color: "#ffffff", font: "sans-serif" })}`;
+		},
+	},
+	elegant: {
+		label: "Elegant",
+		svg: (text) => `<rect width="100%" height="100%" fill="#fbf7ef"/>
+	<rect x="30" y="30" width="740" height="740" fill="none" stroke="#c9a227" stroke-width="6"/>
+	<rect x="48" y="48" width="704" height="704" fill="none" stroke="#c9a227" stroke-width="2"/>
+	<path d="M300 240 h200 M300 600 h200" stroke="#c9a227" stroke-width="3"/>
+	${textLines(text, { color: "#5b4636", font: "serif" })}`,
+	},
+};
+
+export const CARD_TEMPLATE_NAMES = Object.keys(CARD_TEMPLATES);
+
+/**
+ * Checks an event's card choice.
+ * @param {string|null} card A template name, "random", or empty for none.
+ * @returns {string|null} What's wrong with it, if anything.
+ */
+export function validateCard(card) {
+	if (!card || card === "random" || CARD_TEMPLATES[card]) return null;
+	return `card must be one of: random, ${CARD_TEMPLATE_NAMES.join(", ")}`;
+}
+
+/**
+ * The text printed on an event's card.
+ * @param {object} event Event in API shape.
+ * @param {string} day "YYYY-MM-DD" the event falls on.
+ * @returns {{ heading: string, name: string, subtitle: string|null }}
+ */
+export function cardText(event, day) {
+	const type = EVENT_TYPES[event.type] || EVENT_TYPES.custom;
+	const years = yearsOn(event, day);
+	if (event.type === "custom") {
+		return { heading: `Happy ${event.title}`, name: event.name, subtitle: years ? `${ordinal(years)} time` : null };
+	}
+	if (event.type === "birthday") {
+		return { heading: `Happy ${years ? `${ordinal(years)} ` : ""}Birthday`, name: event.name, subtitle: null };
+	}
+	return { heading: `Happy ${type.label}`, name: event.name, subtitle: years ? `${years} year${years === 1 ? "" : "s"}` : null };
+}
+
+/**
+ * The SVG of a card.
+ * @param {string} template Template name; unknown names use the first design.
+ * @param {{ heading: string, name: string, subtitle: string|null }} text
+ * @returns {string}
+ */
+export function buildCardSvg(template, text) {
+	const design = CARD_TEMPLATES[template] || CARD_TEMPLATES[CARD_TEMPLATE_NAMES[0]];
+	return `<svg xmlns="http://www.w3.org/2000/svg" width="${SIZE}" height="${SIZE}" viewBox="0 0 ${SIZE} ${SIZE}">
+	${design.svg(text)}
+</svg>`;
+}
+
+/**
+ * Renders an event's card as a PNG.
+ * @param {object} event Event in API shape; its `card` picks the design.
+ * @param {string} day "YYYY-MM-DD" the event falls on.
+ * @returns {Promise<Buffer>}
+ */
+export async function renderCard(event, day) {
+	const template = event.card === "random" || !CARD_TEMPLATES[event.card]
+		? CARD_TEMPLATE_NAMES[Math.floor(Math.random() * CARD_TEMPLATE_NAMES.length)]
+		: event.card;
+	return sharp(Buffer.from(buildCardSvg(template, cardText(event, day)))).png().toBuffer();
+}
+
+/**
+ * Chooses the library item to send, going round the list one occasion at a
+ * time so the same photo isn't sent twice in a row.
+ * @param {string[]} mediaIds
+ * @param {string} day "YYYY-MM-DD" the event falls on.
+ * @param {string} [recurrence] The event's, "yearly" or "monthly".
+ * @returns {string|null}
+ */
+export function pickCardMedia(mediaIds, day, recurrence = "yearly") {
+	if (mediaIds.length === 0) return null;
+	const [year, month] = day.split("-").map(Number);
+	const occasion = recurrence === "monthly" ? year * 12 + month : year;
+	return mediaIds[occasion % mediaIds.length];
+}
+
+/**
+ * The image to attach to an event's wish: a photo or card from its library,
+ * or a freshly rendered card. Library items that were deleted are skipped.
+ * @param {object} event Event in API shape.
+ * @param {string} day "YYYY-MM-DD" the event falls on.
+ * @returns {Promise<{ url: string, mediaType: string }|null>} null when the event has no card.
+ */
+export async function eventCardMedia(event, day) {
+	const available = [];
+	for (const id of event.cardMediaIds || []) {
+		const media = await findMedia(id);
+		if (media) available.push(media);
+	}
+	const picked = pickCardMedia(available.map(m => m.ID), day, event.recurrence);
+	if (picked) {
+		const media = available.find(m => m.ID === picked);
+		return { url: media.Url, mediaType: media.MediaType };
+	}
+	if (!event.card) return null;
+
+	const png = await renderCard(event, day);
+	const filename = `${Date.now()}-${nanoid()}.png`;
+	await fsp.mkdir(UPLOADS_DIR, { recursive: true });
+	await fsp.writeFile(path.join(UPLOADS_DIR, filename), png);
+	const record = await registerUpload({ filename, mimetype: "image/png", originalname: `${event.type}-card.png`, size: png.length });
+	return { url: record.Url, mediaType: record.MediaType };
+}
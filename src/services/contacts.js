@@ -0,0 +1,325 @@
+import { nanoid } from "nanoid";
+
+import { getCollection } from './storage.js';
+import { normalizePhone, phoneKey, tryNormalizePhone } from './phone.js';
+import { parseTags, formatTags } from './groups.js';
+import { formatPhones, parsePhones, parseBirthday } from './vcard.js';
+import { normalizeKey } from './templates.js';
+
+/**
+ * Contacts helpers: the API shape, search, finding and merging duplicates,
+ * and reading CSV rows through a column mapping. A contact's extra numbers
+ * live in its `Phones` column in the form written by `formatPhones`
+ * ("mobile:+9477...; work:+9411...").
+ */
+
+/**
+ * Every normalised number of a contact, primary first.
+ * @param {object} contact Contacts record.
+ * @returns {string[]}
+ */
+export function contactPhoneKeys(contact) {
+	const numbers = [contact.Phone, ...parsePhones(contact.Phones).map(p => p.number)];
+	return [...new Set(numbers.filter(Boolean).map(phoneKey).filter(Boolean))];
+}
+
+/**
+ * Comparable form of a name: lowercase, accents and punctuation removed,
+ * words sorted so "Perera Kamal" matches "Kamal Perera".
+ * @param {string} name
+ * @returns {string}
+ */
+export function nameKey(name) {
+	return String(name ?? "")
+		.normalize("NFD")
+		.replace(/[\u0300-\u036f]/g, "")
+		.toLowerCase()
+		.replace(/[^\p{L}\p{N}\s]/gu, " ")
+		.split(/\s+/)
+		.filter(Boolean)
+		.sort()
+		.join(" ");
+}
+
+function editDistance(a, b) {
+	let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+		}
+		previous = current;
+	}
+	return previous[b.length];
+}
+
+/**
+ * Whether two names probably belong to the same person: equal once
+ * normalised, or at most one typo per eight characters apart.
+ * @param {string} a
+ * @param {string} b
+ */
+export function isSimilarName(a, b) {
+	const keyA = nameKey(a);
+	const keyB = nameKey(b);
+	if (!keyA || !keyB) return false;
+	if (keyA === keyB) return true;
+	const longest = Math.max(keyA.length, keyB.length);
+	if (longest < 5) return false;
+	const allowed = Math.floor(longest / 8);
+	return Math.abs(keyA.length - keyB.length) <= allowed && editDistance(keyA, keyB) <= allowed;
+}
+
+/**
+ * Groups contacts that share a number or have similar names.
+ * @param {object[]} contacts Contacts records.
+ * @returns {{ reasons: ("phone"|"name")[], contacts: object[] }[]} Groups of two or more, in list order.
+ */
+export function findDuplicates(contacts) {
+	const parent = contacts.map((_, i) => i);
+	const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+	const reasons = new Map();
+	const join = (i, j, reason) => {
+		const [a, b] = [root(i), root(j)];
+		const merged = new Set([...(reasons.get(a) || []), ...(reasons.get(b) || []), reason]);
+		parent[b] = a;
+		reasons.set(a, merged);
+	};
+
+	const byPhone = new Map();
+	contacts.forEach((contact, i) => {
+		for (const key of contactPhoneKeys(contact)) {
+			if (byPhone.has(key)) join(byPhone.get(key), i, "phone");
+			else byPhone.set(key, i);
+		}
+	});
+
+	// Names are only compared within the same first letter to keep this cheap on big lists.
+	const byInitial = new Map();
+	contacts.forEach((contact, i) => {
+		const key = nameKey(contact.Name);
+		if (!key) return;
+		const bucket = byInitial.get(key[0]) || [];
+		for (const j of bucket) {
+			if (isSimilarName(contacts[j].Name, contact.Name)) join(j, i, "name");
+		}
+		bucket.push(i);
+		byInitial.set(key[0], bucket);
+	});
+
+	const groups = new Map();
+	contacts.forEach((contact, i) => {
+		const r = root(i);
+		if (!groups.has(r)) groups.set(r, []);
+		groups.get(r).push(contact);
+	});
+	return [...groups.entries()]
+		.filter(([, members]) => members.length > 1)
+		.map(([r, members]) => ({ reasons: [...reasons.get(r)].sort(), contacts: members }));
+}
+
+// Combined explicitly by mergeContacts, or tied to a number/record and never copied over.
+const MERGED_FIELDS = ["ID", "Phone", "Phones", "Email", "Tags", "Note", "CreatedAt", "OnWhatsApp", "WhatsAppJid", "WhatsAppCheckedAt"];
+
+/**
+ * Folds duplicates into a primary contact. Empty fields of the primary are
+ * filled from the others; numbers, emails and tags are combined; notes are
+ * appended.
+ * @param {object} primary Contacts record that is kept.
+ * @param {object[]} others Records merged into it (and then deleted by the caller).
+ * @returns {object} Patch for the primary record.
+ */
+export function mergeContacts(primary, others) {
+	const patch = {};
+	const all = [primary, ...others];
+
+	for (const other of others) {
+		for (const [key, value] of Object.entries(other)) {
+			if (MERGED_FIELDS.includes(key)) continue;
+			if ((primary[key] === undefined || primary[key] === null || primary[key] === "") && !(key in patch) && value !== null && value !== "") {
+				patch[key] = value;
+			}
+		}
+	}
+
+	const phones = [];
+	for (const contact of all) {
+		for (const entry of [{ number: contact.Phone, types: [] }, ...parsePhones(contact.Phones)]) {
+			if (!entry.number) continue;
+			const number = tryNormalizePhone(entry.number) || entry.number;
+			const existing = phones.find(p => phoneKey(p.number) === phoneKey(number));
+			if (!existing) phones.push({ number, types: entry.types });
+			else if (existing.types.length === 0) existing.types = entry.types;
+		}
+	}
+	if (phones.length > 1) patch.Phones = formatPhones(phones);
+
+	const emails = [...new Set(all.flatMap(c => String(c.Email ?? "").split(",")).map(e => e.trim()).filter(Boolean))];
+	if (emails.length > 0) patch.Email = emails.join(", ");
+
+	const tags = parseTags(all.flatMap(c => parseTags(c.Tags)));
+	if (tags.length > 0) patch.Tags = formatTags(tags);
+
+	const notes = [...new Set(all.map(c => String(c.Note ?? "").trim()).filter(Boolean))];
+	if (notes.length > 0) patch.Note = notes.join("\n");
+
+	return patch;
+}
+
+/**
+ * Whether a contact matches a free-text search over name, numbers, email,
+ * organisation and tags. Number-only queries also match numbers regardless
+ * of formatting.
+ * @param {object} contact Contacts record.
+ * @param {string} query
+ */
+export function matchesSearch(contact, query) {
+	const text = String(query ?? "").trim().toLowerCase();
+	if (!text) return true;
+	const haystack = [contact.Name, contact.Phone, contact.Phones, contact.Email, contact.Org, contact.Tags]
+		.filter(Boolean)
+		.join(" ")
+		.toLowerCase();
+	if (haystack.includes(text)) return true;
+	// A leading trunk zero ("077...") is dropped so local input matches E.164 numbers.
+	const digits = text.replace(/\D/g, "").replace(/^0+/, "");
+	return digits.length >= 3 && /^[\d\s+()-]+$/.test(text) && haystack.replace(/\D/g, "").includes(digits);
+}
+
+/**
+ * Gives an ID to contacts saved before contacts had one (the old Name/Phone/Source
+ * sheet and VCF imports), so they can be edited, merged, tagged and checked.
+ * Records can only be updated by ID, so they are re-added with one and the
+ * ID-less rows removed afterwards. Safe to run on every start.
+ * @returns {Promise<number>} Contacts given an ID.
+ */
+export async function assignContactIds() {
+	const store = getCollection('Contacts');
+	const missing = await store.list(row => !row.ID);
+	if (missing.length === 0) return 0;
+	await store.insert(missing.map(row => ({ ...row, ID: nanoid() })));
+	await store.delete(row => !row.ID);
+	return missing.length;
+}
+
+/**
+ * API shape of a contact.
+ * @param {object} row Contacts record.
+ */
+export function toContactResponse(row) {
+	return {
+		id: row.ID,
+		name: row.Name,
+		phone: row.Phone,
+		phones: row.Phones,
+		onWhatsApp: row.OnWhatsApp === "true" ? true : row.OnWhatsApp === "false" ? false : null,
+		whatsappJid: row.WhatsAppJid,
+		whatsappCheckedAt: row.WhatsAppCheckedAt,
+		email: row.Email,
+		org: row.Org,
+		note: row.Note,
+		birthday: row.Birthday,
+		tags: parseTags(row.Tags),
+		timezone: row.Timezone || null,
+		quietHours: row.QuietHours || null,
+		source: row.Source,
+	};
+}
+
+// Header names (compared via normalizeKey) recognised for each importable field.
+const CSV_FIELD_ALIASES = {
+	name: ["name", "fullname", "displayname", "contactname"],
+	firstName: ["firstname", "givenname"],
+	lastName: ["lastname", "familyname", "surname"],
+	phone: ["phone", "phones", "phonenumber", "mobile", "mobilephone", "cell", "cellphone", "tel", "telephone", "whatsapp", "number"],
+	email: ["email", "emails", "emailaddress"],
+	org: ["org", "organization", "organisation", "company", "organizationname", "organization1name"],
+	note: ["note", "notes"],
+	birthday: ["birthday", "bday", "birthdate", "dateofbirth", "dob"],
+	tags: ["tags", "groups", "group", "labels", "categories", "groupmembership"],
+};
+
+export const CSV_FIELDS = Object.keys(CSV_FIELD_ALIASES);
+
+/**
+ * Suggests which columns hold which contact field. Phone and email may come
+ * from several columns, e.g. Google's "Phone 1 - Value", "Phone 2 - Value".
+ * @param {string[]} headers
+ * @returns {Record<string, string|string[]>} Field to column(s); unmatched fields are left out.
+ */
+export function guessCsvMapping(headers) {
+	const mapping = {};
+	for (const header of headers) {
+		const key = normalizeKey(header).replace(/\d*value$/, "").replace(/\d+$/, "");
+		const field = CSV_FIELDS.find(f => CSV_FIELD_ALIASES[f].includes(key));
+		if (!field) continue;
+		if (field === "phone" || field === "email") {
+			mapping[field] = [...(mapping[field] || []), header];
+		} else if (!mapping[field]) {
+			mapping[field] = header;
+		}
+	}
+	return mapping;
+}
+
+/**
+ * Checks a mapping against the file's headers.
+ * @param {Record<string, string|string[]>} mapping
+ * @param {string[]} headers
+ * @returns {string|null} What's wrong with it, if anything.
+ */
+export function validateCsvMapping(mapping, headers) {
+	for (const [field, columns] of Object.entries(mapping)) {
+		if (!CSV_FIELDS.includes(field)) return `Unknown field "${field}"`;
+		const missing = [].concat(columns).filter(column => !headers.includes(column));
+		if (missing.length > 0) return `Column "${missing[0]}" is not in the file`;
+	}
+	if (!mapping.name && !mapping.firstName && !mapping.lastName) return "Map a column to the contact name";
+	if (!mapping.phone || [].concat(mapping.phone).length === 0) return "Map a column to the phone number";
+	return null;
+}
+
+const cellValues = (record, columns) => [].concat(columns || []).map(column => String(record[column] ?? "").trim()).filter(Boolean);
+
+/**
+ * Reads one CSV record into the same shape `parseCard` gives for a vCard.
+ * Cells may hold several numbers or emails separated by ";", "/" or Google's
+ * " ::: ", and numbers may carry a type ("mobile:+9477...").
+ * @param {Record<string, string>} record
+ * @param {Record<string, string|string[]>} mapping
+ */
+export function contactFromCsvRecord(record, mapping) {
+	const name = cellValues(record, mapping.name)[0]
+		|| [...cellValues(record, mapping.firstName), ...cellValues(record, mapping.lastName)].join(" ")
+		|| null;
+
+	const phones = [];
+	const invalidPhones = [];
+	for (const cell of cellValues(record, mapping.phone)) {
+		for (const entry of parsePhones(cell.replace(/\s*(:::|\/|\|)\s*/g, ";"))) {
+			try {
+				const number = normalizePhone(entry.number);
+				if (!phones.some(p => p.number === number)) phones.push({ number, types: entry.types, pref: false });
+			} catch (e) {
+				invalidPhones.push({ number: entry.number, error: e.message });
+			}
+		}
+	}
+
+	const emails = cellValues(record, mapping.email).flatMap(cell => cell.split(/\s*(?:,|;|:::)\s*/)).filter(Boolean);
+	const birthdayText = cellValues(record, mapping.birthday)[0] || "";
+	return {
+		name,
+		phone: (phones.find(p => p.types.includes("mobile")) || phones[0])?.number || null,
+		phones,
+		invalidPhones,
+		emails: [...new Set(emails)],
+		org: cellValues(record, mapping.org)[0] || null,
+		note: cellValues(record, mapping.note).join("\n") || null,
+		birthday: parseBirthday(birthdayText),
+		invalidBirthday: birthdayText && !parseBirthday(birthdayText) ? birthdayText : null,
+		// Google marks its built-in groups ("* myContacts", "* starred") with an asterisk.
+		categories: cellValues(record, mapping.tags).flatMap(cell => cell.split(/\s*(?:,|;|:::)\s*/)).filter(t => !t.startsWith("*")),
+		gender: null,
+	};
+}
@@ -0,0 +1,108 @@
+/**
+ * CSV reading and writing following RFC 4180: fields containing the
+ * delimiter, quotes or line breaks are quoted, quotes are doubled and
+ * records end in CRLF. The reader also accepts LF line endings, a UTF-8 BOM
+ * and ";" or tab delimiters, which spreadsheet apps produce depending on
+ * locale.
+ */
+
+const DELIMITERS = [",", ";", "\t"];
+
+/**
+ * Picks the delimiter used in the first line, outside quotes.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+	const counts = new Map(DELIMITERS.map(d => [d, 0]));
+	let quoted = false;
+	for (const char of text) {
+		if (char === '"') quoted = !quoted;
+		else if (!quoted && (char === "\n" || char === "\r")) break;
+		else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+	}
+	const [best, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+	return count > 0 ? best : ",";
+}
+
+/**
+ * Parses CSV text into rows of fields. Blank lines are skipped.
+ * @param {string} text
+ * @param {{ delimiter?: string }} [options] Detected from the first line when omitted.
+ * @returns {string[][]}
+ */
+export function parseCsv(text, { delimiter } = {}) {
+	const input = String(text ?? "").replace(/^\uFEFF/, "");
+	const separator = delimiter || detectDelimiter(input);
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+
+	const endField = () => {
+		row.push(field);
+		field = "";
+	};
+	const endRow = () => {
+		endField();
+		if (row.length > 1 || row[0] !== "") rows.push(row);
+		row = [];
+	};
+
+	for (let i = 0; i < input.length; i++) {
+		const char = input[i];
+		if (quoted) {
+			if (char === '"' && input[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				field += char;
+			}
+		} else if (char === '"' && field === "") {
+			quoted = true;
+		} else if (char === separator) {
+			endField();
+		} else if (char === "\r" || char === "\n") {
+			if (char === "\r" && input[i + 1] === "\n") i++;
+			endRow();
+		} else {
+			field += char;
+		}
+	}
+	if (field !== "" || row.length > 0) endRow();
+	return rows;
+}
+
+/**
+ * Parses CSV with a header line into objects keyed by header.
+ * @param {string} text
+ * @returns {{ headers: string[], records: Record<string, string>[] }}
+ */
+export function parseCsvRecords(text) {
+	const [headerRow = [], ...rows] = parseCsv(text);
+	const headers = headerRow.map(h => h.trim());
+	const records = rows.map(row => Object.fromEntries(headers.map((header, i) => [header, row[i] ?? ""])));
+	return { headers, records };
+}
+
+/**
+ * @param {*} value
+ * @returns {string} The value as a CSV field, quoted when needed.
+ */
+export function formatCsvField(value) {
+	const text = value === null || value === undefined ? "" : String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes records as CSV with a header line.
+ * @param {string[]} headers Columns, in order.
+ * @param {object[]} records
+ * @returns {string}
+ */
+export function toCsv(headers, records) {
+	const lines = [headers, ...records.map(record => headers.map(header => record[header]))];
+	return lines.map(line => line.map(formatCsvField).join(",")).join("\r\n") + "\r\n";
+}
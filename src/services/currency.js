@@ -0,0 +1,197 @@
+import { nanoid } from "nanoid";
+
+import { getCollection } from './storage.js';
+
+/**
+ * Currencies for finance entries. Totals are reported in the base currency
+ * (`BASE_CURRENCY`, also editable in Bot Control); entries without a
+ * `Currency` are in it. The base currency in use is remembered in
+ * `Settings`, so when it changes, from Bot Control or the environment, those
+ * entries are first given the old one. `ExchangeRates` is kept by hand: each
+ * row says one `Currency` is worth `Rate` of `Base`, and is used both ways.
+ */
+
+const FALLBACK_CURRENCY = "LKR";
+// Settings row holding the base currency entries without a Currency are in.
+const BASE_CURRENCY_SETTING = "BaseCurrency";
+const KNOWN_CURRENCIES = new Set(Intl.supportedValuesOf ? Intl.supportedValuesOf("currency") : []);
+
+/**
+ * @param {string} code
+ * @returns {string|null} The ISO 4217 code in capitals, or null when it isn't one.
+ */
+export function normalizeCurrency(code) {
+	const text = String(code ?? "").trim().toUpperCase();
+	return /^[A-Z]{3}$/.test(text) && KNOWN_CURRENCIES.has(text) ? text : null;
+}
+
+/**
+ * @returns {string} The currency totals are reported in.
+ */
+export function getBaseCurrency() {
+	return normalizeCurrency(process.env.BASE_CURRENCY) || FALLBACK_CURRENCY;
+}
+
+/**
+ * The currencies chat commands accept: the base currency and those with an
+ * exchange rate.
+ * @param {object[]} rates ExchangeRates records.
+ * @param {string} [base]
+ * @returns {Set<string>}
+ */
+export function configuredCurrencies(rates, base = getBaseCurrency()) {
+	return new Set([base, ...rates.flatMap(r => [r.Currency, r.Base])].filter(Boolean));
+}
+
+/**
+ * Reads the optional currency of `.got` / `.spent`: `12 usd food lunch`.
+ * A code is only taken when it's one of `allowed` and a category and
+ * description still follow it, so words such as "top" stay categories.
+ * @param {string[]} args Arguments after the amount.
+ * @param {Set<string>} allowed From configuredCurrencies.
+ * @returns {{ currency: string|null, rest: string[] }}
+ */
+export function parseCurrencyArg(args, allowed) {
+	const code = args.length >= 3 ? normalizeCurrency(args[0]) : null;
+	const currency = code && allowed.has(code) ? code : null;
+	return { currency, rest: currency ? args.slice(1) : args };
+}
+
+/**
+ * How much one unit of `from` is worth in `to`, directly, inverted or
+ * through a currency both have a rate against.
+ * @param {object[]} rates ExchangeRates records.
+ * @param {string} from
+ * @param {string} to
+ * @returns {number|null} null when the table can't tell.
+ */
+export function findRate(rates, from, to) {
+	if (from === to) return 1;
+	const valid = rates.filter(r => Number(r.Rate) > 0);
+	const direct = (a, b) => {
+		const row = valid.find(r => r.Currency === a && r.Base === b);
+		if (row) return Number(row.Rate);
+		const inverse = valid.find(r => r.Currency === b && r.Base === a);
+		return inverse ? 1 / Number(inverse.Rate) : null;
+	};
+	const rate = direct(from, to);
+	if (rate) return rate;
+	const others = new Set(valid.flatMap(r => [r.Currency, r.Base]));
+	for (const via of others) {
+		const first = direct(from, via);
+		const second = first && direct(via, to);
+		if (second) return first * second;
+	}
+	return null;
+}
+
+/**
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {object[]} rates ExchangeRates records.
+ * @returns {number|null} The amount in `to`, or null without a rate.
+ */
+export function convertAmount(amount, from, to, rates) {
+	const rate = findRate(rates, from, to);
+	return rate === null ? null : amount * rate;
+}
+
+/**
+ * "LKR 1,234.50"
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {string}
+ */
+export function formatMoney(amount, currency) {
+	return `${currency} ${amount.toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+/**
+ * API shape of an exchange rate.
+ * @param {object} record ExchangeRates record.
+ */
+export function toRateResponse(record) {
+	return { id: record.ID, currency: record.Currency, base: record.Base, rate: Number(record.Rate), updatedAt: record.UpdatedAt };
+}
+
+/**
+ * @returns {Promise<object[]>} ExchangeRates records.
+ */
+export async function listRates() {
+	return getCollection('ExchangeRates').list();
+}
+
+/**
+ * Sets what one unit of a currency is worth in another, replacing the
+ * existing rate for the pair (either way round).
+ * @param {string} currency
+ * @param {number} rate
+ * @param {string} [base] Defaults to the base currency.
+ * @returns {Promise<object>} The ExchangeRates record.
+ */
+export async function setRate(currency, rate, base = getBaseCurrency()) {
+	const store = getCollection('ExchangeRates');
+	const now = new Date().toISOString();
+	await store.delete(row => row.Currency === base && row.Base === currency);
+	const existing = await store.find(row => row.Currency === currency && row.Base === base);
+	if (existing) return store.update(existing.ID, { Rate: rate, UpdatedAt: now });
+	const record = { ID: nanoid(), Currency: currency, Base: base, Rate: rate, UpdatedAt: now };
+	await store.insert(record);
+	return record;
+}
+
+/**
+ * Records a currency on finance entries and recurring definitions that
+ * don't name one, so changing the base currency doesn't reinterpret them.
+ * One write per record, so it's only run when the base currency changes.
+ * @param {string} currency
+ * @returns {Promise<number>} How many were updated.
+ */
+export async function assignMissingCurrencies(currency) {
+	let updated = 0;
+	for (const name of ['Finances', 'RecurringFinances']) {
+		const store = getCollection(name);
+		for (const row of await store.list(row => !row.Currency)) {
+			await store.update(row.ID, { Currency: currency });
+			updated++;
+		}
+	}
+	return updated;
+}
+
+async function saveBaseCurrency(currency) {
+	const store = getCollection('Settings');
+	const patch = { Value: currency, UpdatedAt: new Date().toISOString() };
+	if (await store.find(BASE_CURRENCY_SETTING)) await store.update(BASE_CURRENCY_SETTING, patch);
+	else await store.insert({ ID: BASE_CURRENCY_SETTING, ...patch });
+}
+
+/**
+ * Switches the base currency, keeping entries without a currency in the
+ * one they were logged in.
+ * @param {string} currency An ISO 4217 code.
+ * @returns {Promise<number>} Entries given the old base currency.
+ */
+export async function changeBaseCurrency(currency) {
+	const previous = getBaseCurrency();
+	const stamped = previous === currency ? 0 : await assignMissingCurrencies(previous);
+	process.env.BASE_CURRENCY = currency;
+	await saveBaseCurrency(currency);
+	return stamped;
+}
+
+/**
+ * Run at startup, before entries are read: when `BASE_CURRENCY` differs
+ * from the base currency last in use, entries without a currency are given
+ * the old one. The first run just remembers the current one.
+ * @returns {Promise<{ previous: string|null, stamped: number }>}
+ */
+export async function syncBaseCurrency() {
+	const base = getBaseCurrency();
+	const previous = normalizeCurrency((await getCollection('Settings').find(BASE_CURRENCY_SETTING))?.Value);
+	if (previous === base) return { previous, stamped: 0 };
+	const stamped = previous ? await assignMissingCurrencies(previous) : 0;
+	await saveBaseCurrency(base);
+	return { previous, stamped };
+}
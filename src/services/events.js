@@ -0,0 +1,465 @@
+import { nanoid } from "nanoid";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+import { getCollection } from './storage.js';
+import { normalizePhone } from './phone.js';
+import { parseBirthday } from './vcard.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Recurring occasions: birthdays, wedding and work anniversaries and custom
+ * events, each repeating yearly or monthly on its date. Every type has its
+ * own message rules, used both in the AI prompt and in the plain fallback
+ * wish sent when AI is unavailable. Dates are "YYYY-MM-DD", or "--MM-DD"
+ * when the year isn't known.
+ *
+ * The wish goes out at the event's `SendTime` in the recipient's timezone;
+ * with `RemindDaysBefore` set, a reminder also goes to our own number that
+ * many days ahead. `LastWishFor` / `LastReminderFor` hold the event day the
+ * last ones were queued for, so each is queued once even after the sent
+ * rows leave the queue.
+ */
+
+export const VALID_RELATIONSHIPS = ["friend", "family", "relative", "other"];
+export const VALID_GENDERS = ["male", "female"];
+export const RECURRENCES = ["yearly", "monthly"];
+export const DEFAULT_SEND_TIME = "00:00";
+// Reminders go to our own number at this time in the bot's timezone.
+export const REMINDER_TIME = "09:00";
+export const MAX_REMIND_DAYS = 60;
+// How many days back a wish missed while the bot was down is still sent.
+export const MAX_WISH_CATCH_UP_DAYS = 3;
+
+/**
+ * "1st", "2nd", "11th", ...
+ * @param {number} n
+ * @returns {string}
+ */
+export function ordinal(n) {
+	const j = n % 10;
+	const k = n % 100;
+	if (j === 1 && k !== 11) return `${n}st`;
+	if (j === 2 && k !== 12) return `${n}nd`;
+	if (j === 3 && k !== 13) return `${n}rd`;
+	return `${n}th`;
+}
+
+// How a birthday wish addresses the person, following the birthday rules.
+function birthdayAddressee(event) {
+	if (event.relationship === "friend") return event.gender === "female" ? "sis" : "brother";
+	return event.name;
+}
+
+/**
+ * Per-type settings. `describe` opens the AI prompt, `rules` are listed in
+ * it, and `fallback` builds the wish without AI. `years` is null when the
+ * event's year is unknown or it repeats monthly.
+ */
+export const EVENT_TYPES = {
+	birthday: {
+		label: "Birthday",
+		emoji: "🎂",
+		recurrence: "yearly",
+		describe: (event, years) => `a personalized birthday wish for someone named ${event.name}${years ? ` who is celebrating their ${ordinal(years)} birthday today` : ""}`,
+		rules: [
+			'If relationship is "friend" and gender is "male", use "brother" in the message',
+			'If relationship is "friend" and gender is "female", use "sis" in the message',
+			'If relationship is "relative", use their actual name in the message',
+			'If relationship is "family", use the relationship term (like "mom", "dad", "sister", etc.) in the message',
+		],
+		fallback: (event, years) => `Happy ${years ? `${ordinal(years)} ` : ""}birthday ${birthdayAddressee(event)}! 🎉🎂`,
+	},
+	"wedding-anniversary": {
+		label: "Wedding anniversary",
+		emoji: "💍",
+		recurrence: "yearly",
+		describe: (event, years) => `a wedding anniversary wish for ${event.name}${years ? `, who are celebrating ${years} year${years === 1 ? "" : "s"} of marriage today` : ""}`,
+		rules: [
+			"Congratulate the couple, not just one person",
+			"Wish them many more happy years together",
+			"Keep it warm and romantic, never sarcastic",
+		],
+		fallback: (event, years) => `Happy ${years ? `${ordinal(years)} ` : ""}wedding anniversary ${event.name}! 💍❤️`,
+	},
+	"work-anniversary": {
+		label: "Work anniversary",
+		emoji: "💼",
+		recurrence: "yearly",
+		describe: (event, years) => `a work anniversary message for ${event.name}${years ? `, who completes ${years} year${years === 1 ? "" : "s"} at work today` : ""}`,
+		rules: [
+			"Keep it professional but friendly",
+			"Thank them for their contribution and celebrate the milestone",
+			'If relationship is "friend" or "family", it can be more casual',
+		],
+		fallback: (event, years) => `Happy work anniversary ${event.name}! ${years ? `Congratulations on ${years} year${years === 1 ? "" : "s"}! ` : ""}👏🎉`,
+	},
+	custom: {
+		label: "Custom",
+		emoji: "🎉",
+		recurrence: "yearly",
+		describe: (event, years) => `a message for ${event.name} on the occasion of "${event.title}"${years ? ` (${ordinal(years)} time)` : ""}`,
+		rules: [
+			"Match the tone to the occasion",
+			"Mention the occasion by name",
+		],
+		fallback: (event) => `Happy ${event.title}, ${event.name}! 🎉`,
+	},
+};
+
+export const EVENT_TYPE_NAMES = Object.keys(EVENT_TYPES);
+
+function dateParts(date) {
+	const match = String(date ?? "").match(/^(\d{4}|-)-(\d{2})-(\d{2})$/);
+	if (!match) return null;
+	return { year: match[1] === "-" ? null : Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+}
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Whether an event falls on a calendar day. Days past the end of a month
+ * (a 31st monthly, a 29 February yearly) fall on the month's last day.
+ * @param {{ date: string, recurrence?: string }} event
+ * @param {string} day "YYYY-MM-DD"
+ */
+export function occursOn(event, day) {
+	const eventDate = dateParts(parseBirthday(event.date));
+	const target = dateParts(day);
+	if (!eventDate || !target) return false;
+	const lastDay = daysInMonth(target.year, target.month);
+	if (event.recurrence !== "monthly" && eventDate.month !== target.month) return false;
+	return Math.min(eventDate.day, lastDay) === target.day;
+}
+
+/**
+ * How many years a yearly event completes at its occurrence on or after a
+ * day: the age on a birthday, the years married on an anniversary. On the
+ * event day itself that's the count for that day; before it in the year,
+ * the one coming up; after it, next year's.
+ * @param {{ date: string, recurrence?: string }} event
+ * @param {string} day "YYYY-MM-DD"
+ * @returns {number|null} null when unknown (no year) or not meaningful.
+ */
+export function yearsOn(event, day) {
+	const eventDate = dateParts(parseBirthday(event.date));
+	const target = dateParts(day);
+	if (!eventDate?.year || !target || event.recurrence === "monthly") return null;
+	const passed = !occursOn(event, day) &&
+		(target.month > eventDate.month || (target.month === eventDate.month && target.day > eventDate.day));
+	const years = target.year - eventDate.year + (passed ? 1 : 0);
+	return years > 0 ? years : null;
+}
+
+/**
+ * The next day an event falls on, counting `from` itself.
+ * @param {{ date: string, recurrence?: string }} event
+ * @param {string} from "YYYY-MM-DD"
+ * @returns {string|null} "YYYY-MM-DD", or null when the event has no valid date.
+ */
+export function nextEventDay(event, from) {
+	const start = dayjs(from);
+	// A yearly event comes round within a year and a day (29 February included).
+	for (let offset = 0; offset <= 366; offset++) {
+		const day = start.add(offset, "day").format("YYYY-MM-DD");
+		if (occursOn(event, day)) return day;
+	}
+	return null;
+}
+
+/**
+ * The AI prompt for an event's message.
+ * @param {object} event Event in API shape.
+ * @param {string} day "YYYY-MM-DD" the message is for.
+ * @returns {string}
+ */
+export function buildEventPrompt(event, day) {
+	const type = EVENT_TYPES[event.type] || EVENT_TYPES.custom;
+	const years = yearsOn(event, day);
+	const details = [
+		`- Name: ${event.name}`,
+		years ? `- Years: ${years}` : null,
+		event.gender ? `- Gender: ${event.gender}` : null,
+		event.relationship ? `- Relationship: ${event.relationship}` : null,
+	].filter(Boolean);
+	return `Generate ${type.describe(event, years)}.
+
+Details:
+${details.join("\n")}
+
+Rules:
+${type.rules.map(rule => `- ${rule}`).join("\n")}
+
+Make it warm, personal, and celebratory. Include appropriate emojis. Keep it under 50 words.`;
+}
+
+/**
+ * The message sent when AI is unavailable.
+ * @param {object} event Event in API shape.
+ * @param {string} day "YYYY-MM-DD" the message is for.
+ * @returns {string}
+ */
+export function fallbackEventMessage(event, day) {
+	const type = EVENT_TYPES[event.type] || EVENT_TYPES.custom;
+	return type.fallback(event, yearsOn(event, day));
+}
+
+/**
+ * Plain wishes to choose from when AI is unavailable, the type's own
+ * fallback first. Previews offer at most this many variants.
+ * @param {object} event Event in API shape.
+ * @param {string} day "YYYY-MM-DD" the message is for.
+ * @returns {string[]}
+ */
+export function fallbackEventMessages(event, day) {
+	const type = EVENT_TYPES[event.type] || EVENT_TYPES.custom;
+	const years = yearsOn(event, day);
+	const occasion = event.type === "custom" ? event.title : `${years ? `${ordinal(years)} ` : ""}${type.label.toLowerCase()}`;
+	return [
+		fallbackEventMessage(event, day),
+		`${type.emoji} Warmest wishes on your ${occasion}, ${event.name}! Have a wonderful day.`,
+		`Thinking of you on your ${occasion}, ${event.name}! Hope it's a great one ${type.emoji}`,
+		`Wishing you a very happy ${occasion}, ${event.name}! ${type.emoji}`,
+		`${type.emoji} Cheers to your ${occasion}, ${event.name}! Enjoy every moment.`,
+	];
+}
+
+/**
+ * Reads a send time such as "9:30" or "09:30".
+ * @param {string} value
+ * @returns {string|null} "HH:MM", or null when it isn't a time of day.
+ */
+export function normalizeSendTime(value) {
+	const match = String(value ?? "").trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+	return match ? `${match[1].padStart(2, "0")}:${match[2]}` : null;
+}
+
+/**
+ * Reads a "remind me N days before" value; empty or 0 turns reminders off.
+ * @param {string|number|null} value
+ * @returns {number|null|undefined} The number of days, null for off, undefined when invalid.
+ */
+export function parseRemindDays(value) {
+	if (value === null || value === undefined || value === "" || Number(value) === 0) return null;
+	const days = Number(value);
+	return Number.isInteger(days) && days > 0 && days <= MAX_REMIND_DAYS ? days : undefined;
+}
+
+/**
+ * Checks an event from a request body.
+ * @returns {string|null} What's wrong with it, if anything.
+ */
+export function validateEvent({ type, title, name, phone, date, recurrence, gender, relationship, sendTime, remindDaysBefore }) {
+	if (!EVENT_TYPES[type]) return `Type must be one of: ${EVENT_TYPE_NAMES.join(", ")}`;
+	if (!name || !phone || !date) return "Missing required fields: name, phone, date";
+	try {
+		normalizePhone(phone);
+	} catch (e) {
+		return e.message;
+	}
+	if (!parseBirthday(date)) return "Date must be YYYY-MM-DD or --MM-DD";
+	if (type === "custom" && !String(title ?? "").trim()) return "Custom events need a title";
+	if (recurrence && !RECURRENCES.includes(recurrence)) return `Recurrence must be one of: ${RECURRENCES.join(", ")}`;
+	if (gender && !VALID_GENDERS.includes(String(gender).toLowerCase())) return "Gender must be 'male' or 'female'";
+	if (relationship && !VALID_RELATIONSHIPS.includes(String(relationship).toLowerCase())) return "Invalid relationship";
+	if (sendTime && !normalizeSendTime(sendTime)) return "sendTime must be a time of day like 09:00";
+	if (parseRemindDays(remindDaysBefore) === undefined) return `remindDaysBefore must be a whole number of days up to ${MAX_REMIND_DAYS}`;
+	return null;
+}
+
+/**
+ * Builds an Events record from a validated request body.
+ */
+export function toEventRecord({ type, title, name, phone, date, recurrence, gender, relationship, customMessage, sendTime, remindDaysBefore, card, cardMediaIds }) {
+	return {
+		ID: nanoid(),
+		Type: type,
+		Title: type === "custom" ? String(title).trim() : null,
+		Name: name,
+		Phone: normalizePhone(phone),
+		Date: parseBirthday(date),
+		Recurrence: recurrence || EVENT_TYPES[type].recurrence,
+		Gender: gender ? gender.toLowerCase() : null,
+		Relationship: relationship ? relationship.toLowerCase() : null,
+		CustomMessage: customMessage || null,
+		SendTime: normalizeSendTime(sendTime) || DEFAULT_SEND_TIME,
+		RemindDaysBefore: parseRemindDays(remindDaysBefore),
+		Card: card || null,
+		CardMediaIds: parseIdList(cardMediaIds).join(",") || null,
+		CreatedAt: new Date().toISOString()
+	};
+}
+
+// Media IDs given as an array or a comma-separated string.
+function parseIdList(value) {
+	const ids = Array.isArray(value) ? value : String(value ?? "").split(",");
+	return [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+}
+
+// Request fields that can be changed, and the record column each one updates.
+const EDITABLE_FIELDS = {
+	type: "Type", title: "Title", name: "Name", phone: "Phone", date: "Date", recurrence: "Recurrence",
+	gender: "Gender", relationship: "Relationship", customMessage: "CustomMessage", sendTime: "SendTime", remindDaysBefore: "RemindDaysBefore",
+	card: "Card", cardMediaIds: "CardMediaIds",
+};
+
+/**
+ * Applies the fields present in a request body to an event, validating the
+ * result as a whole.
+ * @param {object} row Events record.
+ * @param {object} body
+ * @returns {{ patch: object, error?: string }}
+ */
+export function eventPatchFromBody(row, body) {
+	const present = Object.keys(EDITABLE_FIELDS).filter(field => body[field] !== undefined);
+	if (present.length === 0) return { patch: {}, error: `Nothing to update. Provide any of: ${Object.keys(EDITABLE_FIELDS).join(", ")}` };
+
+	const merged = { ...toEventResponse(row), ...Object.fromEntries(present.map(field => [field, body[field]])) };
+	const error = validateEvent(merged);
+	if (error) return { patch: {}, error };
+
+	const record = toEventRecord(merged);
+	const patch = Object.fromEntries(present.map(field => [EDITABLE_FIELDS[field], record[EDITABLE_FIELDS[field]]]));
+	// A custom event that changes type loses its title.
+	if (patch.Type) patch.Title = record.Title;
+	return { patch };
+}
+
+/**
+ * API shape of an event.
+ * @param {object} row Events record.
+ */
+export function toEventResponse(row) {
+	const type = EVENT_TYPES[row.Type] || EVENT_TYPES.custom;
+	return {
+		id: row.ID,
+		type: row.Type,
+		typeLabel: type.label,
+		emoji: type.emoji,
+		title: row.Title,
+		name: row.Name,
+		phone: row.Phone,
+		date: row.Date,
+		recurrence: row.Recurrence || type.recurrence,
+		gender: row.Gender,
+		relationship: row.Relationship,
+		customMessage: row.CustomMessage,
+		sendTime: row.SendTime || DEFAULT_SEND_TIME,
+		remindDaysBefore: row.RemindDaysBefore ? Number(row.RemindDaysBefore) : null,
+		card: row.Card || null,
+		cardMediaIds: parseIdList(row.CardMediaIds),
+		lastWishFor: row.LastWishFor || null,
+		lastReminderFor: row.LastReminderFor || null,
+		createdAt: row.CreatedAt,
+		updatedAt: row.UpdatedAt || null,
+	};
+}
+
+/**
+ * The messages an event needs queued now: the wish on the event day at its
+ * send time, and the reminder `remindDaysBefore` days earlier. Today and
+ * tomorrow are looked at, so the hourly check queues them up to a day ahead.
+ * When the time already passed, because the bot was down, the wish is due
+ * straight away (`late`), for event days up to MAX_WISH_CATCH_UP_DAYS back
+ * that come after `lastWishFor` and the event's creation; older ones and
+ * missed reminders are dropped. Events that predate wish tracking (no
+ * `lastWishFor`, created before today and never edited) aren't caught up,
+ * as their wish may have gone out.
+ * @param {object} event Event in API shape.
+ * @param {{ zone: string, reminderZone: string, now?: dayjs.Dayjs|Date|string }} options
+ *   `zone` is the recipient's timezone, `reminderZone` ours.
+ * @returns {{ kind: "wish"|"reminder", day: string, sendAt: dayjs.Dayjs, late: boolean }[]}
+ *   `day` is the event day the message is for.
+ */
+export function dueEventMessages(event, { zone, reminderZone, now = dayjs() }) {
+	const current = dayjs(now);
+	const due = [];
+	const at = (day, time, tz) => {
+		const sendAt = dayjs.tz(`${day} ${time}`, tz);
+		return { sendAt: sendAt.isBefore(current) ? current : sendAt, late: sendAt.isBefore(current) };
+	};
+
+	const today = current.tz(zone);
+	const todayText = today.format("YYYY-MM-DD");
+	const created = event.createdAt ? dayjs(event.createdAt).tz(zone).format("YYYY-MM-DD") : null;
+	const untracked = !event.lastWishFor && !event.updatedAt && created && created < todayText;
+	for (let offset = -MAX_WISH_CATCH_UP_DAYS; offset <= 1; offset++) {
+		const day = today.add(offset, "day").format("YYYY-MM-DD");
+		if (!occursOn(event, day) || (event.lastWishFor && event.lastWishFor >= day)) continue;
+		// An event added after its day has nothing to catch up.
+		if (offset < 0 && created && created > day) continue;
+		const wish = { kind: "wish", day, ...at(day, event.sendTime || DEFAULT_SEND_TIME, zone) };
+		if (!(wish.late && untracked)) due.push(wish);
+	}
+
+	if (event.remindDaysBefore) {
+		const ourToday = current.tz(reminderZone);
+		for (const reminderDay of [ourToday, ourToday.add(1, "day")]) {
+			const day = reminderDay.add(event.remindDaysBefore, "day").format("YYYY-MM-DD");
+			if (occursOn(event, day) && event.lastReminderFor !== day) {
+				due.push({ kind: "reminder", day, ...at(reminderDay.format("YYYY-MM-DD"), REMINDER_TIME, reminderZone) });
+			}
+		}
+	}
+	return due;
+}
+
+/**
+ * The reminder sent to our own number ahead of an event.
+ * @param {object} event Event in API shape.
+ * @param {string} day "YYYY-MM-DD" the event falls on.
+ * @returns {string}
+ */
+export function eventReminderMessage(event, day) {
+	const occasion = event.type === "custom" ? event.title : EVENT_TYPES[event.type]?.label.toLowerCase() || event.type;
+	const years = yearsOn(event, day);
+	const days = event.remindDaysBefore;
+	return `⏰ Reminder: ${event.name}'s ${occasion}${years ? ` (${ordinal(years)})` : ""} is on ${dayjs(day).format("D MMMM")}, in ${days} day${days === 1 ? "" : "s"}.`;
+}
+
+/**
+ * What the occasion is called in lists and logs: the type, or a custom event's title.
+ * @param {object} event Event in API shape.
+ */
+export function eventLabel(event) {
+	return event.type === "custom" ? event.title : EVENT_TYPES[event.type]?.label || event.type;
+}
+
+/**
+ * Moves rows from the old Birthdays collection into Events as birthday
+ * events. IDs are kept, so wishes already queued for them are still
+ * recognised. Safe to run on every start.
+ * @returns {Promise<number>} Birthdays moved.
+ */
+export async function migrateBirthdays() {
+	const birthdaysStore = getCollection('Birthdays');
+	// New installs never had one; reading it would create an empty sheet.
+	if (!(await birthdaysStore.exists())) return 0;
+	const legacy = await birthdaysStore.list();
+	if (legacy.length === 0) return 0;
+
+	const eventsStore = getCollection('Events');
+	const known = new Set((await eventsStore.list()).map(e => e.ID));
+	const rows = legacy.filter(b => !known.has(b.ID)).map(b => ({
+		ID: b.ID,
+		Type: "birthday",
+		Title: null,
+		Name: b.Name,
+		Phone: b.Phone,
+		Date: parseBirthday(b.Birthday) || b.Birthday,
+		Recurrence: "yearly",
+		Gender: b.Gender,
+		Relationship: b.Relationship,
+		CustomMessage: b.CustomMessage,
+		CreatedAt: b.CreatedAt
+	}));
+	if (rows.length > 0) {
+		await eventsStore.insert(rows);
+	}
+	const movedIds = new Set(legacy.map(b => b.ID));
+	await birthdaysStore.delete(b => movedIds.has(b.ID));
+	return rows.length;
+}
@@ -0,0 +1,233 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+import { getTimezone } from './timezone.js';
+import { getBaseCurrency, convertAmount } from './currency.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Finance reports over a period: totals, category breakdown, top
+ * descriptions, average daily spend and month-by-month trends. Periods are
+ * read in the configured timezone and run from `start` (inclusive) to `end`
+ * (exclusive), so entries logged at exactly midnight count. Totals are in the
+ * base currency; entries in a currency without an exchange rate only show up
+ * in their currency's subtotal.
+ */
+
+export const PERIOD_HELP = "today, yesterday, this_week, last_week, this_month, last_month, this_year, last_year, last_<n>_days, 2025-03, 2025, 2025-03-14 or from..to";
+
+const DATE_FORMS = [
+	{ pattern: /^\d{4}-\d{2}-\d{2}$/, unit: "day" },
+	{ pattern: /^\d{4}-\d{2}$/, unit: "month" },
+	{ pattern: /^\d{4}$/, unit: "year" },
+];
+
+// "2025-03" → the whole of March 2025, as a [start, end) pair.
+function parseDateSpan(text, zone) {
+	const form = DATE_FORMS.find(f => f.pattern.test(text));
+	if (!form) return null;
+	const start = dayjs.tz(form.unit === "year" ? `${text}-01-01` : form.unit === "month" ? `${text}-01` : text, zone);
+	if (!start.isValid() || start.format(form.unit === "day" ? "YYYY-MM-DD" : form.unit === "month" ? "YYYY-MM" : "YYYY") !== text) return null;
+	return { start, end: start.add(1, form.unit) };
+}
+
+/**
+ * Reads a report period.
+ * @param {string} [text] Defaults to this_month.
+ * @param {{ now?: dayjs.Dayjs|Date|string, zone?: string }} [options]
+ * @returns {{ start: dayjs.Dayjs, end: dayjs.Dayjs, label: string }|null} null when it can't be read.
+ */
+export function parsePeriod(text = "this_month", { now = dayjs(), zone = getTimezone() } = {}) {
+	const key = String(text || "this_month").trim().toLowerCase();
+	const today = dayjs(now).tz(zone).startOf("day");
+	const relative = {
+		today: () => [today, today.add(1, "day")],
+		yesterday: () => [today.subtract(1, "day"), today],
+		this_week: () => [today.startOf("week"), today.startOf("week").add(1, "week")],
+		last_week: () => [today.startOf("week").subtract(1, "week"), today.startOf("week")],
+		this_month: () => [today.startOf("month"), today.startOf("month").add(1, "month")],
+		last_month: () => [today.startOf("month").subtract(1, "month"), today.startOf("month")],
+		this_year: () => [today.startOf("year"), today.startOf("year").add(1, "year")],
+		last_year: () => [today.startOf("year").subtract(1, "year"), today.startOf("year")],
+	};
+	if (relative[key]) {
+		const [start, end] = relative[key]();
+		return { start, end, label: key.replace("_", " ") };
+	}
+
+	const lastDays = key.match(/^last_(\d{1,4})_days$/);
+	if (lastDays && Number(lastDays[1]) > 0) {
+		return { start: today.subtract(Number(lastDays[1]) - 1, "day"), end: today.add(1, "day"), label: `last ${lastDays[1]} days` };
+	}
+
+	const range = key.split("..");
+	if (range.length === 2) {
+		const from = parseDateSpan(range[0], zone);
+		const to = parseDateSpan(range[1], zone);
+		if (!from || !to || !to.end.isAfter(from.start)) return null;
+		return { start: from.start, end: to.end, label: `${range[0]} to ${range[1]}` };
+	}
+
+	const span = parseDateSpan(key, zone);
+	return span ? { ...span, label: key } : null;
+}
+
+/**
+ * The period of the same length just before one: the previous month(s) for
+ * whole months, otherwise the same number of days.
+ * @param {{ start: dayjs.Dayjs, end: dayjs.Dayjs }} period
+ * @returns {{ start: dayjs.Dayjs, end: dayjs.Dayjs }}
+ */
+export function previousPeriod({ start, end }) {
+	const months = end.diff(start, "month");
+	if (months > 0 && start.isSame(start.startOf("month")) && start.add(months, "month").isSame(end)) {
+		return { start: start.subtract(months, "month"), end: start };
+	}
+	return { start: start.subtract(Math.max(1, Math.round(end.diff(start, "day", true))), "day"), end: start };
+}
+
+/**
+ * @param {object} row Finances record.
+ * @param {{ start: dayjs.Dayjs, end: dayjs.Dayjs }} period
+ * @returns {boolean}
+ */
+export function inPeriod(row, { start, end }) {
+	const date = dayjs(row.Date);
+	return date.isValid() && !date.isBefore(start) && date.isBefore(end);
+}
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * @param {number} current
+ * @param {number} previous
+ * @returns {number|null} The whole-number percentage change, or null when there's nothing to compare with.
+ */
+export function percentChange(current, previous) {
+	return previous ? Math.round(((current - previous) / previous) * 100) : null;
+}
+
+const sameCategory = (row, category) => !category || String(row.Category || "").toLowerCase() === String(category).toLowerCase();
+
+/**
+ * The entries of a period, oldest first.
+ * @param {object[]} rows Finances records.
+ * @param {{ start: dayjs.Dayjs, end: dayjs.Dayjs }} period
+ * @param {{ category?: string }} [filter]
+ * @returns {object[]}
+ */
+export function periodTransactions(rows, period, { category } = {}) {
+	return rows
+		.filter(row => inPeriod(row, period) && sameCategory(row, category) && !isNaN(parseFloat(row.Amount)))
+		.sort((a, b) => dayjs(a.Date).valueOf() - dayjs(b.Date).valueOf());
+}
+
+/**
+ * Totals for a period.
+ * @param {object[]} rows Finances records.
+ * @param {{ start: dayjs.Dayjs, end: dayjs.Dayjs }} period
+ * @param {{ category?: string, now?: dayjs.Dayjs|Date|string, top?: number, base?: string, rates?: object[] }} [options]
+ *   Average daily spend counts the days up to `now` when the period hasn't ended.
+ *   `rates` are ExchangeRates records for converting into `base`.
+ */
+export function summarizeFinances(rows, period, { category, now = dayjs(), top = 5, base = getBaseCurrency(), rates = [] } = {}) {
+	const transactions = periodTransactions(rows, period, { category });
+	let totalIncome = 0;
+	let totalExpenses = 0;
+	const categoryTotals = new Map();
+	const descriptions = new Map();
+	const currencies = new Map();
+	for (const row of transactions) {
+		const currency = row.Currency || base;
+		const original = parseFloat(row.Amount);
+		const subtotal = currencies.get(currency) || { currency, income: 0, expenses: 0, count: 0, converted: true };
+		subtotal.count++;
+		if (row.Type === "Income") subtotal.income += original;
+		else if (row.Type === "Expense") subtotal.expenses += original;
+		currencies.set(currency, subtotal);
+		const amount = convertAmount(original, currency, base, rates);
+		if (amount === null) {
+			subtotal.converted = false;
+			continue;
+		}
+		if (row.Type === "Income") {
+			totalIncome += amount;
+		} else if (row.Type === "Expense") {
+			totalExpenses += amount;
+			const name = row.Category || "Uncategorized";
+			categoryTotals.set(name, (categoryTotals.get(name) || 0) + amount);
+			const key = String(row.Description || "").trim().toLowerCase();
+			if (key) {
+				const entry = descriptions.get(key) || { description: String(row.Description).trim(), count: 0, total: 0 };
+				entry.count++;
+				entry.total += amount;
+				descriptions.set(key, entry);
+			}
+		}
+	}
+
+	const until = dayjs(now).isBefore(period.end) ? dayjs(now) : period.end;
+	const days = Math.max(1, Math.ceil(until.diff(period.start, "day", true)));
+	return {
+		baseCurrency: base,
+		totalIncome: round(totalIncome),
+		totalExpenses: round(totalExpenses),
+		netBalance: round(totalIncome - totalExpenses),
+		averageDailySpend: round(totalExpenses / days),
+		days,
+		count: transactions.length,
+		categoryBreakdown: [...categoryTotals].map(([name, total]) => ({ name, total: round(total) })).sort((a, b) => b.total - a.total),
+		topDescriptions: [...descriptions.values()]
+			.map(entry => ({ ...entry, total: round(entry.total) }))
+			.sort((a, b) => b.total - a.total || b.count - a.count)
+			.slice(0, top),
+		// Per-currency subtotals in their own currency; `converted` is false when some entries had no rate.
+		currencies: [...currencies.values()]
+			.map(entry => ({ ...entry, income: round(entry.income), expenses: round(entry.expenses) }))
+			.sort((a, b) => (a.currency === base ? -1 : b.currency === base ? 1 : a.currency.localeCompare(b.currency))),
+	};
+}
+
+/**
+ * Income and expenses per month for the months leading up to a date.
+ * @param {object[]} rows Finances records.
+ * @param {{ end?: dayjs.Dayjs|Date|string, months?: number, zone?: string, category?: string, base?: string, rates?: object[] }} [options]
+ *   `end` is exclusive: the last month shown is the one just before it.
+ * @returns {{ month: string, income: number, expenses: number, net: number, change: number|null }[]}
+ *   `change` is the percentage change in expenses from the previous month.
+ */
+export function monthlyTrend(rows, { end = dayjs(), months = 6, zone = getTimezone(), category, base, rates } = {}) {
+	const last = dayjs(end).tz(zone).subtract(1, "millisecond").startOf("month");
+	const trend = Array.from({ length: months }, (_, i) => {
+		const start = last.subtract(months - 1 - i, "month");
+		const { totalIncome, totalExpenses } = summarizeFinances(rows, { start, end: start.add(1, "month") }, { category, base, rates });
+		return { month: start.format("YYYY-MM"), income: totalIncome, expenses: totalExpenses, net: round(totalIncome - totalExpenses) };
+	});
+	return trend.map((entry, i) => {
+		return { ...entry, change: percentChange(entry.expenses, trend[i - 1]?.expenses) };
+	});
+}
+
+export const EXPORT_COLUMNS = ["ID", "Date", "Type", "Amount", "Currency", "Category", "Description"];
+
+/**
+ * Rows for a CSV or XLSX export, dates in the configured timezone.
+ * @param {object[]} transactions Finances records.
+ * @param {string} [zone]
+ * @param {string} [base] Currency of entries that don't name one.
+ * @returns {object[]} Values keyed by EXPORT_COLUMNS.
+ */
+export function exportRecords(transactions, zone = getTimezone(), base = getBaseCurrency()) {
+	return transactions.map(row => ({
+		ID: row.ID,
+		Date: dayjs(row.Date).tz(zone).format("YYYY-MM-DD HH:mm"),
+		Type: row.Type,
+		Amount: parseFloat(row.Amount),
+		Currency: row.Currency || base,
+		Category: row.Category || "",
+		Description: row.Description || "",
+	}));
+}
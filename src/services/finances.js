@@ -0,0 +1,165 @@
+import { customAlphabet } from "nanoid";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+import { getBaseCurrency, normalizeCurrency } from './currency.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Finance entries logged with `.got` / `.spent` or from the dashboard. New
+ * entries get a short ID that is easy to type in WhatsApp; older ones keep
+ * their long ID and can be named by its first characters.
+ */
+
+export const TRANSACTION_TYPES = ["Income", "Expense"];
+const SHORT_ID_LENGTH = 6;
+// Commands are lowercased, so IDs avoid capitals and look-alike characters.
+const shortId = customAlphabet("23456789abcdefghjkmnpqrstuvwxyz", SHORT_ID_LENGTH);
+
+/**
+ * @returns {string} A new transaction ID.
+ */
+export function newTransactionId() {
+	return shortId();
+}
+
+/**
+ * The ID to show for a transaction: short IDs as they are, long ones cut down.
+ * @param {object} row Finances record.
+ * @returns {string}
+ */
+export function displayId(row) {
+	return String(row.ID).slice(0, SHORT_ID_LENGTH);
+}
+
+/**
+ * Finds a transaction by its ID, ignoring case, or by the start of a long ID.
+ * @param {object[]} rows Finances records.
+ * @param {string} id
+ * @returns {{ row: object|null, error?: string }}
+ */
+export function findTransaction(rows, id) {
+	const key = String(id ?? "").trim().toLowerCase();
+	if (!key) return { row: null, error: "Give the ID of the entry" };
+	const exact = rows.filter(row => String(row.ID).toLowerCase() === key);
+	if (exact.length === 1) return { row: exact[0] };
+	const matches = key.length >= 4 ? rows.filter(row => String(row.ID).toLowerCase().startsWith(key)) : [];
+	if (matches.length === 1) return { row: matches[0] };
+	if (matches.length > 1) return { row: null, error: `"${id}" matches ${matches.length} entries; use more of the ID` };
+	return { row: null, error: `No entry with ID "${id}"` };
+}
+
+/**
+ * The entry `.undo` removes: the latest one logged by hand, so recurring
+ * posts made since don't get removed in its place.
+ * @param {object[]} rows Finances records.
+ * @returns {object|null}
+ */
+export function lastLoggedTransaction(rows) {
+	let last = null;
+	for (const row of rows) {
+		if (row.RecurringID) continue;
+		if (!last || dayjs(row.Date).valueOf() >= dayjs(last.Date).valueOf()) last = row;
+	}
+	return last;
+}
+
+const FIELD_ALIASES = { amount: "amount", currency: "currency", category: "category", cat: "category", description: "description", desc: "description", type: "type", date: "date" };
+
+/**
+ * Reads `.edit` arguments such as `amount=1500 category=food desc=team lunch`.
+ * A value runs until the next `key=`, so descriptions can have spaces.
+ * @param {string[]} args
+ * @returns {{ fields: object, error?: string }}
+ */
+export function parseEditArgs(args) {
+	const fields = {};
+	let current = null;
+	for (const token of args) {
+		const match = token.match(/^([a-z]+)=(.*)$/i);
+		if (match && FIELD_ALIASES[match[1].toLowerCase()]) {
+			current = FIELD_ALIASES[match[1].toLowerCase()];
+			fields[current] = match[2];
+		} else if (current) {
+			fields[current] = `${fields[current]} ${token}`.trim();
+		} else {
+			return { fields: {}, error: `Unexpected "${token}"; use field=value` };
+		}
+	}
+	if (Object.keys(fields).length === 0) return { fields, error: "Nothing to change" };
+	return { fields };
+}
+
+/**
+ * Checks changes to a transaction and returns the record columns to update.
+ * @param {{ amount?: string|number, currency?: string, category?: string, description?: string, type?: string, date?: string }} body
+ * @returns {{ patch: object, error?: string }}
+ */
+export function transactionPatch({ amount, currency, category, description, type, date }) {
+	const patch = {};
+	if (amount !== undefined) {
+		const value = parseFloat(amount);
+		if (isNaN(value) || value <= 0) return { patch: {}, error: "amount must be a positive number" };
+		patch.Amount = value;
+	}
+	if (currency !== undefined) {
+		const code = normalizeCurrency(currency);
+		if (!code) return { patch: {}, error: "currency must be an ISO 4217 code, e.g. USD" };
+		patch.Currency = code;
+	}
+	if (category !== undefined) {
+		if (!String(category).trim()) return { patch: {}, error: "category can't be empty" };
+		patch.Category = String(category).trim();
+	}
+	if (description !== undefined) {
+		if (!String(description).trim()) return { patch: {}, error: "description can't be empty" };
+		patch.Description = String(description).trim();
+	}
+	if (type !== undefined) {
+		const match = TRANSACTION_TYPES.find(t => t.toLowerCase() === String(type).trim().toLowerCase());
+		if (!match) return { patch: {}, error: `type must be one of: ${TRANSACTION_TYPES.join(", ")}` };
+		patch.Type = match;
+	}
+	if (date !== undefined) {
+		const parsed = dayjs(date);
+		if (!date || !parsed.isValid()) return { patch: {}, error: "date must be a valid date" };
+		patch.Date = parsed.toISOString();
+	}
+	if (Object.keys(patch).length === 0) return { patch, error: "Nothing to update. Provide amount, currency, category, description, type or date" };
+	return { patch };
+}
+
+/**
+ * API shape of a transaction.
+ * @param {object} row Finances record.
+ */
+export function toTransactionResponse(row) {
+	return {
+		id: row.ID,
+		shortId: displayId(row),
+		date: row.Date,
+		type: row.Type,
+		amount: parseFloat(row.Amount),
+		currency: row.Currency || getBaseCurrency(),
+		category: row.Category,
+		description: row.Description,
+	};
+}
+
+/**
+ * One line per transaction for WhatsApp, e.g. "`k3m9qa` 05-14 💸 1500.00 food – lunch";
+ * amounts not in the base currency carry their code.
+ * @param {object} row Finances record.
+ * @param {string} zone Timezone dates are shown in.
+ * @returns {string}
+ */
+export function formatTransaction(row, zone) {
+	const icon = row.Type === "Income" ? "💰" : "💸";
+	const amount = parseFloat(row.Amount);
+	const date = dayjs(row.Date).tz(zone).format("MM-DD");
+	const currency = row.Currency && row.Currency !== getBaseCurrency() ? ` ${row.Currency}` : "";
+	return `\`${displayId(row)}\` ${date} ${icon} ${isNaN(amount) ? row.Amount : amount.toFixed(2)}${currency} ${row.Category || "uncategorized"} – ${row.Description || ""}`.trim();
+}
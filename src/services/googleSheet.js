@@ -1,6 +1,8 @@
 import { GoogleSpreadsheet } from 'google-spreadsheet';
 import { JWT } from 'google-auth-library';
 
+import logger from './logger.js';
+
 // Environment variables
 const { 
   GOOGLE_SHEET_ID,
@@ -11,7 +13,7 @@ const {
 // Authenticate with Google
 const serviceAccountAuth = new JWT({
   email: GOOGLE_SERVICE_ACCOUNT_EMAIL,
-  key: GOOGLE_PRIVATE_KEY.replace(/\\n/g, '\n'), // Ensure newlines are correctly formatted
+  key: (GOOGLE_PRIVATE_KEY || '').replace(/\\n/g, '\n'), // Ensure newlines are correctly formatted
   scopes: ['https://www.googleapis.com/auth/spreadsheets'],
   gaxiosOptions: {
     timeout: 120000, // 120 seconds
@@ -21,6 +23,20 @@ const serviceAccountAuth = new JWT({
 // Initialize the Google Spreadsheet document
 const doc = new GoogleSpreadsheet(GOOGLE_SHEET_ID, serviceAccountAuth);
 
+// Header rows used when a worksheet has to be created.
+const requiredSheets = {
+  'Contacts': ['ID', 'Name', 'Phone', 'Source', 'CreatedAt'],
+  'Templates': ['ID', 'Name', 'Body', 'CreatedAt', 'UpdatedAt'],
+  'Groups': ['ID', 'Name', 'Description', 'CreatedAt', 'UpdatedAt'],
+  'Events': ['ID', 'Type', 'Title', 'Name', 'Phone', 'Date', 'Recurrence', 'Gender', 'Relationship', 'CustomMessage', 'SendTime', 'RemindDaysBefore', 'Card', 'CardMediaIds', 'LastWishFor', 'LastReminderFor', 'CreatedAt', 'UpdatedAt'],
+  'Schedule': ['ID', 'BatchID', 'Recipient', 'Caption', 'MediaUrl', 'MediaType', 'SendAt', 'Status', 'Error', 'SentAt'],
+  'Finances': ['ID', 'Date', 'Type', 'Amount', 'Currency', 'Category', 'Description', 'RecurringID'],
+  'Budgets': ['ID', 'Category', 'MonthlyLimit', 'AlertedMonth', 'AlertedLevel', 'CreatedAt', 'UpdatedAt'],
+  'RecurringFinances': ['ID', 'Type', 'Amount', 'Currency', 'Category', 'Description', 'Frequency', 'Day', 'LastPostedFor', 'CreatedAt', 'UpdatedAt'],
+  'ExchangeRates': ['ID', 'Currency', 'Base', 'Rate', 'UpdatedAt'],
+  'Settings': ['ID', 'Value', 'UpdatedAt'],
+};
+
 /**
  * Loads the spreadsheet document.
  * This function must be called before any other sheet operations.
@@ -30,28 +46,35 @@ async function loadDocument() {
 }
 
 /**
- * Gets a worksheet by its title.
+ * Gets a worksheet by its title, creating it if it does not exist yet.
  * @param {string} title The title of the worksheet.
  * @returns {Promise<GoogleSpreadsheetWorksheet>} The worksheet object.
  */
 async function getSheet(title) {
   await doc.loadInfo(); // Ensure the document info is loaded
+  if (!doc.sheetsByTitle[title]) {
+    logger.info(`Creating sheet: ${title}`);
+    return doc.addSheet({ title, headerValues: requiredSheets[title] || ['ID'] });
+  }
   return doc.sheetsByTitle[title];
 }
 
+/**
+ * Whether a worksheet exists, without creating it.
+ * @param {string} title The title of the worksheet.
+ * @returns {Promise<boolean>}
+ */
+async function hasSheet(title) {
+  await doc.loadInfo();
+  return Boolean(doc.sheetsByTitle[title]);
+}
+
 /**
  * Ensures that the required sheets exist in the document.
  * Creates them with headers if they don't.
  */
 async function ensureSheetsExist() {
   await loadDocument();
-  const requiredSheets = {
-    'Contacts': ['Name', 'Phone', 'Source'],
-    'Birthdays': ['ID', 'Name', 'Phone', 'Birthday', 'Gender', 'Relationship', 'CustomMessage', 'CreatedAt'],
-    'Schedule': ['ID', 'BatchID', 'Recipient', 'Caption', 'MediaUrl', 'MediaType', 'SendAt', 'Status', 'Error', 'SentAt'],
-    'Finances': ['ID', 'Date', 'Type', 'Amount', 'Description'],
-  };
-
   for (const title in requiredSheets) {
     if (!doc.sheetsByTitle[title]) {
       console.log(`Creating sheet: ${title}`);
@@ -61,10 +84,18 @@ async function ensureSheetsExist() {
   }
 }
 
+/**
+ * Whether the Google Sheets credentials are present in the environment.
+ * @returns {boolean}
+ */
+function isSheetsConfigured() {
+  return Boolean(GOOGLE_SHEET_ID && GOOGLE_SERVICE_ACCOUNT_EMAIL && GOOGLE_PRIVATE_KEY);
+}
+
 // Load the document and ensure sheets exist on startup
 (async () => {
   try {
-    if(GOOGLE_SHEET_ID && GOOGLE_SERVICE_ACCOUNT_EMAIL && GOOGLE_PRIVATE_KEY) {
+    if (isSheetsConfigured()) {
       await ensureSheetsExist();
       console.log('Successfully connected to Google Sheets and verified sheets.');
     } else {
@@ -75,4 +106,4 @@ async function ensureSheetsExist() {
   }
 })();
 
-export { doc, getSheet };
+export { doc, getSheet, hasSheet, ensureSheetsExist, isSheetsConfigured, requiredSheets };
@@ -0,0 +1,168 @@
+import { nanoid } from "nanoid";
+
+import { getCollection } from './storage.js';
+import { tryNormalizePhone } from './phone.js';
+
+/**
+ * Contact groups. Membership lives on the contact as tags in its `Tags`
+ * column ("family, team-ops"), so it stays readable in the sheet; the Groups
+ * collection gives each tag a stable ID and a description. Recipients can
+ * name a group as `tag:family`, `group:<id>` or the bare group ID.
+ */
+
+/**
+ * Canonical form of a tag: lowercase, spaces turned into dashes.
+ * "Team Ops" becomes "team-ops".
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeTag(name) {
+	return String(name ?? "").trim().toLowerCase().replace(/\s+/g, "-").replace(/[^\p{L}\p{N}_-]/gu, "");
+}
+
+/**
+ * Reads a Tags cell (or an array of names) into unique canonical tags.
+ * @param {string|string[]|null} value
+ * @returns {string[]}
+ */
+export function parseTags(value) {
+	const names = Array.isArray(value) ? value : String(value ?? "").split(",");
+	return [...new Set(names.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * @param {string[]} tags
+ * @returns {string|null} The Tags cell value.
+ */
+export function formatTags(tags) {
+	return tags.length > 0 ? tags.join(", ") : null;
+}
+
+/**
+ * @param {object} contact Contacts record.
+ * @param {string} tag Canonical tag.
+ */
+export function hasTag(contact, tag) {
+	return parseTags(contact.Tags).includes(tag);
+}
+
+/**
+ * Works out whether a recipient token names a group.
+ * @param {string} token
+ * @param {object[]} groups Groups records.
+ * @returns {{ tag: string|null, group: object|null }|null} null for anything else (a phone number);
+ *   `tag` is null when the token names a group that doesn't exist.
+ */
+export function resolveGroupToken(token, groups) {
+	const text = String(token).trim();
+	const prefix = text.match(/^(tag|group):(.*)$/i);
+	if (prefix && prefix[1].toLowerCase() === "tag") {
+		const tag = normalizeTag(prefix[2]);
+		return { tag: tag || null, group: groups.find(g => g.Name === tag) || null };
+	}
+	const id = prefix ? prefix[2].trim() : text;
+	const group = groups.find(g => g.ID === id);
+	if (group) return { tag: group.Name, group };
+	return prefix ? { tag: null, group: null } : null;
+}
+
+/**
+ * Expands group tokens in a recipient list into the members' numbers.
+ * Members without a valid number are left out and counted.
+ * @param {string[]} tokens Phone numbers, `tag:<name>`, `group:<id>` or group IDs.
+ * @param {{ contacts: object[], groups: object[] }} data
+ * @returns {{ numbers: string[], members: string[], expanded: { token: string, tag: string, count: number, skipped: number }[], unknown: string[] }}
+ *   `numbers` are the tokens that weren't groups, `members` the normalised numbers of group members.
+ */
+export function expandRecipients(tokens, { contacts, groups }) {
+	const numbers = [];
+	const members = [];
+	const expanded = [];
+	const unknown = [];
+	for (const token of tokens) {
+		const resolved = resolveGroupToken(token, groups);
+		if (!resolved) {
+			numbers.push(token);
+			continue;
+		}
+		const tagged = resolved.tag ? contacts.filter(c => hasTag(c, resolved.tag)) : [];
+		if (tagged.length === 0) {
+			unknown.push(token);
+			continue;
+		}
+		const phones = tagged.map(c => tryNormalizePhone(c.Phone)).filter(Boolean);
+		members.push(...phones);
+		expanded.push({ token, tag: resolved.tag, count: phones.length, skipped: tagged.length - phones.length });
+	}
+	return { numbers, members: [...new Set(members)], expanded, unknown };
+}
+
+/**
+ * Adds or removes a tag on the given contacts.
+ * @param {string[]} contactIds
+ * @param {string} tag Canonical tag.
+ * @param {boolean} present Whether the contacts should have the tag.
+ * @returns {Promise<number>} Contacts changed.
+ */
+export async function setContactsTag(contactIds, tag, present) {
+	const contactsStore = getCollection('Contacts');
+	const idSet = new Set(contactIds);
+	let changed = 0;
+	for (const contact of await contactsStore.list()) {
+		if (!idSet.has(contact.ID) || hasTag(contact, tag) === present) continue;
+		const tags = parseTags(contact.Tags).filter(t => t !== tag);
+		if (present) tags.push(tag);
+		await contactsStore.update(contact.ID, { Tags: formatTags(tags) });
+		changed++;
+	}
+	return changed;
+}
+
+/**
+ * Renames a tag on every contact that has it, or removes it when `to` is null.
+ * @param {string} from
+ * @param {string|null} to
+ */
+export async function renameTag(from, to) {
+	const contactsStore = getCollection('Contacts');
+	for (const contact of await contactsStore.list()) {
+		if (!hasTag(contact, from)) continue;
+		const tags = parseTags(contact.Tags).map(t => (t === from ? to : t)).filter(Boolean);
+		await contactsStore.update(contact.ID, { Tags: formatTags([...new Set(tags)]) });
+	}
+}
+
+/**
+ * Creates Groups records for tags that don't have one yet, so tags set on a
+ * contact show up in the group list.
+ * @param {string[]} tags Canonical tags.
+ */
+export async function ensureGroups(tags) {
+	const groupsStore = getCollection('Groups');
+	const known = new Set((await groupsStore.list()).map(g => g.Name));
+	const now = new Date().toISOString();
+	const missing = tags.filter(tag => !known.has(tag));
+	if (missing.length > 0) {
+		await groupsStore.insert(missing.map(tag => ({ ID: nanoid(), Name: tag, Description: null, CreatedAt: now, UpdatedAt: now })));
+	}
+}
+
+/**
+ * API shape of a group.
+ * @param {object} record Groups record.
+ * @param {object[]} contacts Contacts records, to list the members.
+ */
+export function toGroupResponse(record, contacts = []) {
+	const members = contacts.filter(c => hasTag(c, record.Name));
+	return {
+		id: record.ID,
+		name: record.Name,
+		description: record.Description,
+		quietHours: record.QuietHours || null,
+		recipient: `tag:${record.Name}`,
+		memberCount: members.length,
+		contactIds: members.map(c => c.ID),
+		createdAt: record.CreatedAt,
+		updatedAt: record.UpdatedAt,
+	};
+}
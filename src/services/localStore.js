@@ -0,0 +1,98 @@
+import { fileURLToPath } from "url";
+import path from "path";
+import fsp from "fs/promises";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'data', 'store');
+
+/**
+ * Creates a storage driver that keeps each collection in a JSON file.
+ * Collections are cached in memory and writes are serialised per collection,
+ * so concurrent callers never interleave partial files.
+ * @param {string} dir Directory holding the `<collection>.json` files.
+ */
+export function createLocalStore(dir) {
+	const cache = new Map();
+	const writes = new Map();
+
+	const fileFor = (collection) => path.join(dir, `${collection}.json`);
+
+	function load(collection) {
+		if (!cache.has(collection)) {
+			cache.set(collection, fsp.readFile(fileFor(collection), 'utf-8')
+				.then(raw => JSON.parse(raw))
+				.catch(e => {
+					if (e.code === 'ENOENT') return [];
+					throw e;
+				}));
+		}
+		return cache.get(collection);
+	}
+
+	function persist(collection, records) {
+		const previous = writes.get(collection) || Promise.resolve();
+		const next = previous.catch(() => {}).then(async () => {
+			await fsp.mkdir(dir, { recursive: true });
+			const file = fileFor(collection);
+			const tmp = `${file}.tmp`;
+			await fsp.writeFile(tmp, JSON.stringify(records, null, 2), 'utf-8');
+			await fsp.rename(tmp, file);
+		});
+		writes.set(collection, next);
+		return next;
+	}
+
+	const clone = (record) => ({ ...record });
+
+	return {
+		async exists(collection) {
+			try {
+				await fsp.access(fileFor(collection));
+				return true;
+			} catch {
+				return false;
+			}
+		},
+
+		async list(collection) {
+			const records = await load(collection);
+			return records.map(clone);
+		},
+
+		async insert(collection, newRecords) {
+			const records = await load(collection);
+			const inserted = newRecords.map(clone);
+			records.push(...inserted);
+			await persist(collection, records);
+			return inserted.map(clone);
+		},
+
+		async update(collection, id, patch) {
+			const records = await load(collection);
+			const record = records.find(r => r.ID === id);
+			if (!record) return null;
+			Object.assign(record, patch);
+			await persist(collection, records);
+			return clone(record);
+		},
+
+		async delete(collection, ids) {
+			const records = await load(collection);
+			const idSet = new Set(ids);
+			let deleted = 0;
+			for (let i = records.length - 1; i >= 0; i--) {
+				if (idSet.has(records[i].ID)) {
+					records.splice(i, 1);
+					deleted++;
+				}
+			}
+			if (deleted > 0) {
+				await persist(collection, records);
+			}
+			return deleted;
+		},
+	};
+}
+
+export default createLocalStore(process.env.LOCAL_STORE_DIR ? path.resolve(process.env.LOCAL_STORE_DIR) : DEFAULT_DIR);
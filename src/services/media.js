@@ -0,0 +1,126 @@
+import { fileURLToPath } from "url";
+import path from "path";
+import fsp from "fs/promises";
+import { nanoid } from "nanoid";
+
+import logger from './logger.js';
+import { getCollection } from './storage.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PUBLIC_DIR = path.join(__dirname, '..', '..', 'public');
+
+/**
+ * Uploaded media lives in a `Media` collection so one file can be shared by
+ * every row of a batch and reused by later schedules. A file is only removed
+ * once no unsent Schedule row references it and it isn't kept in the library.
+ */
+
+const isRemote = (url) => /^https?:\/\//i.test(url || "");
+
+/**
+ * Absolute path of a local `/uploads/...` media URL.
+ * @param {string} url
+ * @returns {string}
+ */
+export function mediaPath(url) {
+	const rel = url.replace(/^\//, "").split("/").join(path.sep);
+	return path.join(PUBLIC_DIR, rel);
+}
+
+/**
+ * Public shape of a Media record.
+ */
+export function toMediaResponse(record) {
+	return {
+		id: record.ID,
+		url: record.Url,
+		mediaType: record.MediaType,
+		originalName: record.OriginalName,
+		size: Number(record.Size) || 0,
+		keep: String(record.Keep) === "true",
+		createdAt: record.CreatedAt,
+	};
+}
+
+/**
+ * Records a multer upload in the media library.
+ * @param {object} file The multer file object.
+ * @param {{ keep?: boolean }} [options] Keep the file after every send has used it.
+ * @returns {Promise<object>} The Media record.
+ */
+export async function registerUpload(file, { keep = false } = {}) {
+	const record = {
+		ID: nanoid(),
+		Url: `/uploads/${file.filename}`,
+		MediaType: file.mimetype,
+		OriginalName: file.originalname,
+		Size: file.size,
+		Keep: String(Boolean(keep)),
+		CreatedAt: new Date().toISOString(),
+	};
+	await getCollection('Media').insert(record);
+	return record;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+export async function findMedia(id) {
+	return getCollection('Media').find(id);
+}
+
+/**
+ * Schedule rows that still need their media: everything not yet sent or cancelled.
+ * @param {object[]} scheduleRows
+ * @returns {Set<string>} Referenced media URLs.
+ */
+export function referencedMediaUrls(scheduleRows) {
+	return new Set(
+		scheduleRows
+			.filter(row => row.Status !== "sent" && row.Status !== "cancelled")
+			.map(row => row.MediaUrl)
+			.filter(url => url && !isRemote(url))
+	);
+}
+
+/**
+ * URLs of media that must survive cleanup: referenced by an unsent row or
+ * kept in the library.
+ * @returns {Promise<Set<string>>}
+ */
+export async function protectedMediaUrls() {
+	const [scheduleRows, media] = await Promise.all([
+		getCollection('Schedule').list(),
+		getCollection('Media').list(),
+	]);
+	const urls = referencedMediaUrls(scheduleRows);
+	for (const record of media) {
+		if (String(record.Keep) === "true") urls.add(record.Url);
+	}
+	return urls;
+}
+
+/**
+ * Deletes a local media file once nothing references it any more.
+ * @param {string} url The MediaUrl of a row that no longer needs it.
+ * @returns {Promise<boolean>} Whether the file was deleted.
+ */
+export async function releaseMedia(url) {
+	if (!url || isRemote(url)) return false;
+	const protectedUrls = await protectedMediaUrls();
+	if (protectedUrls.has(url)) return false;
+
+	try {
+		await fsp.unlink(mediaPath(url));
+		logger.info(`Deleted media file no longer referenced: ${url}`);
+	} catch (e) {
+		if (e.code !== "ENOENT") {
+			logger.warn({ err: e }, `Failed to delete media file: ${url}`);
+			return false;
+		}
+	}
+	await getCollection('Media').delete({ Url: url });
+	return true;
+}
@@ -0,0 +1,137 @@
+import { parsePhoneNumberFromString, validatePhoneNumberLength, isSupportedCountry } from "libphonenumber-js";
+
+/**
+ * Phone numbers are stored and compared in E.164 form ("+94771234567").
+ * Numbers written without a country code ("0771234567") are read in the
+ * default country, set with DEFAULT_COUNTRY (ISO 3166 code, e.g. "LK").
+ */
+
+const FALLBACK_COUNTRY = "LK";
+
+const LENGTH_ERRORS = {
+	TOO_SHORT: "too short",
+	TOO_LONG: "too long",
+	INVALID_LENGTH: "wrong number of digits",
+	INVALID_COUNTRY: "unknown country code",
+	NOT_A_NUMBER: "not a phone number",
+};
+
+/**
+ * Error for a number that can't be normalised.
+ */
+export class InvalidPhoneError extends Error {
+	constructor(input, reason) {
+		super(`Invalid phone number "${input}": ${reason}`);
+		this.name = "InvalidPhoneError";
+		this.input = input;
+		this.reason = reason;
+	}
+}
+
+/**
+ * @returns {string} ISO 3166 alpha-2 code used for numbers without a country code.
+ */
+export function getDefaultCountry() {
+	const country = String(process.env.DEFAULT_COUNTRY || "").toUpperCase();
+	return isSupportedCountry(country) ? country : FALLBACK_COUNTRY;
+}
+
+/**
+ * @param {string} country
+ * @returns {boolean}
+ */
+export function isValidCountry(country) {
+	return isSupportedCountry(String(country || "").toUpperCase());
+}
+
+/**
+ * Converts a number to E.164.
+ * @param {string} input As typed: "077 123 4567", "+94771234567", "94771234567", "0094...".
+ * @param {string} [country] Default country for national numbers.
+ * @returns {string} e.g. "+94771234567".
+ * @throws {InvalidPhoneError}
+ */
+export function normalizePhone(input, country = getDefaultCountry()) {
+	const text = String(input ?? "").trim();
+	if (!/\d/.test(text)) {
+		throw new InvalidPhoneError(text, "not a phone number");
+	}
+
+	const parsed = parsePhoneNumberFromString(text, country);
+	if (parsed?.isValid()) return parsed.number;
+
+	// International numbers are often written without the "+" ("447911123456").
+	const digits = text.replace(/\D/g, "");
+	if (!text.startsWith("+") && !digits.startsWith("0")) {
+		const international = parsePhoneNumberFromString(`+${digits}`);
+		if (international?.isValid()) return international.number;
+	}
+
+	const lengthError = validatePhoneNumberLength(text, country);
+	const region = parsed?.country || (text.startsWith("+") ? null : country);
+	throw new InvalidPhoneError(text, LENGTH_ERRORS[lengthError] || (region ? `not a valid ${region} number` : "not a valid number"));
+}
+
+/**
+ * Like `normalizePhone` but returns null instead of throwing.
+ * @param {string} input
+ * @param {string} [country]
+ * @returns {string|null}
+ */
+export function tryNormalizePhone(input, country) {
+	try {
+		return normalizePhone(input, country);
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Normalises a list of numbers, collecting the invalid ones.
+ * @param {string[]} inputs
+ * @returns {{ valid: string[], invalid: { input: string, error: string }[] }} `valid` is de-duplicated, in input order.
+ */
+export function normalizePhoneList(inputs) {
+	const valid = [];
+	const invalid = [];
+	for (const input of inputs) {
+		try {
+			const phone = normalizePhone(input);
+			if (!valid.includes(phone)) valid.push(phone);
+		} catch (e) {
+			invalid.push({ input, error: e.message });
+		}
+	}
+	return { valid, invalid };
+}
+
+/**
+ * Whether two numbers are the same once normalised. Numbers that can't be
+ * normalised are compared by their digits.
+ */
+export function isSamePhone(a, b) {
+	const normalizedA = tryNormalizePhone(a);
+	const normalizedB = tryNormalizePhone(b);
+	if (normalizedA && normalizedB) return normalizedA === normalizedB;
+	const digitsA = String(a ?? "").replace(/\D/g, "");
+	return digitsA !== "" && digitsA === String(b ?? "").replace(/\D/g, "");
+}
+
+/**
+ * Key for de-duplication: the E.164 form, or the bare digits for numbers
+ * that can't be normalised (legacy rows).
+ * @param {string} input
+ * @returns {string}
+ */
+export function phoneKey(input) {
+	return tryNormalizePhone(input) || String(input ?? "").replace(/\D/g, "");
+}
+
+/**
+ * WhatsApp user JID for an E.164 number.
+ * @param {string} e164
+ * @returns {string}
+ */
+export function phoneToJid(e164) {
+	return `${String(e164).replace(/\D/g, "")}@s.whatsapp.net`;
+}
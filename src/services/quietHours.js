@@ -0,0 +1,170 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+import { contactTimezone } from './timezone.js';
+import { parseTags } from './groups.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Quiet hours: daily windows ("22:00-07:00") in which queued messages are held
+ * instead of delivered. A contact's own `QuietHours` wins over those of its
+ * groups, which win over the global `QUIET_HOURS`; "off" turns them off for
+ * that contact or group. Windows are read in the recipient's timezone, and
+ * rows flagged `Urgent` ignore them.
+ */
+
+const TIME_PATTERN = /^(\d{1,2})(?::(\d{2}))?$/;
+const HOLD_REASON_PREFIX = "Quiet hours";
+
+function parseTime(text) {
+	const match = text.trim().match(TIME_PATTERN);
+	const hours = match ? Number(match[1]) : NaN;
+	const minutes = match ? Number(match[2] || 0) : NaN;
+	if (!(hours <= 24 && minutes < 60) || hours * 60 + minutes > 24 * 60) {
+		throw new Error(`Invalid time "${text.trim()}" in quiet hours; use HH:MM`);
+	}
+	return hours * 60 + minutes;
+}
+
+const formatTime = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+/**
+ * Reads quiet hours such as "22:00-07:00" or "22:00-07:00, 13:00-14:00".
+ * @param {string|null} value
+ * @returns {{ start: number, end: number }[]|null} Windows in minutes after
+ *   midnight; `[]` for "off", null when empty (inherit).
+ * @throws {Error} When the value can't be read.
+ */
+export function parseQuietHours(value) {
+	const text = String(value ?? "").trim().toLowerCase();
+	if (!text) return null;
+	if (text === "off" || text === "none") return [];
+	return text.split(",").map(part => {
+		const [from, to, extra] = part.split("-");
+		if (to === undefined || extra !== undefined) {
+			throw new Error(`Invalid quiet hours "${part.trim()}"; use a range like 22:00-07:00`);
+		}
+		const window = { start: parseTime(from), end: parseTime(to) };
+		if (window.start === window.end) throw new Error(`Quiet hours "${part.trim()}" start and end at the same time`);
+		return window;
+	});
+}
+
+/**
+ * @param {{ start: number, end: number }[]|null} windows
+ * @returns {string|null} The stored form, e.g. "22:00-07:00" or "off".
+ */
+export function formatQuietHours(windows) {
+	if (!windows) return null;
+	if (windows.length === 0) return "off";
+	return windows.map(w => `${formatTime(w.start)}-${formatTime(w.end)}`).join(", ");
+}
+
+/**
+ * Checks user input and returns the value to store.
+ * @param {string|null} value
+ * @returns {string|null}
+ * @throws {Error} When the value can't be read.
+ */
+export function normalizeQuietHours(value) {
+	return formatQuietHours(parseQuietHours(value));
+}
+
+/**
+ * The global quiet hours (QUIET_HOURS); none when unset or invalid.
+ * @returns {{ start: number, end: number }[]}
+ */
+export function getQuietHours() {
+	try {
+		return parseQuietHours(process.env.QUIET_HOURS) || [];
+	} catch (e) {
+		return [];
+	}
+}
+
+function tryParse(value) {
+	try {
+		return parseQuietHours(value);
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Works out which quiet hours apply to a contact.
+ * @param {object|null} contact Contacts record, or null for unknown numbers.
+ * @param {object[]} groups Groups records.
+ * @returns {{ windows: { start: number, end: number }[], source: string }}
+ *   `source` says where they came from: "contact", "group <name>" or "global".
+ */
+export function resolveQuietHours(contact, groups = []) {
+	const own = tryParse(contact?.QuietHours);
+	if (own) return { windows: own, source: "contact" };
+
+	const tags = contact ? parseTags(contact.Tags) : [];
+	const tagged = groups
+		.filter(g => tags.includes(g.Name))
+		.map(g => ({ name: g.Name, windows: tryParse(g.QuietHours) }))
+		.filter(g => g.windows);
+	if (tagged.length > 0) {
+		return { windows: tagged.flatMap(g => g.windows), source: `group ${tagged.map(g => g.name).join(", ")}` };
+	}
+	return { windows: getQuietHours(), source: "global" };
+}
+
+const inWindow = (minute, { start, end }) => (start < end ? minute >= start && minute < end : minute >= start || minute < end);
+
+/**
+ * When the quiet hours covering a moment end.
+ * @param {{ start: number, end: number }[]} windows
+ * @param {Date|string|dayjs.Dayjs} at
+ * @param {string} zone Timezone the windows are read in.
+ * @returns {dayjs.Dayjs|null} null when `at` is outside every window.
+ */
+export function quietHoursEnd(windows, at, zone) {
+	let local = dayjs(at).tz(zone);
+	let moved = false;
+	// Overlapping or back-to-back windows are followed until one ends outside the rest.
+	for (let i = 0; i <= windows.length; i++) {
+		const minute = local.hour() * 60 + local.minute();
+		const window = windows.find(w => inWindow(minute, w));
+		if (!window) break;
+		let end = dayjs.tz(`${local.format("YYYY-MM-DD")} ${formatTime(window.end % (24 * 60))}`, zone);
+		if (!end.isAfter(local)) end = dayjs.tz(`${local.add(1, "day").format("YYYY-MM-DD")} ${formatTime(window.end % (24 * 60))}`, zone);
+		local = end;
+		moved = true;
+	}
+	return moved ? local : null;
+}
+
+/**
+ * The hold to put on a queued row that is due during the recipient's quiet hours.
+ * @param {object} row Schedule record.
+ * @param {object|null} contact The recipient's Contacts record.
+ * @param {object[]} groups Groups records.
+ * @param {Date|string|dayjs.Dayjs} [now]
+ * @returns {{ holdUntil: string, holdReason: string }|null}
+ */
+export function quietHoursHold(row, contact, groups, now = dayjs()) {
+	if (row.Urgent === "true") return null;
+	const { windows, source } = resolveQuietHours(contact, groups);
+	if (windows.length === 0) return null;
+	const zone = contactTimezone(contact);
+	const end = quietHoursEnd(windows, now, zone);
+	if (!end) return null;
+	return {
+		holdUntil: end.toISOString(),
+		holdReason: `${HOLD_REASON_PREFIX} ${formatQuietHours(windows)} ${zone} (${source})`
+	};
+}
+
+/**
+ * @param {object} row Schedule record.
+ * @returns {boolean} Whether the row is held for quiet hours.
+ */
+export function isQuietHoursHold(row) {
+	return Boolean(row.HoldUntil) && String(row.HoldReason || "").startsWith(HOLD_REASON_PREFIX);
+}
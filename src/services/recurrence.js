@@ -0,0 +1,219 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+import { getTimezone } from './timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+/**
+ * Recurrence rules are stored on Schedule rows as compact strings:
+ *   daily
+ *   weekly:mon,wed,fri
+ *   monthly:15
+ *   cron:0 9 * * 1-5
+ * Daily, weekly and monthly rules reuse the time of day of the row's SendAt;
+ * cron rules carry their own time.
+ */
+
+function parseCronField(field, min, max, names = []) {
+	const values = new Set();
+	for (const part of field.split(",")) {
+		const [range, stepStr] = part.split("/");
+		const step = stepStr === undefined ? 1 : parseInt(stepStr, 10);
+		if (isNaN(step) || step < 1) throw new Error(`Invalid cron step "${part}"`);
+
+		const toNumber = (token) => {
+			const nameIndex = names.indexOf(token.toLowerCase());
+			if (nameIndex !== -1) return nameIndex + min;
+			const n = parseInt(token, 10);
+			if (!/^\d+$/.test(token) || n < min || n > max) throw new Error(`Invalid cron value "${token}"`);
+			return n;
+		};
+
+		let start = min;
+		let end = max;
+		if (range !== "*") {
+			const [from, to] = range.split("-");
+			start = toNumber(from);
+			end = to === undefined ? (stepStr === undefined ? start : max) : toNumber(to);
+		}
+		if (start > end) throw new Error(`Invalid cron range "${part}"`);
+		for (let v = start; v <= end; v += step) values.add(v);
+	}
+	return values;
+}
+
+/**
+ * Parses a five-field cron expression (minute hour day-of-month month day-of-week).
+ * @param {string} expression
+ */
+export function parseCron(expression) {
+	const fields = String(expression || "").trim().split(/\s+/);
+	if (fields.length !== 5) {
+		throw new Error("Cron expression must have 5 fields: minute hour day-of-month month day-of-week");
+	}
+	const [minute, hour, dayOfMonth, month, dayOfWeek] = fields;
+	const dow = parseCronField(dayOfWeek, 0, 7, WEEKDAYS);
+	if (dow.has(7)) {
+		dow.delete(7);
+		dow.add(0);
+	}
+	return {
+		minutes: [...parseCronField(minute, 0, 59)].sort((a, b) => a - b),
+		hours: [...parseCronField(hour, 0, 23)].sort((a, b) => a - b),
+		daysOfMonth: parseCronField(dayOfMonth, 1, 31),
+		months: parseCronField(month, 1, 12, MONTHS),
+		daysOfWeek: dow,
+		domRestricted: dayOfMonth !== "*",
+		dowRestricted: dayOfWeek !== "*",
+	};
+}
+
+/**
+ * Parses and validates a recurrence rule string.
+ * @param {string} input e.g. "weekly:mon,thu"
+ * @returns {{ type: string, days?: number[], day?: number, cron?: string }}
+ */
+export function parseRule(input) {
+	const text = String(input || "").trim();
+	const separator = text.indexOf(":");
+	const type = (separator === -1 ? text : text.slice(0, separator)).toLowerCase();
+	const value = separator === -1 ? "" : text.slice(separator + 1).trim();
+
+	switch (type) {
+		case "daily":
+			return { type };
+		case "weekly": {
+			const days = value ? value.split(",").map(d => WEEKDAYS.indexOf(d.trim().toLowerCase().slice(0, 3))) : [];
+			if (days.some(d => d === -1)) {
+				throw new Error(`Invalid weekday in "${text}". Use ${WEEKDAYS.join(",")}`);
+			}
+			return { type, days: [...new Set(days)].sort((a, b) => a - b) };
+		}
+		case "monthly": {
+			if (!value) return { type };
+			const day = parseInt(value, 10);
+			if (!/^\d+$/.test(value) || day < 1 || day > 31) {
+				throw new Error(`Invalid day of month in "${text}". Use 1-31`);
+			}
+			return { type, day };
+		}
+		case "cron":
+			parseCron(value);
+			return { type, cron: value.replace(/\s+/g, " ") };
+		default:
+			throw new Error(`Unknown recurrence "${text}". Use daily, weekly:<days>, monthly:<day> or cron:<expression>`);
+	}
+}
+
+/**
+ * Serialises a parsed rule back to its string form.
+ * @param {object} rule
+ * @returns {string}
+ */
+export function formatRule(rule) {
+	switch (rule.type) {
+		case "weekly":
+			return rule.days?.length ? `weekly:${rule.days.map(d => WEEKDAYS[d]).join(",")}` : "weekly";
+		case "monthly":
+			return rule.day ? `monthly:${rule.day}` : "monthly";
+		case "cron":
+			return `cron:${rule.cron}`;
+		default:
+			return rule.type;
+	}
+}
+
+/**
+ * Human readable description of a rule, for the dashboard and chat.
+ * @param {string|object} ruleOrText
+ * @returns {string}
+ */
+export function describeRule(ruleOrText) {
+	const rule = typeof ruleOrText === "string" ? parseRule(ruleOrText) : ruleOrText;
+	const label = (d) => WEEKDAYS[d][0].toUpperCase() + WEEKDAYS[d].slice(1);
+	switch (rule.type) {
+		case "daily":
+			return "Every day";
+		case "weekly":
+			return rule.days?.length ? `Every week on ${rule.days.map(label).join(", ")}` : "Every week";
+		case "monthly":
+			return rule.day ? `Every month on day ${rule.day}` : "Every month";
+		case "cron":
+			return `Cron: ${rule.cron}`;
+		default:
+			return rule.type;
+	}
+}
+
+function atTimeOf(date, anchor) {
+	return date.hour(anchor.hour()).minute(anchor.minute()).second(anchor.second()).millisecond(0);
+}
+
+function nextCron(rule, after) {
+	const cron = parseCron(rule.cron);
+	let day = after.startOf("day");
+	// Five years of days is enough to find any satisfiable expression (e.g. Feb 29).
+	for (let i = 0; i < 366 * 5; i++, day = day.add(1, "day")) {
+		if (!cron.months.has(day.month() + 1)) continue;
+		const domMatch = cron.daysOfMonth.has(day.date());
+		const dowMatch = cron.daysOfWeek.has(day.day());
+		const dayMatches = cron.domRestricted && cron.dowRestricted ? (domMatch || dowMatch) : (domMatch && dowMatch);
+		if (!dayMatches) continue;
+		for (const hour of cron.hours) {
+			for (const minute of cron.minutes) {
+				const candidate = day.hour(hour).minute(minute).second(0).millisecond(0);
+				if (candidate.isAfter(after)) return candidate;
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Computes the first occurrence of a rule strictly after `after`.
+ * @param {string|object} ruleOrText The rule.
+ * @param {string|Date|dayjs.Dayjs} anchor The series' original send time; supplies time of day and defaults.
+ * @param {string|Date|dayjs.Dayjs} [after] Lower bound, defaults to the anchor.
+ * @param {string} [tz] Timezone the rule is evaluated in; defaults to the configured one.
+ * @returns {dayjs.Dayjs|null}
+ */
+export function nextOccurrence(ruleOrText, anchor, after = anchor, tz = getTimezone()) {
+	const rule = typeof ruleOrText === "string" ? parseRule(ruleOrText) : ruleOrText;
+	const anchorTz = dayjs(anchor).tz(tz);
+	const afterTz = dayjs(after).tz(tz);
+
+	switch (rule.type) {
+		case "daily": {
+			let candidate = atTimeOf(afterTz, anchorTz);
+			if (!candidate.isAfter(afterTz)) candidate = candidate.add(1, "day");
+			return candidate;
+		}
+		case "weekly": {
+			const days = rule.days?.length ? rule.days : [anchorTz.day()];
+			for (let i = 0; i <= 7; i++) {
+				const candidate = atTimeOf(afterTz.add(i, "day"), anchorTz);
+				if (days.includes(candidate.day()) && candidate.isAfter(afterTz)) return candidate;
+			}
+			return null;
+		}
+		case "monthly": {
+			const dayOfMonth = rule.day || anchorTz.date();
+			for (let i = 0; i <= 12; i++) {
+				const month = afterTz.startOf("month").add(i, "month");
+				const candidate = atTimeOf(month.date(Math.min(dayOfMonth, month.daysInMonth())), anchorTz);
+				if (candidate.isAfter(afterTz)) return candidate;
+			}
+			return null;
+		}
+		case "cron":
+			return nextCron(rule, afterTz);
+		default:
+			return null;
+	}
+}
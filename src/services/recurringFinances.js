@@ -0,0 +1,272 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+import { getCollection } from './storage.js';
+import { getTimezone } from './timezone.js';
+import { ordinal } from './events.js';
+import { newTransactionId, displayId } from './finances.js';
+import { getBaseCurrency, normalizeCurrency, parseCurrencyArg } from './currency.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Income and expenses that repeat, such as rent, salary or subscriptions.
+ * A definition in `RecurringFinances` is posted to Finances once on each day
+ * it falls on, in the configured timezone; `LastPostedFor` is the last day
+ * posted, so days missed while the bot was offline are caught up and none
+ * is posted twice. Monthly days past the end of a month fall on its last day.
+ */
+
+export const FREQUENCIES = ["daily", "weekly", "monthly", "yearly"];
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const WEEKDAY_NAMES = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const TYPE_ALIASES = { income: "Income", got: "Income", expense: "Expense", spent: "Expense" };
+// Catch-up stops after this many days, so a long outage can't flood Finances.
+const MAX_CATCH_UP_DAYS = 366;
+
+/**
+ * Reads the day a definition falls on.
+ * @param {string} frequency
+ * @param {string|number} [value] A weekday for weekly ("mon"), a day of the
+ *   month for monthly (1-31), "MM-DD" for yearly; unused for daily.
+ * @param {dayjs.Dayjs} [today] Supplies the day when none is given.
+ * @returns {string|null|undefined} The stored form, null for daily, undefined when invalid.
+ */
+export function parseRecurringDay(frequency, value, today = dayjs()) {
+	const text = String(value ?? "").trim().toLowerCase();
+	if (frequency === "daily") return text ? undefined : null;
+	if (frequency === "weekly") {
+		if (!text) return WEEKDAYS[today.day()];
+		const index = WEEKDAYS.findIndex((day, i) => text === day || text === WEEKDAY_NAMES[i]);
+		return index === -1 ? undefined : WEEKDAYS[index];
+	}
+	if (frequency === "monthly") {
+		if (!text) return String(today.date());
+		const day = Number(text.replace(/(st|nd|rd|th)$/, ""));
+		return Number.isInteger(day) && day >= 1 && day <= 31 ? String(day) : undefined;
+	}
+	if (frequency === "yearly") {
+		if (!text) return today.format("MM-DD");
+		const match = text.match(/^(\d{1,2})-(\d{1,2})$/);
+		if (!match) return undefined;
+		const date = dayjs(`2024-${match[1].padStart(2, "0")}-${match[2].padStart(2, "0")}`);
+		return date.isValid() && date.format("M-D") === `${Number(match[1])}-${Number(match[2])}` ? date.format("MM-DD") : undefined;
+	}
+	return undefined;
+}
+
+/**
+ * Checks a definition from the API or chat and returns its record columns.
+ * @param {{ type?: string, amount?: string|number, currency?: string, category?: string, description?: string, frequency?: string, day?: string|number }} body
+ * @param {{ now?: dayjs.Dayjs|Date|string, zone?: string }} [options]
+ * @returns {{ fields: object, error?: string }}
+ */
+export function recurringFromBody({ type, amount, currency, category, description, frequency, day }, { now = dayjs(), zone = getTimezone() } = {}) {
+	const recordType = TYPE_ALIASES[String(type ?? "").trim().toLowerCase()];
+	if (!recordType) return { fields: {}, error: "type must be income or expense" };
+	const value = parseFloat(amount);
+	if (isNaN(value) || value <= 0) return { fields: {}, error: "amount must be a positive number" };
+	const code = currency ? normalizeCurrency(currency) : getBaseCurrency();
+	if (!code) return { fields: {}, error: "currency must be an ISO 4217 code, e.g. USD" };
+	const name = String(category ?? "").trim().toLowerCase();
+	if (!name) return { fields: {}, error: "category is required" };
+	const schedule = String(frequency ?? "").trim().toLowerCase();
+	if (!FREQUENCIES.includes(schedule)) return { fields: {}, error: `frequency must be one of: ${FREQUENCIES.join(", ")}` };
+	const recurringDay = parseRecurringDay(schedule, day, dayjs(now).tz(zone));
+	if (recurringDay === undefined) {
+		const hint = { daily: "daily entries take no day", weekly: "use a weekday such as mon", monthly: "use a day of the month from 1 to 31", yearly: "use MM-DD" }[schedule];
+		return { fields: {}, error: `Invalid day "${day}": ${hint}` };
+	}
+	return {
+		fields: {
+			Type: recordType,
+			Amount: Math.round(value * 100) / 100,
+			Currency: code,
+			Category: name,
+			Description: String(description ?? "").trim() || `${name} (recurring)`,
+			Frequency: schedule,
+			Day: recurringDay,
+		},
+	};
+}
+
+/**
+ * Reads `.recurring add` arguments: `<got|spent> <amount> [currency] <category> <frequency> [day] [description]`.
+ * @param {string[]} args Arguments after "add", in their original case.
+ * @param {Set<string>} currencies Currencies a code is taken from, as for `.spent`.
+ * @returns {object} A body for recurringFromBody.
+ */
+export function parseRecurringArgs(args, currencies) {
+	const [type, amount, ...others] = args;
+	const { currency, rest: [category, frequency, ...rest] } = parseCurrencyArg(others, currencies);
+	const schedule = String(frequency ?? "").toLowerCase();
+	// A day is only taken when it reads as one, so descriptions can follow the frequency directly.
+	const takesDay = schedule !== "daily" && rest.length > 0 && parseRecurringDay(schedule, rest[0]) !== undefined;
+	return {
+		type,
+		amount,
+		currency: currency || undefined,
+		category,
+		frequency,
+		day: takesDay ? rest[0] : undefined,
+		description: (takesDay ? rest.slice(1) : rest).join(" "),
+	};
+}
+
+/**
+ * @param {object} record RecurringFinances record.
+ * @param {string} day "YYYY-MM-DD"
+ * @returns {boolean} Whether the definition falls on the day.
+ */
+export function occursOnDay(record, day) {
+	const date = dayjs(day);
+	switch (record.Frequency) {
+		case "daily":
+			return true;
+		case "weekly":
+			return WEEKDAYS[date.day()] === record.Day;
+		case "monthly":
+			return date.date() === Math.min(Number(record.Day), date.daysInMonth());
+		case "yearly": {
+			const [month, dayOfMonth] = String(record.Day).split("-").map(Number);
+			// Feb 29 falls on Feb 28 in other years.
+			return date.month() + 1 === month && date.date() === Math.min(dayOfMonth, date.daysInMonth());
+		}
+		default:
+			return false;
+	}
+}
+
+/**
+ * Days a definition should have been posted for but hasn't, oldest first:
+ * from the day after `LastPostedFor` (or the day it was created) up to today.
+ * @param {object} record RecurringFinances record.
+ * @param {{ now?: dayjs.Dayjs|Date|string, zone?: string }} [options]
+ * @returns {string[]} "YYYY-MM-DD" days.
+ */
+export function dueDays(record, { now = dayjs(), zone = getTimezone() } = {}) {
+	const today = dayjs(now).tz(zone).format("YYYY-MM-DD");
+	const first = record.LastPostedFor
+		? dayjs(record.LastPostedFor).add(1, "day")
+		: dayjs(dayjs(record.CreatedAt || now).tz(zone).format("YYYY-MM-DD"));
+	const days = [];
+	let day = dayjs(today).subtract(MAX_CATCH_UP_DAYS - 1, "day");
+	if (first.isAfter(day)) day = first;
+	for (; !day.isAfter(today); day = day.add(1, "day")) {
+		const text = day.format("YYYY-MM-DD");
+		if (occursOnDay(record, text)) days.push(text);
+	}
+	return days;
+}
+
+/**
+ * The next day a definition will be posted for.
+ * @param {object} record RecurringFinances record.
+ * @param {{ now?: dayjs.Dayjs|Date|string, zone?: string }} [options]
+ * @returns {string|null} "YYYY-MM-DD"
+ */
+export function nextDay(record, { now = dayjs(), zone = getTimezone() } = {}) {
+	let day = dayjs(dayjs(now).tz(zone).format("YYYY-MM-DD"));
+	if (record.LastPostedFor && !dayjs(record.LastPostedFor).isBefore(day)) day = dayjs(record.LastPostedFor).add(1, "day");
+	for (let i = 0; i < MAX_CATCH_UP_DAYS; i++, day = day.add(1, "day")) {
+		if (occursOnDay(record, day.format("YYYY-MM-DD"))) return day.format("YYYY-MM-DD");
+	}
+	return null;
+}
+
+/**
+ * @param {object} record RecurringFinances record.
+ * @returns {string} e.g. "monthly on the 5th", "weekly on mon".
+ */
+export function describeSchedule(record) {
+	switch (record.Frequency) {
+		case "weekly":
+			return `weekly on ${record.Day}`;
+		case "monthly":
+			return `monthly on the ${ordinal(Number(record.Day))}`;
+		case "yearly":
+			return `yearly on ${record.Day}`;
+		default:
+			return "daily";
+	}
+}
+
+/**
+ * One line per definition for WhatsApp, e.g. "`k3m9qa` 💸 2500.00 internet – Internet · monthly on the 5th, next 2026-11-05".
+ * @param {object} record RecurringFinances record.
+ * @param {{ now?: dayjs.Dayjs|Date|string, zone?: string }} [options]
+ * @returns {string}
+ */
+export function formatRecurring(record, options) {
+	const icon = record.Type === "Income" ? "💰" : "💸";
+	const next = nextDay(record, options);
+	const currency = record.Currency && record.Currency !== getBaseCurrency() ? ` ${record.Currency}` : "";
+	return `\`${displayId(record)}\` ${icon} ${Number(record.Amount).toFixed(2)}${currency} ${record.Category} – ${record.Description} · ${describeSchedule(record)}${next ? `, next ${next}` : ""}`;
+}
+
+/**
+ * API shape of a definition.
+ * @param {object} record RecurringFinances record.
+ */
+export function toRecurringResponse(record) {
+	return {
+		id: record.ID,
+		type: record.Type,
+		amount: Number(record.Amount),
+		currency: record.Currency || getBaseCurrency(),
+		category: record.Category,
+		description: record.Description,
+		frequency: record.Frequency,
+		day: record.Day ?? null,
+		schedule: describeSchedule(record),
+		lastPostedFor: record.LastPostedFor || null,
+		nextDay: nextDay(record),
+		createdAt: record.CreatedAt,
+		updatedAt: record.UpdatedAt,
+	};
+}
+
+/**
+ * Saves a new definition.
+ * @param {object} fields Columns from recurringFromBody.
+ * @returns {Promise<object>} The RecurringFinances record.
+ */
+export async function addRecurring(fields) {
+	const now = new Date().toISOString();
+	const record = { ID: newTransactionId(), ...fields, LastPostedFor: null, CreatedAt: now, UpdatedAt: now };
+	await getCollection('RecurringFinances').insert(record);
+	return record;
+}
+
+/**
+ * Posts every definition's due days to Finances. Each entry is dated the
+ * start of its day and keeps the definition's ID in `RecurringID`.
+ * @param {{ now?: dayjs.Dayjs|Date|string }} [options]
+ * @returns {Promise<{ record: object, rows: object[] }[]>} What was posted, per definition.
+ */
+export async function postDueRecurring({ now = dayjs() } = {}) {
+	const zone = getTimezone();
+	const store = getCollection('RecurringFinances');
+	const financeStore = getCollection('Finances');
+	const posted = [];
+	for (const record of await store.list()) {
+		const days = dueDays(record, { now, zone });
+		if (days.length === 0) continue;
+		const rows = days.map(day => ({
+			ID: newTransactionId(),
+			Date: dayjs.tz(day, zone).toISOString(),
+			Type: record.Type,
+			Amount: Number(record.Amount),
+			Currency: record.Currency || getBaseCurrency(),
+			Category: record.Category,
+			Description: record.Description,
+			RecurringID: record.ID,
+		}));
+		await financeStore.insert(rows);
+		await store.update(record.ID, { LastPostedFor: days[days.length - 1] });
+		posted.push({ record, rows });
+	}
+	return posted;
+}
@@ -0,0 +1,35 @@
+import dayjs from "dayjs";
+
+/**
+ * Which Schedule rows the queue may send. A pass lists the sheet once to pick
+ * its rows, then re-reads each one just before sending it, since it may have
+ * been edited, rescheduled or cancelled from the dashboard in the meantime.
+ */
+
+/**
+ * @param {object} row Schedule record.
+ * @param {dayjs.Dayjs} now
+ * @returns {boolean} Whether the row should be sent now.
+ */
+export function isDue(row, now) {
+	if (row.HoldUntil && dayjs(row.HoldUntil).isAfter(now)) return false;
+	if (row.Status === "retrying") {
+		return dayjs(row.NextAttemptAt).isBefore(now.add(2, "second"));
+	}
+	if (row.Status !== "pending") return false;
+	const scheduledTime = dayjs(row.SendAt);
+	return scheduledTime.isBefore(now.add(2, "second"));
+}
+
+/**
+ * Reads a row again right before it's sent.
+ * @param {{ find: Function }} scheduleStore The Schedule collection.
+ * @param {string} id
+ * @param {dayjs.Dayjs} [now]
+ * @returns {Promise<object|null>} The current row, or null when it was
+ *   deleted, cancelled or moved to a later time.
+ */
+export async function currentDueRow(scheduleStore, id, now = dayjs()) {
+	const row = await scheduleStore.find(id);
+	return row && isDue(row, now) ? row : null;
+}
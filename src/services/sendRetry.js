@@ -0,0 +1,51 @@
+/**
+ * Retry policy for queued messages. Transient failures (dropped connection,
+ * timeouts, rate limits) are retried with exponential backoff; permanent ones
+ * (bad recipient, missing media) fail the row straight away.
+ */
+
+export const MAX_SEND_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = (parseInt(process.env.QUEUE_RETRY_BASE_SECONDS, 10) || 30) * 1000;
+const RETRY_MAX_MS = (parseInt(process.env.QUEUE_RETRY_MAX_SECONDS, 10) || 60 * 60) * 1000;
+
+// Status codes Baileys (Boom) uses for failures that retrying can't fix.
+const PERMANENT_STATUS_CODES = new Set([400, 401, 403, 404, 406]);
+const PERMANENT_MESSAGE_PATTERNS = [/not-authorized/i, /item-not-found/i, /not on whatsapp/i, /invalid (phone|jid|recipient)/i];
+const PERMANENT_ERROR_CODES = new Set(["ENOENT", "EISDIR", "EACCES"]);
+
+/**
+ * Error thrown for failures that must not be retried.
+ */
+export class PermanentSendError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = "PermanentSendError";
+	}
+}
+
+/**
+ * Decides whether a send error is permanent.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isPermanentSendError(error) {
+	if (!error) return false;
+	if (error instanceof PermanentSendError) return true;
+	if (PERMANENT_ERROR_CODES.has(error.code)) return true;
+	const statusCode = error.output?.statusCode;
+	if (PERMANENT_STATUS_CODES.has(statusCode)) return true;
+	const message = error.message || String(error);
+	return PERMANENT_MESSAGE_PATTERNS.some(pattern => pattern.test(message));
+}
+
+/**
+ * Delay before the next attempt, doubling per attempt with ±20% jitter so a
+ * batch that failed together doesn't retry in lockstep.
+ * @param {number} attempts Number of attempts made so far (1 after the first failure).
+ * @returns {number} Delay in milliseconds.
+ */
+export function getRetryDelay(attempts) {
+	const exponential = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+	const jitter = exponential * 0.2 * (Math.random() * 2 - 1);
+	return Math.round(Math.min(RETRY_MAX_MS, exponential + jitter));
+}
@@ -0,0 +1,127 @@
+import { getSheet, hasSheet } from './googleSheet.js';
+
+/**
+ * Storage driver backed by the Google Sheets document. Each collection is a
+ * worksheet whose header row names the record fields; missing columns are
+ * appended on demand so new fields don't require editing the spreadsheet.
+ */
+
+// Row objects from the last read of each sheet, keyed by record ID, so an
+// update only has to re-read its own row rather than the whole sheet.
+const rowCache = new Map();
+
+function toRecord(row) {
+	const record = {};
+	for (const [key, value] of Object.entries(row.toObject())) {
+		record[key] = value === '' || value === undefined ? null : value;
+	}
+	return record;
+}
+
+function toCell(value) {
+	return value === null || value === undefined ? '' : value;
+}
+
+async function loadHeaders(sheet) {
+	try {
+		return sheet.headerValues.filter(h => h);
+	} catch {
+		await sheet.loadHeaderRow();
+		return sheet.headerValues.filter(h => h);
+	}
+}
+
+async function ensureColumns(collection, sheet, keys) {
+	const headers = await loadHeaders(sheet);
+	const missing = [...new Set(keys)].filter(key => !headers.includes(key));
+	if (missing.length === 0) return;
+
+	const headerRow = [...headers, ...missing];
+	if (headerRow.length > sheet.columnCount) {
+		await sheet.resize({ rowCount: sheet.rowCount, columnCount: headerRow.length });
+	}
+	await sheet.setHeaderRow(headerRow);
+	rowCache.delete(collection);
+}
+
+async function loadRows(collection, sheet) {
+	const rows = await sheet.getRows();
+	rowCache.set(collection, new Map(rows.map(row => [row.get('ID'), row])));
+	return rows;
+}
+
+// Reads one row again where an earlier read found it. The sheet may have been
+// sorted or edited by hand since, so it only counts if it still has the same ID.
+async function rereadRow(sheet, row) {
+	// Data rows start right under the header row.
+	const [fresh] = await sheet.getRows({ offset: row.rowNumber - 2, limit: 1 });
+	return fresh && (fresh.get('ID') || null) === (row.get('ID') || null) ? fresh : null;
+}
+
+async function findRow(collection, sheet, id) {
+	const cached = rowCache.get(collection)?.get(id);
+	const fresh = cached && !cached.deleted ? await rereadRow(sheet, cached) : null;
+	if (fresh) {
+		rowCache.get(collection).set(id, fresh);
+		return fresh;
+	}
+	await loadRows(collection, sheet);
+	return rowCache.get(collection).get(id) || null;
+}
+
+export default {
+	async exists(collection) {
+		return hasSheet(collection);
+	},
+
+	async list(collection) {
+		const sheet = await getSheet(collection);
+		const rows = await loadRows(collection, sheet);
+		return rows.map(toRecord);
+	},
+
+	async insert(collection, records) {
+		const sheet = await getSheet(collection);
+		await ensureColumns(collection, sheet, records.flatMap(r => Object.keys(r)));
+		const values = records.map(r => Object.fromEntries(Object.entries(r).map(([k, v]) => [k, toCell(v)])));
+		const rows = await sheet.addRows(values, { raw: true });
+		const cache = rowCache.get(collection);
+		if (cache) {
+			rows.forEach(row => cache.set(row.get('ID'), row));
+		}
+		return records.map(r => ({ ...r }));
+	},
+
+	async update(collection, id, patch) {
+		const sheet = await getSheet(collection);
+		await ensureColumns(collection, sheet, Object.keys(patch));
+		const row = await findRow(collection, sheet, id);
+		if (!row) return null;
+		for (const [key, value] of Object.entries(patch)) {
+			row.set(key, toCell(value));
+		}
+		await row.save({ raw: true });
+		return toRecord(row);
+	},
+
+	async delete(collection, ids) {
+		const sheet = await getSheet(collection);
+		const idSet = new Set(ids);
+		// Blank IDs are listed as null, so they are matched the same way.
+		const rows = (await loadRows(collection, sheet)).filter(row => idSet.has(row.get('ID') || null));
+		let deleted = 0;
+		// Bottom up, so deleting a row doesn't move the ones still to go.
+		for (let i = rows.length - 1; i >= 0; i--) {
+			const row = await rereadRow(sheet, rows[i]);
+			if (!row) {
+				// The sheet changed under us; start again from a fresh read.
+				rowCache.delete(collection);
+				return deleted + await this.delete(collection, ids);
+			}
+			await row.delete();
+			deleted++;
+		}
+		rowCache.delete(collection);
+		return deleted;
+	},
+};
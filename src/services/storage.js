@@ -0,0 +1,134 @@
+import logger from './logger.js';
+
+/**
+ * Storage drivers, loaded lazily so the Google Sheets client is only
+ * initialised when it is actually the selected backend.
+ */
+const DRIVERS = {
+	sheets: () => import('./sheetsStore.js'),
+	local: () => import('./localStore.js'),
+};
+
+let driverPromise = null;
+
+/**
+ * Resolves the configured driver name. `STORAGE_DRIVER` wins; otherwise the
+ * Sheets driver is used when a spreadsheet is configured, and the local file
+ * driver when it is not.
+ * @returns {string}
+ */
+export function getDriverName() {
+	const configured = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+	if (configured) return configured;
+	return process.env.GOOGLE_SHEET_ID ? 'sheets' : 'local';
+}
+
+async function loadDriver() {
+	if (!driverPromise) {
+		const name = getDriverName();
+		if (!DRIVERS[name]) {
+			throw new Error(`Unknown STORAGE_DRIVER "${name}". Use "sheets" or "local".`);
+		}
+		driverPromise = DRIVERS[name]().then(mod => {
+			logger.info(`Using ${name} storage driver`);
+			return mod.default;
+		});
+	}
+	return driverPromise;
+}
+
+/**
+ * Replaces the active driver. Intended for tests and scripts that want an
+ * isolated store.
+ * @param {object} driver An object implementing exists/list/insert/update/delete.
+ */
+export function setDriver(driver) {
+	driverPromise = Promise.resolve(driver);
+}
+
+function toPredicate(filter) {
+	if (typeof filter === 'function') return filter;
+	if (typeof filter === 'string') return record => record.ID === filter;
+	return record => Object.entries(filter).every(([key, value]) => String(record[key] ?? '') === String(value ?? ''));
+}
+
+/**
+ * Returns a handle for one collection (Schedule, Contacts, Events, Finances, ...).
+ * Records are plain objects keyed by column name and identified by their `ID`.
+ * Values should be strings, numbers or null so that every driver round-trips them.
+ * @param {string} name The collection name.
+ */
+export function getCollection(name) {
+	return {
+		name,
+
+		/**
+		 * Whether the collection has been created, without creating it the way
+		 * reading it can (the Sheets driver adds missing worksheets).
+		 * @returns {Promise<boolean>}
+		 */
+		async exists() {
+			const driver = await loadDriver();
+			return driver.exists(name);
+		},
+
+		/**
+		 * Lists records, optionally filtered by a predicate or a field/value map.
+		 * @param {Function|object} [filter]
+		 * @returns {Promise<object[]>}
+		 */
+		async list(filter) {
+			const driver = await loadDriver();
+			const records = await driver.list(name);
+			return filter ? records.filter(toPredicate(filter)) : records;
+		},
+
+		/**
+		 * Finds the first record matching an ID, a predicate or a field/value map.
+		 * @param {string|Function|object} idOrFilter
+		 * @returns {Promise<object|null>}
+		 */
+		async find(idOrFilter) {
+			const records = await this.list();
+			return records.find(toPredicate(idOrFilter)) || null;
+		},
+
+		/**
+		 * Inserts one record or an array of records.
+		 * @param {object|object[]} recordOrRecords
+		 * @returns {Promise<object|object[]>} The inserted record(s).
+		 */
+		async insert(recordOrRecords) {
+			const driver = await loadDriver();
+			const records = Array.isArray(recordOrRecords) ? recordOrRecords : [recordOrRecords];
+			if (records.length === 0) return [];
+			const inserted = await driver.insert(name, records);
+			return Array.isArray(recordOrRecords) ? inserted : inserted[0];
+		},
+
+		/**
+		 * Applies a partial update to the record with the given ID.
+		 * @param {string} id
+		 * @param {object} patch
+		 * @returns {Promise<object|null>} The updated record, or null if not found.
+		 */
+		async update(id, patch) {
+			const driver = await loadDriver();
+			return driver.update(name, id, patch);
+		},
+
+		/**
+		 * Deletes the record with the given ID, or every record matching a filter.
+		 * @param {string|Function|object} idOrFilter
+		 * @returns {Promise<number>} The number of deleted records.
+		 */
+		async delete(idOrFilter) {
+			const driver = await loadDriver();
+			const ids = typeof idOrFilter === 'string'
+				? [idOrFilter]
+				: (await this.list(idOrFilter)).map(record => record.ID);
+			if (ids.length === 0) return 0;
+			return driver.delete(name, ids);
+		},
+	};
+}
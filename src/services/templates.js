@@ -0,0 +1,128 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+import { getCollection } from './storage.js';
+import { phoneKey } from './phone.js';
+import { contactTimezone } from './timezone.js';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Message templates use `{{placeholder}}` tokens that are resolved per
+ * recipient when a message is sent:
+ *   {{name}}, {{first_name}}, {{last_name}}, {{phone}}, {{date}}
+ * plus any other column of the recipient's Contacts row ({{company}} reads a
+ * "Company" column). `{{name|friend}}` falls back to "friend" when the value
+ * is missing. Keys are matched case-insensitively, ignoring spaces and `_`.
+ */
+
+const PLACEHOLDER = /\{\{\s*([^{}|]+?)\s*(?:\|([^{}]*))?\}\}/g;
+
+/**
+ * Canonical form of a placeholder or column name: "First Name" and
+ * "first_name" both become "firstname".
+ * @param {string} key
+ * @returns {string}
+ */
+export function normalizeKey(key) {
+	return String(key).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean} Whether the text contains any placeholder.
+ */
+export function hasPlaceholders(text) {
+	return new RegExp(PLACEHOLDER.source).test(text || "");
+}
+
+/**
+ * Variables available to a template for one recipient.
+ * @param {object|null} contact The recipient's Contacts record, if known.
+ * @param {{ phone?: string, date?: string|Date|dayjs.Dayjs }} [options]
+ * @returns {Record<string, string>}
+ */
+export function contactVariables(contact, { phone, date } = {}) {
+	const variables = {};
+	for (const [key, value] of Object.entries(contact || {})) {
+		if (key === "ID" || value === null || value === undefined || value === "") continue;
+		variables[normalizeKey(key)] = String(value);
+	}
+
+	const name = String(contact?.Name || "").trim();
+	const [firstName = "", ...rest] = name ? name.split(/\s+/) : [];
+	variables.name = name;
+	variables.firstname = firstName;
+	variables.lastname = rest.join(" ");
+	variables.phone = String(contact?.Phone || phone || "");
+	variables.date = dayjs(date).tz(contactTimezone(contact)).format("D MMMM YYYY");
+	return variables;
+}
+
+/**
+ * Replaces placeholders with values. Missing values use the placeholder's
+ * fallback, or an empty string.
+ * @param {string} text
+ * @param {Record<string, string>} variables Keys as returned by `normalizeKey`.
+ * @returns {string}
+ */
+export function renderTemplate(text, variables) {
+	return String(text || "").replace(PLACEHOLDER, (match, key, fallback) => variables[normalizeKey(key)] || fallback || "");
+}
+
+/**
+ * Placeholders that would render empty: no value and no fallback.
+ * @param {string} text
+ * @param {Record<string, string>} variables
+ * @returns {string[]} Placeholder names as written in the template.
+ */
+export function missingVariables(text, variables) {
+	const missing = new Set();
+	for (const [, key, fallback] of String(text || "").matchAll(PLACEHOLDER)) {
+		if (!variables[normalizeKey(key)] && !fallback) missing.add(key);
+	}
+	return [...missing];
+}
+
+/**
+ * Finds the contact for a recipient phone number, comparing normalised
+ * numbers so "0771234567" matches "+94 77 123 4567".
+ * @param {object[]} contacts
+ * @param {string} phone
+ * @returns {object|null}
+ */
+export function findContactByPhone(contacts, phone) {
+	const key = phoneKey(phone);
+	if (!key) return null;
+	return contacts.find(contact => phoneKey(contact.Phone) === key) || null;
+}
+
+/**
+ * Renders a caption for one recipient, looking them up in Contacts.
+ * Captions without placeholders are returned unchanged.
+ * @param {string} text
+ * @param {string} recipient Phone number the message is sent to.
+ * @param {{ date?: string|Date }} [options]
+ * @returns {Promise<string>}
+ */
+export async function renderForRecipient(text, recipient, { date } = {}) {
+	if (!hasPlaceholders(text)) return text;
+	const contacts = await getCollection('Contacts').list();
+	const contact = findContactByPhone(contacts, recipient);
+	return renderTemplate(text, contactVariables(contact, { phone: recipient, date }));
+}
+
+/**
+ * Public shape of a Templates record.
+ */
+export function toTemplateResponse(record) {
+	return {
+		id: record.ID,
+		name: record.Name,
+		body: record.Body,
+		createdAt: record.CreatedAt,
+		updatedAt: record.UpdatedAt,
+	};
+}
@@ -0,0 +1,111 @@
+/**
+ * Send pacing for the message queue: a per-minute rate limit, a randomised
+ * gap between consecutive sends, and a daily cap.
+ */
+
+const DEFAULTS = {
+	ratePerMinute: 20,
+	minGapSeconds: 3,
+	maxGapSeconds: 8,
+	dailyCap: 0, // 0 = unlimited
+	typingIndicator: true,
+};
+
+function toNumber(value, fallback) {
+	const n = parseFloat(value);
+	return isNaN(n) || n < 0 ? fallback : n;
+}
+
+/**
+ * Reads throttle settings from the environment.
+ * @returns {typeof DEFAULTS}
+ */
+export function throttleSettingsFromEnv(env = process.env) {
+	return {
+		ratePerMinute: toNumber(env.SEND_RATE_PER_MINUTE, DEFAULTS.ratePerMinute),
+		minGapSeconds: toNumber(env.SEND_MIN_GAP_SECONDS, DEFAULTS.minGapSeconds),
+		maxGapSeconds: toNumber(env.SEND_MAX_GAP_SECONDS, DEFAULTS.maxGapSeconds),
+		dailyCap: toNumber(env.SEND_DAILY_CAP, DEFAULTS.dailyCap),
+		typingIndicator: env.SEND_TYPING_INDICATOR ? env.SEND_TYPING_INDICATOR !== "false" : DEFAULTS.typingIndicator,
+	};
+}
+
+/**
+ * Creates a throttle. State is in memory except the daily counter, which the
+ * caller can persist with `getDailyCount()` / `setDailyCount()`.
+ * @param {Partial<typeof DEFAULTS>} [options]
+ * @param {() => number} [random] Random source, injectable for tests.
+ */
+export function createThrottle(options = {}, random = Math.random) {
+	let settings = { ...DEFAULTS, ...options };
+	let recent = [];
+	let lastSentAt = 0;
+	let daily = { day: null, count: 0 };
+
+	return {
+		configure(newOptions) {
+			settings = { ...settings, ...newOptions };
+			if (settings.maxGapSeconds < settings.minGapSeconds) {
+				settings.maxGapSeconds = settings.minGapSeconds;
+			}
+		},
+
+		getSettings() {
+			return { ...settings };
+		},
+
+		/**
+		 * Milliseconds to wait before the next send is allowed.
+		 * @param {number} [now]
+		 */
+		delayBeforeNext(now = Date.now()) {
+			recent = recent.filter(t => now - t < 60000);
+			let wait = 0;
+			if (lastSentAt) {
+				const gapSeconds = settings.minGapSeconds + random() * (settings.maxGapSeconds - settings.minGapSeconds);
+				wait = Math.max(wait, lastSentAt + gapSeconds * 1000 - now);
+			}
+			if (settings.ratePerMinute > 0 && recent.length >= settings.ratePerMinute) {
+				wait = Math.max(wait, recent[recent.length - settings.ratePerMinute] + 60000 - now);
+			}
+			return Math.max(0, Math.round(wait));
+		},
+
+		/**
+		 * Whether the daily cap still allows a send on the given day.
+		 * @param {string} day Day key, e.g. "2025-03-14".
+		 */
+		hasDailyCapacity(day) {
+			if (!settings.dailyCap) return true;
+			return daily.day !== day || daily.count < settings.dailyCap;
+		},
+
+		recordSend(day, now = Date.now()) {
+			recent.push(now);
+			lastSentAt = now;
+			if (daily.day !== day) {
+				daily = { day, count: 0 };
+			}
+			daily.count++;
+		},
+
+		getDailyCount() {
+			return { ...daily };
+		},
+
+		setDailyCount(value) {
+			if (value?.day) {
+				daily = { day: value.day, count: Number(value.count) || 0 };
+			}
+		},
+	};
+}
+
+/**
+ * How long to show "typing..." before a message, scaled by its length.
+ * @param {string} [text]
+ * @returns {number} Milliseconds.
+ */
+export function typingDuration(text) {
+	return Math.min(5000, Math.max(1000, String(text || "").length * 50));
+}
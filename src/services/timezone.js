@@ -0,0 +1,86 @@
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * The bot's timezone. "Today", "this month", the `.time` command and times
+ * entered without an offset all use the zone set in `TIMEZONE` (editable from
+ * Bot Control); contacts can override it with their own `Timezone` for
+ * things that should happen at their local time, like birthday wishes.
+ */
+
+const FALLBACK_TIMEZONE = "Asia/Colombo";
+
+/**
+ * @param {string} zone
+ * @returns {boolean} Whether the zone is a known IANA timezone.
+ */
+export function isValidTimezone(zone) {
+	if (!zone || typeof zone !== "string") return false;
+	try {
+		new Intl.DateTimeFormat("en-US", { timeZone: zone });
+		return true;
+	} catch (e) {
+		return false;
+	}
+}
+
+/**
+ * The configured timezone (TIMEZONE), or Asia/Colombo when unset or invalid.
+ * @returns {string}
+ */
+export function getTimezone() {
+	const configured = (process.env.TIMEZONE || "").trim();
+	return isValidTimezone(configured) ? configured : FALLBACK_TIMEZONE;
+}
+
+/**
+ * The current time in a zone.
+ * @param {string} [zone] Defaults to the configured timezone.
+ * @returns {dayjs.Dayjs}
+ */
+export function nowIn(zone = getTimezone()) {
+	return dayjs().tz(zone);
+}
+
+/**
+ * Reads a date/time entered by a user. Values with an explicit offset or "Z"
+ * are taken as-is; wall-clock values ("2025-03-01T09:00") are read in `zone`.
+ * @param {string} value
+ * @param {string} [zone] Defaults to the configured timezone.
+ * @returns {dayjs.Dayjs} May be invalid; check `isValid()`.
+ */
+export function parseInTimezone(value, zone = getTimezone()) {
+	const text = String(value ?? "").trim();
+	if (/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) return dayjs(text);
+	const parsed = dayjs(text);
+	if (!parsed.isValid()) return parsed;
+	return dayjs.tz(parsed.format("YYYY-MM-DDTHH:mm:ss"), zone);
+}
+
+/**
+ * The zone to use for a contact: its own `Timezone` when valid, otherwise
+ * the configured one.
+ * @param {object|null} contact Contacts record.
+ * @returns {string}
+ */
+export function contactTimezone(contact) {
+	return isValidTimezone(contact?.Timezone) ? contact.Timezone : getTimezone();
+}
+
+/**
+ * "UTC+5:30" style label for a zone at a given moment.
+ * @param {string} [zone]
+ * @param {Date|string|dayjs.Dayjs} [at]
+ * @returns {string}
+ */
+export function formatUtcOffset(zone = getTimezone(), at = undefined) {
+	const minutes = dayjs(at).tz(zone).utcOffset();
+	const sign = minutes < 0 ? "-" : "+";
+	const hours = Math.floor(Math.abs(minutes) / 60);
+	const rest = Math.abs(minutes) % 60;
+	return `UTC${sign}${hours}${rest ? `:${String(rest).padStart(2, "0")}` : ""}`;
+}
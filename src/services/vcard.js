@@ -0,0 +1,313 @@
+import vCard from "vcard-parser";
+
+import { normalizePhone } from './phone.js';
+
+/**
+ * vCard 2.1/3.0/4.0 reading on top of `vcard-parser`, which handles a single
+ * card's properties and parameters. This module splits a file into cards and
+ * takes care of what the parser doesn't: line unfolding that keeps
+ * significant spaces, quoted-printable values (with soft line breaks),
+ * `tel:` URIs, vCard 2.1 bare type parameters and partial birthdays.
+ * Phone numbers are normalised to E.164; ones that can't be are reported
+ * separately. Contacts are written back out as vCard 3.0, which phones and
+ * address books read most widely.
+ */
+
+// Parameters that are never phone types, even when written bare (vCard 2.1).
+const NON_TYPE_PARAMS = new Set(["encoding", "charset", "value", "pref", "quoted-printable", "base64", "language", "altid", "pid", "label"]);
+// Type labels that carry no useful information for a phone number.
+const IGNORED_TYPES = new Set(["voice", "pref", "internet", "x400"]);
+const TYPE_ALIASES = { cell: "mobile", iphone: "mobile" };
+
+function isQuotedPrintable(meta = {}) {
+	return Boolean(meta["quoted-printable"]) || (meta.encoding || []).some(e => String(e).toLowerCase() === "quoted-printable");
+}
+
+/**
+ * Decodes a quoted-printable string in the given charset.
+ * @param {string} text
+ * @param {string} [charset]
+ * @returns {string}
+ */
+export function decodeQuotedPrintable(text, charset = "utf-8") {
+	const bytes = [];
+	for (let i = 0; i < text.length; i++) {
+		const hex = text.slice(i + 1, i + 3);
+		if (text[i] === "=" && /^[0-9a-f]{2}$/i.test(hex)) {
+			bytes.push(parseInt(hex, 16));
+			i += 2;
+		} else {
+			bytes.push(...Buffer.from(text[i], "utf-8"));
+		}
+	}
+	try {
+		return new TextDecoder(charset).decode(Uint8Array.from(bytes));
+	} catch (e) {
+		return Buffer.from(bytes).toString("latin1");
+	}
+}
+
+function hasQuotedPrintableSoftBreak(line) {
+	const separator = line.indexOf(":");
+	return separator !== -1 && line.endsWith("=") && /quoted-printable/i.test(line.slice(0, separator));
+}
+
+/**
+ * Joins folded lines. A line starting with a space or tab continues the
+ * previous one (the first whitespace character is dropped, as per RFC 6350);
+ * a quoted-printable line ending in "=" continues on the next line.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function unfoldLines(text) {
+	const lines = [];
+	for (const line of String(text).split(/\r\n|\r|\n/)) {
+		const last = lines.length - 1;
+		if (last >= 0 && hasQuotedPrintableSoftBreak(lines[last])) {
+			lines[last] = lines[last].slice(0, -1) + line;
+		} else if (last >= 0 && /^[ \t]/.test(line)) {
+			lines[last] += line.slice(1);
+		} else {
+			lines.push(line);
+		}
+	}
+	return lines;
+}
+
+/**
+ * Splits a .vcf file into the unfolded text of each card.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitCards(text) {
+	const cards = [];
+	let current = null;
+	for (const line of unfoldLines(text)) {
+		const upper = line.trim().toUpperCase();
+		if (upper === "BEGIN:VCARD") {
+			current = [line.trim()];
+		} else if (upper === "END:VCARD") {
+			if (current) cards.push([...current, "END:VCARD"].join("\r\n"));
+			current = null;
+		} else if (current && line.trim()) {
+			current.push(line);
+		}
+	}
+	return cards;
+}
+
+function decodeValue(value, meta) {
+	const text = String(value ?? "");
+	if (!isQuotedPrintable(meta)) return text;
+	return decodeQuotedPrintable(text, meta?.charset?.[0] || "utf-8");
+}
+
+// The parser splits values on unescaped ";" and ","; text properties are joined back.
+function propParts(prop) {
+	if (!prop) return [];
+	const values = Array.isArray(prop.value) ? prop.value : [prop.value];
+	return values.map(value => decodeValue(value, prop.meta).trim());
+}
+
+function propText(prop, separator = ", ") {
+	return propParts(prop).filter(Boolean).join(separator);
+}
+
+function paramTypes(meta = {}) {
+	const types = [];
+	for (const [key, values] of Object.entries(meta)) {
+		if (key === "type") {
+			for (const value of values) {
+				types.push(...String(value || "").replace(/"/g, "").split(","));
+			}
+		} else if (values.every(v => v === undefined) && !NON_TYPE_PARAMS.has(key)) {
+			types.push(key);
+		}
+	}
+	return types.map(t => t.trim().toLowerCase()).filter(Boolean);
+}
+
+function parsePhone(prop) {
+	const raw = propText(prop, "").replace(/^tel:/i, "");
+	if (!/\d/.test(raw)) return null;
+
+	const allTypes = paramTypes(prop.meta);
+	const pref = allTypes.includes("pref") || Boolean(prop.meta?.pref);
+	const types = [...new Set(allTypes.filter(t => !IGNORED_TYPES.has(t)).map(t => TYPE_ALIASES[t] || t))];
+	try {
+		return { number: normalizePhone(raw), types, pref };
+	} catch (e) {
+		return { number: raw, types, pref, error: e.message };
+	}
+}
+
+/**
+ * Normalises a BDAY value: "1990-05-14", "19900514" and "1990-05-14T00:00:00Z"
+ * become "1990-05-14"; year-less "--0514" / "--05-14" become "--05-14".
+ * @param {string} value
+ * @returns {string|null}
+ */
+export function parseBirthday(value) {
+	const text = String(value || "").trim();
+	let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})(?:$|T)/);
+	let year = null;
+	let month;
+	let day;
+	if (match) {
+		[, year, month, day] = match;
+	} else if ((match = text.match(/^--(\d{2})-?(\d{2})$/))) {
+		[, month, day] = match;
+	} else {
+		return null;
+	}
+	const daysInMonth = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+	if (Number(month) < 1 || Number(month) > 12 || Number(day) < 1 || Number(day) > daysInMonth[Number(month) - 1]) {
+		return null;
+	}
+	return year ? `${year}-${month}-${day}` : `--${month}-${day}`;
+}
+
+function displayName(card) {
+	const fn = propText(card.fn?.[0]);
+	if (fn) return fn;
+	// N is family;given;additional;prefix;suffix
+	const [family = "", given = "", additional = "", prefix = "", suffix = ""] = propParts(card.n?.[0]);
+	const fromN = [prefix, given, additional, family, suffix].filter(Boolean).join(" ");
+	if (fromN) return fromN;
+	return propText(card.org?.[0]) || null;
+}
+
+/**
+ * Reads one card.
+ * @param {string} raw Unfolded card text, as returned by `splitCards`.
+ */
+export function parseCard(raw) {
+	const card = vCard.parse(raw);
+
+	const phones = [];
+	const invalidPhones = [];
+	for (const prop of card.tel || []) {
+		const phone = parsePhone(prop);
+		if (!phone) continue;
+		if (phone.error) {
+			invalidPhones.push({ number: phone.number, error: phone.error });
+		} else if (!phones.some(p => p.number === phone.number)) {
+			phones.push(phone);
+		}
+	}
+	const primary = phones.find(p => p.pref) || phones.find(p => p.types.includes("mobile")) || phones[0] || null;
+	const gender = propParts(card.gender?.[0])[0]?.toUpperCase();
+
+	return {
+		version: propText(card.version?.[0]) || null,
+		name: displayName(card),
+		phone: primary ? primary.number : null,
+		phones,
+		invalidPhones,
+		emails: [...new Set((card.email || []).map(prop => propText(prop)).filter(Boolean))],
+		org: propText(card.org?.[0]) || null,
+		note: (card.note || []).map(prop => propText(prop)).filter(Boolean).join("\n") || null,
+		birthday: parseBirthday(propText(card.bday?.[0], "")),
+		categories: (card.categories || []).flatMap(prop => propParts(prop)).filter(Boolean),
+		gender: gender === "M" ? "male" : gender === "F" ? "female" : null,
+	};
+}
+
+/**
+ * Parses every card in a .vcf file.
+ * @param {string} text
+ * @returns {ReturnType<typeof parseCard>[]}
+ */
+export function parseVCards(text) {
+	return splitCards(text).map(parseCard);
+}
+
+/**
+ * Compact, sheet-friendly form of a card's numbers: "mobile:+9477...; work:+9411...".
+ * @param {{ number: string, types: string[] }[]} phones
+ * @returns {string}
+ */
+export function formatPhones(phones) {
+	return phones.map(p => (p.types.length ? `${p.types.join(",")}:${p.number}` : p.number)).join("; ");
+}
+
+/**
+ * Reads a Phones cell back into numbers and their types.
+ * @param {string|null} value
+ * @returns {{ number: string, types: string[] }[]}
+ */
+export function parsePhones(value) {
+	return String(value ?? "")
+		.split(";")
+		.map(part => part.trim())
+		.filter(Boolean)
+		.map(part => {
+			const match = part.match(/^([a-z,\s-]+):(.+)$/i);
+			return match
+				? { number: match[2].trim(), types: match[1].split(",").map(t => t.trim()).filter(Boolean) }
+				: { number: part, types: [] };
+		});
+}
+
+const TYPE_LABELS = { mobile: "CELL" };
+
+// Escapes a text value; "," and ";" separate components and list items.
+function escapeText(value) {
+	return String(value).replace(/\\/g, "\\\\").replace(/\r?\n/g, "\\n").replace(/([,;])/g, "\\$1");
+}
+
+/**
+ * Folds a content line to 75 octets, continuing with a leading space (RFC 6350).
+ * @param {string} line
+ * @returns {string}
+ */
+export function foldLine(line) {
+	const parts = [];
+	let current = "";
+	let size = 0;
+	for (const char of line) {
+		const bytes = Buffer.byteLength(char, "utf-8");
+		const limit = parts.length === 0 ? 75 : 74;
+		if (size + bytes > limit) {
+			parts.push(current);
+			current = "";
+			size = 0;
+		}
+		current += char;
+		size += bytes;
+	}
+	parts.push(current);
+	return parts.join("\r\n ");
+}
+
+/**
+ * Writes one Contacts record as a vCard 3.0 card. Tags become CATEGORIES.
+ * @param {object} contact Contacts record.
+ * @returns {string}
+ */
+export function formatVCard(contact) {
+	const name = String(contact.Name || "").trim();
+	const words = name.split(/\s+/);
+	const family = words.length > 1 ? words.pop() : "";
+	const lines = ["BEGIN:VCARD", "VERSION:3.0", `FN:${escapeText(name)}`, `N:${escapeText(family)};${escapeText(words.join(" "))};;;`];
+
+	const phones = parsePhones(contact.Phones);
+	if (contact.Phone && !phones.some(p => p.number === contact.Phone)) {
+		phones.unshift({ number: contact.Phone, types: [] });
+	}
+	for (const phone of phones) {
+		const types = phone.types.map(t => TYPE_LABELS[t] || t.toUpperCase());
+		if (phone.number === contact.Phone) types.push("PREF");
+		lines.push(`TEL${types.length ? `;TYPE=${types.join(",")}` : ""}:${phone.number}`);
+	}
+	for (const email of String(contact.Email || "").split(",").map(e => e.trim()).filter(Boolean)) {
+		lines.push(`EMAIL;TYPE=INTERNET:${escapeText(email)}`);
+	}
+	if (contact.Org) lines.push(`ORG:${String(contact.Org).split(/,\s*/).map(escapeText).join(";")}`);
+	if (contact.Birthday) lines.push(`BDAY:${contact.Birthday}`);
+	const tags = String(contact.Tags || "").split(",").map(t => t.trim()).filter(Boolean);
+	if (tags.length > 0) lines.push(`CATEGORIES:${tags.map(escapeText).join(",")}`);
+	if (contact.Note) lines.push(`NOTE:${escapeText(contact.Note)}`);
+	lines.push("END:VCARD");
+	return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,124 @@
+import { getCollection } from './storage.js';
+import { tryNormalizePhone } from './phone.js';
+
+/**
+ * WhatsApp registration lookups. Numbers are checked in batches through the
+ * socket's `onWhatsApp` query and the answers are cached, so verifying a
+ * contact list or a large batch of recipients costs one query per batch and
+ * re-checks only once the cache entry expires.
+ */
+
+const DEFAULT_TTL_MS = (parseFloat(process.env.WA_CHECK_CACHE_HOURS) || 24) * 60 * 60 * 1000;
+const DEFAULT_BATCH_SIZE = 50;
+
+const digitsOf = (value) => String(value || "").split("@")[0].split(":")[0].replace(/\D/g, "");
+
+/**
+ * Creates a registration checker.
+ * @param {object} options
+ * @param {(jids: string[]) => Promise<{ jid: string, exists: boolean }[]>} options.lookup
+ *   Queries WhatsApp; only registered numbers are expected in the answer.
+ * @param {number} [options.ttlMs] How long an answer stays valid.
+ * @param {number} [options.batchSize] Numbers per query.
+ * @param {() => number} [options.now] Clock, injectable for tests.
+ */
+export function createRegistrationChecker({ lookup, ttlMs = DEFAULT_TTL_MS, batchSize = DEFAULT_BATCH_SIZE, now = Date.now }) {
+	const cache = new Map();
+
+	const fresh = (entry) => entry && now() - entry.checkedAt < ttlMs;
+
+	function remember(phone, result) {
+		const entry = { exists: Boolean(result?.exists), jid: result?.exists ? result.jid : null, checkedAt: now() };
+		cache.set(phone, entry);
+		return entry;
+	}
+
+	async function query(phones) {
+		const answers = await lookup(phones.map(phone => `${digitsOf(phone)}@s.whatsapp.net`)) || [];
+		const byDigits = new Map(answers.filter(a => a?.exists).map(a => [digitsOf(a.jid), a]));
+		const unmatched = [];
+		for (const phone of phones) {
+			const answer = byDigits.get(digitsOf(phone));
+			if (answer) {
+				byDigits.delete(digitsOf(phone));
+				remember(phone, answer);
+			} else {
+				unmatched.push(phone);
+			}
+		}
+		// WhatsApp can answer with a different JID than asked (e.g. an extra
+		// mobile digit), so leftovers are asked one by one to pair them up.
+		for (const phone of unmatched) {
+			if (byDigits.size > 0 && phones.length > 1) {
+				await query([phone]);
+			} else if (phones.length === 1 && byDigits.size === 1) {
+				remember(phone, [...byDigits.values()][0]);
+			} else {
+				remember(phone, null);
+			}
+		}
+	}
+
+	return {
+		/**
+		 * Looks numbers up, using cached answers when still fresh.
+		 * @param {string[]} phones E.164 numbers.
+		 * @param {{ force?: boolean }} [options] Ignore the cache.
+		 * @returns {Promise<Map<string, { exists: boolean, jid: string|null, checkedAt: number }>>}
+		 */
+		async check(phones, { force = false } = {}) {
+			const unique = [...new Set(phones)];
+			const pending = unique.filter(phone => force || !fresh(cache.get(phone)));
+			for (let i = 0; i < pending.length; i += batchSize) {
+				await query(pending.slice(i, i + batchSize));
+			}
+			return new Map(unique.map(phone => [phone, cache.get(phone)]));
+		},
+
+		/**
+		 * Cached answer for a number, if still fresh.
+		 * @param {string} phone
+		 */
+		cached(phone) {
+			const entry = cache.get(phone);
+			return fresh(entry) ? entry : null;
+		},
+
+		clear() {
+			cache.clear();
+		},
+	};
+}
+
+/**
+ * Checks Contacts rows and stores the outcome on each: `OnWhatsApp`
+ * ("true"/"false"), `WhatsAppJid` and `WhatsAppCheckedAt`.
+ * @param {(phones: string[], options?: object) => Promise<Map>} check A checker's `check`.
+ * @param {{ ids?: string[], force?: boolean }} [options] Limit to some contacts; bypass the cache.
+ * @returns {Promise<{ checked: number, registered: number, notRegistered: number, invalid: number }>}
+ */
+export async function verifyContacts(check, { ids, force = false } = {}) {
+	const contactsStore = getCollection('Contacts');
+	const idSet = ids ? new Set(ids) : null;
+	const contacts = (await contactsStore.list()).filter(c => !idSet || idSet.has(c.ID));
+
+	const phoneById = new Map(contacts.map(c => [c.ID, tryNormalizePhone(c.Phone)]));
+	const results = await check([...phoneById.values()].filter(Boolean), { force });
+
+	const summary = { checked: 0, registered: 0, notRegistered: 0, invalid: 0 };
+	for (const contact of contacts) {
+		const result = results.get(phoneById.get(contact.ID));
+		if (!result) {
+			summary.invalid++;
+			continue;
+		}
+		summary.checked++;
+		summary[result.exists ? "registered" : "notRegistered"]++;
+		await contactsStore.update(contact.ID, {
+			OnWhatsApp: String(result.exists),
+			WhatsAppJid: result.jid,
+			WhatsAppCheckedAt: new Date(result.checkedAt).toISOString(),
+		});
+	}
+	return summary;
+}
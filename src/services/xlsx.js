@@ -0,0 +1,107 @@
+import zlib from "zlib";
+
+/**
+ * Minimal XLSX writer: one worksheet of strings and numbers, enough for
+ * exports that open in Excel, LibreOffice and Google Sheets. The workbook is
+ * the usual set of XML parts packed into a ZIP archive.
+ */
+
+const escapeXml = (text) => String(text).replace(/[<>&"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;" }[c]))
+	// Control characters other than tab and line breaks aren't allowed in XML.
+	.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+
+/**
+ * Column letters for a zero-based index: 0 → "A", 26 → "AA".
+ * @param {number} index
+ * @returns {string}
+ */
+export function columnName(index) {
+	let name = "";
+	for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+		name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+	}
+	return name;
+}
+
+function cell(value, ref) {
+	if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+	if (value === null || value === undefined || value === "") return "";
+	return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+function sheetXml(headers, records) {
+	const rows = [headers, ...records.map(record => headers.map(h => record[h]))].map((values, r) =>
+		`<row r="${r + 1}">${values.map((value, c) => cell(value, `${columnName(c)}${r + 1}`)).join("")}</row>`
+	);
+	return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${rows.join("")}</sheetData></worksheet>`;
+}
+
+function zip(files) {
+	const locals = [];
+	const centrals = [];
+	let offset = 0;
+	for (const { name, data } of files) {
+		const nameBuffer = Buffer.from(name, "utf8");
+		const compressed = zlib.deflateRawSync(data);
+		const crc = zlib.crc32(data);
+		const local = Buffer.alloc(30);
+		local.writeUInt32LE(0x04034b50, 0);
+		local.writeUInt16LE(20, 4);
+		local.writeUInt16LE(0x0800, 6); // UTF-8 names
+		local.writeUInt16LE(8, 8); // deflate
+		local.writeUInt32LE(0, 10); // time and date
+		local.writeUInt32LE(crc, 14);
+		local.writeUInt32LE(compressed.length, 18);
+		local.writeUInt32LE(data.length, 22);
+		local.writeUInt16LE(nameBuffer.length, 26);
+		local.writeUInt16LE(0, 28);
+
+		const central = Buffer.alloc(46);
+		central.writeUInt32LE(0x02014b50, 0);
+		central.writeUInt16LE(20, 4);
+		central.writeUInt16LE(20, 6);
+		central.writeUInt16LE(0x0800, 8);
+		central.writeUInt16LE(8, 10);
+		central.writeUInt32LE(0, 12);
+		central.writeUInt32LE(crc, 16);
+		central.writeUInt32LE(compressed.length, 20);
+		central.writeUInt32LE(data.length, 24);
+		central.writeUInt16LE(nameBuffer.length, 28);
+		central.writeUInt32LE(offset, 42);
+
+		locals.push(local, nameBuffer, compressed);
+		centrals.push(central, nameBuffer);
+		offset += local.length + nameBuffer.length + compressed.length;
+	}
+	const directory = Buffer.concat(centrals);
+	const end = Buffer.alloc(22);
+	end.writeUInt32LE(0x06054b50, 0);
+	end.writeUInt16LE(files.length, 8);
+	end.writeUInt16LE(files.length, 10);
+	end.writeUInt32LE(directory.length, 12);
+	end.writeUInt32LE(offset, 16);
+	return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Builds a workbook with one sheet.
+ * @param {string[]} headers Column names, written as the first row.
+ * @param {object[]} records Values keyed by header; numbers stay numeric.
+ * @param {{ sheetName?: string }} [options]
+ * @returns {Buffer} The .xlsx file.
+ */
+export function toXlsx(headers, records, { sheetName = "Sheet1" } = {}) {
+	const files = {
+		"[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`,
+		"_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+		"xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+		"xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`,
+		"xl/worksheets/sheet1.xml": sheetXml(headers, records),
+	};
+	return zip(Object.entries(files).map(([name, content]) => ({ name, data: Buffer.from(content, "utf8") })));
+}